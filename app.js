@@ -38,6 +38,8 @@ var adminRouter = require("./routes/admin");
 var templateRouter = require("./routes/templates");
 var reviewRouter = require("./routes/reviews");
 var contactRouter = require("./routes/contact");
+var chatRouter = require("./routes/chats");
+var reportRouter = require("./routes/reports");
 console.log("[DEBUG] SMTP_HOST:", process.env.SMTP_HOST);
 console.log("[DEBUG] SMTP_USER:", process.env.SMTP_USER);
 console.log(
@@ -46,6 +48,12 @@ console.log(
 );
 var app = express();
 
+// Behind Vercel's proxy req.ip must come from X-Forwarded-For, or every
+// client shares the proxy's address in the rate limits
+if (process.env.TRUST_PROXY || process.env.VERCEL) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || 1);
+}
+
 // No view engine needed (API only)
 
 app.use(logger("dev"));
@@ -84,6 +92,13 @@ app.use(
       return callback(new Error("Not allowed by CORS"));
     },
     credentials: true,
+    exposedHeaders: [
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "RateLimit-Policy",
+      "Retry-After",
+    ],
   })
 );
 app.use(express.json());
@@ -105,6 +120,15 @@ mongoose
       initNotificationScheduler,
     } = require("./utils/notificationScheduler");
     initNotificationScheduler();
+
+    const { initTrashPurgeScheduler } = require("./utils/journalTrash");
+    initTrashPurgeScheduler();
+
+    const { initAccountDeletionScheduler } = require("./utils/accountDeletion");
+    initAccountDeletionScheduler();
+
+    const { initTrendReportScheduler } = require("./utils/trendReports");
+    initTrendReportScheduler();
   })
   .catch(function (err) {
     console.error("Mongo error", err.message);
@@ -163,6 +187,8 @@ app.use("/api/admin", adminRouter);
 app.use("/api/templates", templateRouter);
 app.use("/api/reviews", reviewRouter);
 app.use("/api/contact", contactRouter);
+app.use("/api/chats", chatRouter);
+app.use("/api/reports", reportRouter);
 
 // catch 404 and forward to error handler
 app.use(function (req, res, next) {
@@ -3,18 +3,25 @@ var JwtStrategy = require("passport-jwt").Strategy;
 var ExtractJwt = require("passport-jwt").ExtractJwt;
 var GoogleStrategy = require("passport-google-oauth20").Strategy;
 var User = require("../models/User");
+var { isAccessTokenValid } = require("../utils/sessions");
 
 var jwtOpts = {
   jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
   secretOrKey: process.env.JWT_SECRET || "secret",
+  passReqToCallback: true,
 };
 
 passport.use(
-  new JwtStrategy(jwtOpts, function (payload, done) {
+  new JwtStrategy(jwtOpts, function (req, payload, done) {
+    // Token claims for routes; `sid` is the session the token was issued for
+    req.authInfo = payload;
     User.findById(payload.sub)
       .then(function (user) {
         if (!user) return done(null, false);
-        return done(null, user);
+        // Logged out, revoked or issued before a password or role change
+        return isAccessTokenValid(payload, user).then(function (valid) {
+          return done(null, valid ? user : false);
+        });
       })
       .catch(function (err) {
         return done(err, false);
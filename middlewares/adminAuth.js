@@ -24,6 +24,15 @@ const requireAdmin = async (req, res, next) => {
       });
     }
 
+    // Admin accounts must use two-factor authentication (/api/auth/2fa/setup)
+    if (!user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is required for admin accounts",
+        twoFactorSetupRequired: true,
+      });
+    }
+
     // Add user info to request for convenience
     req.user.role = user.role;
     req.user.plan = user.plan;
@@ -0,0 +1,64 @@
+var dayjs = require("dayjs");
+var {
+  getAIQuotaStatus,
+  createAIUsageCollector,
+  runWithAIUsage,
+  saveAIUsage,
+} = require("../utils/aiUsage");
+
+/**
+ * Reject AI requests once the user's monthly quota is used up (429 with the
+ * reset time), otherwise meter the AI calls the handler makes and add them
+ * to today's Usage when the response ends. Streaming handlers set
+ * res.locals.aiStream to a promise so usage of a stream the client
+ * cancelled is saved once the provider call has settled.
+ * @param {string} feature - One of AI_FEATURES
+ */
+function enforceAIQuota(feature) {
+  return function (req, res, next) {
+    getAIQuotaStatus(req.user)
+      .then(function (status) {
+        if (status.exceeded) {
+          var retryAfter = Math.max(
+            1,
+            Math.ceil((status.resetAt.getTime() - Date.now()) / 1000)
+          );
+          res.set("Retry-After", String(retryAfter));
+          return res.status(429).json({
+            success: false,
+            message: `Monthly AI quota reached for the ${
+              status.plan
+            } plan. It resets on ${dayjs(status.resetAt).format(
+              "YYYY-MM-DD"
+            )}.`,
+            data: {
+              feature: feature,
+              limits: status.limits,
+              used: status.used,
+              resetAt: status.resetAt,
+            },
+          });
+        }
+
+        var collector = createAIUsageCollector();
+        // "close" also fires when the client disconnects before the end
+        res.on("close", function () {
+          Promise.resolve(res.locals.aiStream)
+            .then(function () {
+              return saveAIUsage(req.user._id, feature, collector);
+            })
+            .catch(function (err) {
+              console.error("Error saving AI usage:", err);
+            });
+        });
+        runWithAIUsage(collector, next);
+      })
+      .catch(function (err) {
+        return res.status(500).json({ message: err.message });
+      });
+  };
+}
+
+module.exports = {
+  enforceAIQuota: enforceAIQuota,
+};
@@ -0,0 +1,144 @@
+var crypto = require("crypto");
+var RateLimit = require("../models/RateLimit");
+var { verifyChallengeToken } = require("../utils/twoFactor");
+
+// Who a bucket counts requests for
+var IDENTIFIERS = {
+  ip: function (req) {
+    return req.ip || (req.connection && req.connection.remoteAddress);
+  },
+  // Account named in the request body, for routes used before signing in
+  email: function (req) {
+    var email = req.body && req.body.email;
+    return typeof email === "string" ? email.trim().toLowerCase() : null;
+  },
+  // Signed-in user, or during the second login step the account the
+  // challenge token was issued for, so both count towards the same bucket
+  user: function (req) {
+    if (req.user) return String(req.user._id);
+    var challenge = verifyChallengeToken(req.body && req.body.challengeToken);
+    return challenge && String(challenge.sub);
+  },
+};
+
+// IPs and emails are not stored as they are
+function bucketKey(name, by, identifier) {
+  var hash = crypto.createHash("sha256").update(identifier).digest("hex");
+  return `${name}:${by}:${hash}`;
+}
+
+// Count one request in a fixed window. The window restarts in the same
+// update once it is over, so concurrent requests cannot lose counts.
+function hit(key, windowMs) {
+  var now = new Date();
+  var active = { $gt: ["$resetAt", now] };
+  var update = [
+    {
+      $set: {
+        count: { $cond: [active, { $add: ["$count", 1] }, 1] },
+        resetAt: {
+          $cond: [active, "$resetAt", new Date(now.getTime() + windowMs)],
+        },
+      },
+    },
+  ];
+  // The pipeline sets every field; Mongoose's insert defaults do not apply to it
+  var options = { upsert: true, new: true, setDefaultsOnInsert: false };
+  return RateLimit.findOneAndUpdate({ key: key }, update, options).catch(
+    function (err) {
+      // Two first requests raced to create the bucket; count on the winner
+      if (err.code !== 11000) throw err;
+      return RateLimit.findOneAndUpdate({ key: key }, update, options);
+    }
+  );
+}
+
+// Fewer requests left, or the longer wait when equal
+function closerToLimit(a, b) {
+  if (a.remaining !== b.remaining) return a.remaining < b.remaining ? a : b;
+  return a.resetSeconds >= b.resetSeconds ? a : b;
+}
+
+/**
+ * Limit how often a route can be called. Each bucket counts requests per IP,
+ * per email in the body or per signed-in user; a request is rejected (429
+ * with Retry-After) once any bucket is over its limit. RateLimit-* headers
+ * describe the bucket closest to its limit. If MongoDB cannot be reached the
+ * request is let through rather than failing.
+ * @param {string} name - Limit name, shared by routes that share buckets
+ * @param {Array<Object>} buckets - { by: "ip" | "email" | "user", max, windowMinutes }
+ */
+function rateLimit(name, buckets) {
+  return function (req, res, next) {
+    var counted = buckets
+      .map(function (bucket) {
+        var identifier = IDENTIFIERS[bucket.by](req);
+        if (!identifier) return null;
+        var windowMs = bucket.windowMinutes * 60 * 1000;
+        return hit(bucketKey(name, bucket.by, identifier), windowMs).then(
+          function (record) {
+            return {
+              bucket: bucket,
+              remaining: Math.max(0, bucket.max - record.count),
+              exceeded: record.count > bucket.max,
+              resetSeconds: Math.max(
+                1,
+                Math.ceil((record.resetAt.getTime() - Date.now()) / 1000)
+              ),
+            };
+          }
+        );
+      })
+      .filter(Boolean);
+
+    Promise.all(counted)
+      .then(function (results) {
+        if (results.length === 0) return next();
+        var exceeded = results.filter(function (result) {
+          return result.exceeded;
+        });
+        var shown = (exceeded.length > 0 ? exceeded : results).reduce(
+          closerToLimit
+        );
+
+        res.set({
+          "RateLimit-Policy": results
+            .map(function (result) {
+              var windowSeconds = result.bucket.windowMinutes * 60;
+              return `${result.bucket.max};w=${windowSeconds}`;
+            })
+            .join(", "),
+          "RateLimit-Limit": String(shown.bucket.max),
+          "RateLimit-Remaining": String(shown.remaining),
+          "RateLimit-Reset": String(shown.resetSeconds),
+        });
+
+        if (exceeded.length > 0) {
+          res.set("Retry-After", String(shown.resetSeconds));
+          return res.status(429).json({
+            success: false,
+            message: `Too many requests. Please try again in ${Math.ceil(
+              shown.resetSeconds / 60
+            )} minute(s).`,
+          });
+        }
+        next();
+      })
+      .catch(function (err) {
+        console.error(`Rate limit ${name} unavailable:`, err.message);
+        next();
+      });
+  };
+}
+
+// Shared by every endpoint that calls the AI provider, on top of the
+// monthly quota: stops bursts from scripts or a stuck client
+var aiRateLimit = rateLimit("ai", [
+  { by: "user", max: 20, windowMinutes: 1 },
+  { by: "ip", max: 60, windowMinutes: 1 },
+]);
+
+module.exports = {
+  rateLimit: rateLimit,
+  aiRateLimit: aiRateLimit,
+};
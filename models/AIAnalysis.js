@@ -2,9 +2,12 @@ var mongoose = require("mongoose");
 var {
   encryptValue,
   decryptValue,
+  decryptDocumentFields,
+  restoreUnreadableFields,
   hasEncryptionConfig,
-  isProbablyEncrypted,
+  isEncrypted,
 } = require("../utils/encryption");
+var { softDeletePlugin } = require("../utils/softDelete");
 
 var aiAnalysisSchema = new mongoose.Schema({
   userId: {
@@ -19,7 +22,7 @@ var aiAnalysisSchema = new mongoose.Schema({
   },
   analysisType: {
     type: String,
-    enum: ["emotion", "mental_health"],
+    enum: ["emotion", "mental_health", "assistant", "improvement_plan"],
     required: true,
   },
   content: {
@@ -50,14 +53,18 @@ aiAnalysisSchema.index({ userId: 1, createdAt: -1 });
 aiAnalysisSchema.index({ userId: 1, analysisType: 1 });
 aiAnalysisSchema.index({ journalId: 1 });
 
+// Trashed and purged together with the journal it belongs to
+aiAnalysisSchema.plugin(softDeletePlugin);
+
 // Pre-save middleware
 aiAnalysisSchema.pre("save", function (next) {
+  restoreUnreadableFields(this);
   this.updatedAt = new Date();
   if (hasEncryptionConfig()) {
     if (
       this.isModified("content") &&
       this.content &&
-      !isProbablyEncrypted(this.content)
+      !isEncrypted(this.content)
     ) {
       this.content = encryptValue(this.content);
     }
@@ -66,7 +73,7 @@ aiAnalysisSchema.pre("save", function (next) {
         typeof this.results === "string"
           ? this.results
           : JSON.stringify(this.results);
-      if (!isProbablyEncrypted(serialized)) {
+      if (!isEncrypted(serialized)) {
         this.results = encryptValue(serialized);
       }
     }
@@ -75,8 +82,8 @@ aiAnalysisSchema.pre("save", function (next) {
 });
 
 aiAnalysisSchema.post("init", function (doc) {
+  decryptDocumentFields(doc, ["content"]);
   if (hasEncryptionConfig()) {
-    if (doc.content) doc.content = decryptValue(doc.content);
     if (doc.results) {
       try {
         const decrypted = decryptValue(doc.results);
@@ -0,0 +1,18 @@
+var mongoose = require("mongoose");
+
+// Cached AI results keyed on a hash of (task, content, language, model).
+// Results describe the user's writing, so they are stored encrypted.
+var aiCacheSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  task: { type: String, required: true },
+  model: { type: String },
+  result: { type: String, required: true },
+  hits: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  lastHitAt: { type: Date },
+  expiresAt: { type: Date, required: true },
+});
+
+aiCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AICache", aiCacheSchema);
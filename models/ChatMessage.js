@@ -0,0 +1,47 @@
+var mongoose = require("mongoose");
+var {
+  encryptValue,
+  decryptDocumentFields,
+  restoreUnreadableFields,
+  hasEncryptionConfig,
+  isEncrypted,
+} = require("../utils/encryption");
+
+var chatMessageSchema = new mongoose.Schema({
+  threadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ChatThread",
+    required: true,
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  role: { type: String, enum: ["user", "assistant"], required: true },
+  content: { type: String, required: true },
+  aiPowered: { type: Boolean },
+  createdAt: { type: Date, default: Date.now },
+});
+
+chatMessageSchema.index({ threadId: 1, createdAt: 1 });
+chatMessageSchema.index({ userId: 1 });
+
+chatMessageSchema.pre("save", function (next) {
+  restoreUnreadableFields(this);
+  if (
+    hasEncryptionConfig() &&
+    this.isModified("content") &&
+    this.content &&
+    !isEncrypted(this.content)
+  ) {
+    this.content = encryptValue(this.content);
+  }
+  next();
+});
+
+function decryptMessage(doc) {
+  decryptDocumentFields(doc, ["content"]);
+}
+
+chatMessageSchema.post("init", decryptMessage);
+// Saved documents are returned in responses, so keep them readable
+chatMessageSchema.post("save", decryptMessage);
+
+module.exports = mongoose.model("ChatMessage", chatMessageSchema);
@@ -0,0 +1,50 @@
+var mongoose = require("mongoose");
+var {
+  encryptValue,
+  decryptDocumentFields,
+  restoreUnreadableFields,
+  hasEncryptionConfig,
+  isEncrypted,
+} = require("../utils/encryption");
+
+// A conversation with the journaling assistant. Messages are stored in
+// ChatMessage; older turns are folded into `summary` to bound the prompt.
+var chatThreadSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  title: { type: String, required: true },
+  // Journals the conversation is about
+  journalIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Journal" }],
+  // Running summary of the messages before the recent window
+  summary: { type: String, default: "" },
+  // Number of messages (oldest first) already folded into the summary
+  summarizedCount: { type: Number, default: 0 },
+  messageCount: { type: Number, default: 0 },
+  lastMessageAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+chatThreadSchema.index({ userId: 1, lastMessageAt: -1 });
+
+chatThreadSchema.pre("save", function (next) {
+  restoreUnreadableFields(this);
+  this.updatedAt = new Date();
+  if (hasEncryptionConfig()) {
+    ["title", "summary"].forEach((field) => {
+      if (this.isModified(field) && this[field] && !isEncrypted(this[field])) {
+        this[field] = encryptValue(String(this[field]));
+      }
+    });
+  }
+  next();
+});
+
+function decryptThread(doc) {
+  decryptDocumentFields(doc, ["title", "summary"]);
+}
+
+chatThreadSchema.post("init", decryptThread);
+// Saved documents are returned in responses, so keep them readable
+chatThreadSchema.post("save", decryptThread);
+
+module.exports = mongoose.model("ChatThread", chatThreadSchema);
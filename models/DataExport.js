@@ -0,0 +1,34 @@
+var mongoose = require("mongoose");
+
+// Archives can be downloaded for this long, then MongoDB removes them
+var EXPORT_TTL_DAYS = 7;
+
+var dataExportSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  status: {
+    type: String,
+    enum: ["pending", "processing", "ready", "failed"],
+    default: "pending",
+  },
+  // The zip archive is stored in DataExportChunk documents, which keeps
+  // large archives under MongoDB's document size limit
+  chunkCount: { type: Number },
+  fileName: { type: String },
+  size: { type: Number },
+  error: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: { type: Date },
+  expiresAt: {
+    type: Date,
+    default: function () {
+      return new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000);
+    },
+  },
+});
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+dataExportSchema.statics.EXPORT_TTL_DAYS = EXPORT_TTL_DAYS;
+
+module.exports = mongoose.model("DataExport", dataExportSchema);
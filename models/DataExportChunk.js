@@ -0,0 +1,21 @@
+var mongoose = require("mongoose");
+
+// One part of a data export's zip archive, base64 encoded and encrypted like
+// journal content. Removed by MongoDB together with its export.
+var dataExportChunkSchema = new mongoose.Schema({
+  exportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DataExport",
+    required: true,
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  index: { type: Number, required: true },
+  data: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+});
+
+dataExportChunkSchema.index({ exportId: 1, index: 1 }, { unique: true });
+dataExportChunkSchema.index({ userId: 1 });
+dataExportChunkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("DataExportChunk", dataExportChunkSchema);
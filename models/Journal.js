@@ -1,10 +1,17 @@
 var mongoose = require("mongoose");
 var {
+  DecryptionError,
   encryptValue,
   decryptValue,
+  decryptDocumentFields,
+  restoreUnreadableFields,
   hasEncryptionConfig,
-  isProbablyEncrypted,
+  isEncrypted,
 } = require("../utils/encryption");
+var { buildSearchIndex } = require("../utils/searchIndex");
+var { softDeletePlugin } = require("../utils/softDelete");
+
+var SEARCHABLE_FIELDS = ["title", "content", "richContent", "mood", "tags"];
 
 var journalSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
@@ -39,89 +46,121 @@ var journalSchema = new mongoose.Schema({
   },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
+  // Blind index of hashed tokens for search (see utils/searchIndex.js)
+  searchIndex: { type: [String], select: false },
+  // Set for entries imported from another app (see utils/journalImport.js)
+  importedFrom: {
+    type: String,
+    enum: ["markdown", "dayone", "text"],
+  },
+  importFingerprint: { type: String, select: false },
 });
 
+journalSchema.index({ userId: 1, searchIndex: 1 });
+journalSchema.index({ userId: 1, importFingerprint: 1 }, { sparse: true });
+
+// Trash: deletedAt, hidden from queries unless asked for
+journalSchema.plugin(softDeletePlugin);
+
+// Unreadable ciphertext adds nothing to the search index
+function readableValue(value) {
+  try {
+    return decryptValue(value);
+  } catch (err) {
+    if (err instanceof DecryptionError) return "";
+    throw err;
+  }
+}
+
+// Plain-text view of the searchable fields, whether or not they are encrypted yet
+function searchableFields(source) {
+  return {
+    title: readableValue(source.title),
+    content: readableValue(source.content),
+    richContent: readableValue(source.richContent),
+    mood: readableValue(source.mood),
+    tags: (source.tags || []).map(readableValue),
+  };
+}
+
 journalSchema.pre("save", function (next) {
+  restoreUnreadableFields(this);
   this.updatedAt = new Date();
+  if (this.isNew || SEARCHABLE_FIELDS.some((field) => this.isModified(field))) {
+    this.searchIndex = buildSearchIndex(this.userId, searchableFields(this));
+  }
   if (hasEncryptionConfig()) {
-    if (
-      this.isModified("title") &&
-      this.title &&
-      !isProbablyEncrypted(this.title)
-    ) {
+    if (this.isModified("title") && this.title && !isEncrypted(this.title)) {
       this.title = encryptValue(this.title);
     }
     if (
       this.isModified("content") &&
       this.content &&
-      !isProbablyEncrypted(this.content)
+      !isEncrypted(this.content)
     ) {
       this.content = encryptValue(this.content);
     }
     if (
       this.isModified("richContent") &&
       this.richContent &&
-      !isProbablyEncrypted(this.richContent)
+      !isEncrypted(this.richContent)
     ) {
       this.richContent = encryptValue(this.richContent);
     }
-    if (
-      this.isModified("mood") &&
-      this.mood &&
-      !isProbablyEncrypted(this.mood)
-    ) {
+    if (this.isModified("mood") && this.mood && !isEncrypted(this.mood)) {
       this.mood = encryptValue(String(this.mood));
     }
     if (Array.isArray(this.tags)) {
       this.tags = this.tags.map((tag) =>
-        tag && !isProbablyEncrypted(tag) ? encryptValue(String(tag)) : tag
+        tag && !isEncrypted(tag) ? encryptValue(String(tag)) : tag
       );
     }
   }
   next();
 });
 
-journalSchema.pre("findOneAndUpdate", function (next) {
-  if (!hasEncryptionConfig()) return next();
-
+journalSchema.pre("findOneAndUpdate", async function () {
   const update = this.getUpdate() || {};
   const target = update.$set || update;
 
-  if (target.title && !isProbablyEncrypted(target.title)) {
+  if (SEARCHABLE_FIELDS.some((field) => target[field] !== undefined)) {
+    // The index covers every field, so merge the update onto the stored entry
+    const current = await this.model.findOne(this.getQuery()).lean();
+    if (current) {
+      target.searchIndex = buildSearchIndex(
+        current.userId,
+        searchableFields({ ...current, ...target })
+      );
+    }
+  }
+
+  if (!hasEncryptionConfig()) return;
+
+  if (target.title && !isEncrypted(target.title)) {
     target.title = encryptValue(target.title);
   }
-  if (target.content && !isProbablyEncrypted(target.content)) {
+  if (target.content && !isEncrypted(target.content)) {
     target.content = encryptValue(target.content);
   }
-  if (target.richContent && !isProbablyEncrypted(target.richContent)) {
+  if (target.richContent && !isEncrypted(target.richContent)) {
     target.richContent = encryptValue(target.richContent);
   }
-  if (target.mood && !isProbablyEncrypted(target.mood)) {
+  if (target.mood && !isEncrypted(target.mood)) {
     target.mood = encryptValue(String(target.mood));
   }
   if (Array.isArray(target.tags)) {
     target.tags = target.tags.map((tag) =>
-      tag && !isProbablyEncrypted(tag) ? encryptValue(String(tag)) : tag
+      tag && !isEncrypted(tag) ? encryptValue(String(tag)) : tag
     );
   }
 
   if (!update.$set) {
     this.setUpdate(target);
   }
-
-  next();
 });
 
 journalSchema.post("init", function (doc) {
-  if (hasEncryptionConfig()) {
-    if (doc.title) doc.title = decryptValue(doc.title);
-    if (doc.content) doc.content = decryptValue(doc.content);
-    if (doc.richContent) doc.richContent = decryptValue(doc.richContent);
-    if (doc.mood) doc.mood = decryptValue(doc.mood);
-    if (Array.isArray(doc.tags)) {
-      doc.tags = doc.tags.map((tag) => (tag ? decryptValue(String(tag)) : tag));
-    }
-  }
+  decryptDocumentFields(doc, SEARCHABLE_FIELDS);
 });
 
 module.exports = mongoose.model("Journal", journalSchema);
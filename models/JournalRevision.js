@@ -0,0 +1,113 @@
+var mongoose = require("mongoose");
+var {
+  encryptValue,
+  decryptDocumentFields,
+  restoreUnreadableFields,
+  hasEncryptionConfig,
+  isEncrypted,
+} = require("../utils/encryption");
+
+// Revisions kept per journal; older ones are pruned on each new revision
+var REVISION_LIMITS = {
+  free: 10,
+  premium: 50,
+};
+
+var journalRevisionSchema = new mongoose.Schema({
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Journal",
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  title: { type: String },
+  content: { type: String, default: "" },
+  richContent: { type: String, default: "" },
+  mood: { type: String },
+  tags: [{ type: String }],
+  // When this version of the journal was written
+  revisedAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+journalRevisionSchema.index({ journalId: 1, revisedAt: -1 });
+journalRevisionSchema.index({ userId: 1 });
+
+journalRevisionSchema.pre("save", function (next) {
+  restoreUnreadableFields(this);
+  if (hasEncryptionConfig()) {
+    ["title", "content", "richContent", "mood"].forEach((field) => {
+      if (this[field] && !isEncrypted(this[field])) {
+        this[field] = encryptValue(String(this[field]));
+      }
+    });
+    if (Array.isArray(this.tags)) {
+      this.tags = this.tags.map((tag) =>
+        tag && !isEncrypted(tag) ? encryptValue(String(tag)) : tag
+      );
+    }
+  }
+  next();
+});
+
+journalRevisionSchema.post("init", function (doc) {
+  decryptDocumentFields(doc, [
+    "title",
+    "content",
+    "richContent",
+    "mood",
+    "tags",
+  ]);
+});
+
+journalRevisionSchema.statics.getRevisionLimit = function (plan) {
+  return plan === "premium" ? REVISION_LIMITS.premium : REVISION_LIMITS.free;
+};
+
+/**
+ * Store the current state of a journal as a revision and prune old ones.
+ * @param {Object} journal - Decrypted Journal document
+ * @param {string} plan - Owner's plan ("free" | "premium")
+ * @returns {Promise<Object>} Created revision
+ */
+journalRevisionSchema.statics.recordFromJournal = async function (
+  journal,
+  plan
+) {
+  const revision = await this.create({
+    journalId: journal._id,
+    userId: journal.userId,
+    title: journal.title,
+    content: journal.content,
+    richContent: journal.richContent,
+    mood: journal.mood,
+    tags: journal.tags ? Array.from(journal.tags) : [],
+    revisedAt: journal.updatedAt || journal.createdAt || new Date(),
+  });
+
+  await this.pruneForJournal(journal._id, this.getRevisionLimit(plan));
+  return revision;
+};
+
+journalRevisionSchema.statics.pruneForJournal = async function (
+  journalId,
+  limit
+) {
+  const stale = await this.find({ journalId })
+    .sort({ revisedAt: -1, _id: -1 })
+    .skip(limit)
+    .select("_id")
+    .lean();
+  if (stale.length === 0) return 0;
+
+  const result = await this.deleteMany({
+    _id: { $in: stale.map((revision) => revision._id) },
+  });
+  return result.deletedCount;
+};
+
+module.exports = mongoose.model("JournalRevision", journalRevisionSchema);
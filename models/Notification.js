@@ -10,11 +10,15 @@ var notificationSchema = new mongoose.Schema({
       "premium_expired",
       "payment_success",
       "payment_failed",
+      "data_export_ready",
+      "safety_support",
+      "trend_report_ready",
     ],
     required: true,
   },
   title: { type: String, required: true },
   message: { type: String, required: true },
+  priority: { type: String, enum: ["normal", "high"], default: "normal" },
   isRead: { type: Boolean, default: false },
   data: { type: mongoose.Schema.Types.Mixed }, // Additional data (payment info, etc.)
   createdAt: { type: Date, default: Date.now },
@@ -82,6 +86,70 @@ notificationSchema.statics.createPremiumExpiredNotification = function (
   });
 };
 
+// Static method to create data export ready notification
+notificationSchema.statics.createDataExportReadyNotification = function (
+  userId,
+  exportId,
+  expiresAt
+) {
+  return this.create({
+    userId: userId,
+    type: "data_export_ready",
+    title: "📦 Your Data Export Is Ready",
+    message: `Your EverQuill data archive is ready to download until ${expiresAt.toLocaleDateString()}.`,
+    data: {
+      exportId: exportId,
+      expiresAt: expiresAt,
+    },
+  });
+};
+
+// Static method to create a safety support notification (crisis content detected)
+notificationSchema.statics.createSafetySupportNotification = function (
+  userId,
+  resources,
+  language
+) {
+  const isVietnamese = language === "vi";
+  return this.create({
+    userId: userId,
+    type: "safety_support",
+    priority: "high",
+    title: isVietnamese ? "💙 Bạn không đơn độc" : "💙 You Are Not Alone",
+    message: isVietnamese
+      ? "Có vẻ bạn đang trải qua giai đoạn rất khó khăn. Hãy liên hệ ngay với một đường dây hỗ trợ hoặc người bạn tin tưởng - bạn không phải đối mặt với điều này một mình."
+      : "It sounds like you are going through something very hard. Please reach out to a helpline or someone you trust right now - you don't have to face this alone.",
+    data: {
+      resources: resources,
+    },
+  });
+};
+
+// Static method to create a trend report ready notification
+notificationSchema.statics.createTrendReportReadyNotification = function (
+  userId,
+  report
+) {
+  const isVietnamese = report.language === "vi";
+  const isWeekly = report.periodType === "week";
+  return this.create({
+    userId: userId,
+    type: "trend_report_ready",
+    title: isVietnamese
+      ? `📈 Báo cáo ${isWeekly ? "tuần" : "tháng"} của bạn đã sẵn sàng`
+      : `📈 Your ${isWeekly ? "Weekly" : "Monthly"} Report Is Ready`,
+    message: isVietnamese
+      ? `Xem cảm xúc và tâm trạng của bạn đã thay đổi thế nào từ ${report.periodStart} đến ${report.periodEnd}.`
+      : `See how your emotions and mood changed from ${report.periodStart} to ${report.periodEnd}.`,
+    data: {
+      reportId: report._id,
+      periodType: report.periodType,
+      periodStart: report.periodStart,
+      periodEnd: report.periodEnd,
+    },
+  });
+};
+
 // Static method to get unread count for user
 notificationSchema.statics.getUnreadCount = function (userId) {
   return this.countDocuments({ userId: userId, isRead: false });
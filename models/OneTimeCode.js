@@ -0,0 +1,30 @@
+var mongoose = require("mongoose");
+
+// Emailed one-time code (see utils/oneTimeCodes.js). A user has at most one
+// code per purpose; requesting a new one replaces it.
+var oneTimeCodeSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  purpose: {
+    type: String,
+    enum: [
+      "email_verification",
+      "password_reset",
+      "email_change",
+      "account_deletion",
+    ],
+    required: true,
+  },
+  // HMAC of the code, never the code itself
+  codeHash: { type: String, required: true },
+  // Address the code was sent to when it confirms that address (email change)
+  target: { type: String },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  sentAt: { type: Date, default: Date.now },
+});
+
+oneTimeCodeSchema.index({ userId: 1, purpose: 1 }, { unique: true });
+// Removed by MongoDB once expired
+oneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OneTimeCode", oneTimeCodeSchema);
@@ -1,7 +1,15 @@
 var mongoose = require("mongoose");
 
 var paymentSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  // Cleared when the account is deleted; the payment is kept for accounting
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: function () {
+      return !this.anonymizedAt;
+    },
+  },
+  anonymizedAt: { type: Date },
   orderId: { type: String, required: true, unique: true },
   payosOrderId: { type: String, required: true },
   amount: { type: Number, required: true },
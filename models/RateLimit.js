@@ -0,0 +1,15 @@
+var mongoose = require("mongoose");
+
+// Request counter for one rate limit bucket (see middlewares/rateLimit.js).
+// Kept in MongoDB so every server instance shares the same counts.
+var rateLimitSchema = new mongoose.Schema({
+  // "<limit>:<ip|email|user>:<hash of the identifier>"
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true },
+});
+
+// Removed by MongoDB once the window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,41 @@
+var mongoose = require("mongoose");
+
+// Anonymised record of a crisis detection, for admin follow-up and trends.
+// Never stores the user id, journal id or any of the text that was checked.
+var safetyEventSchema = new mongoose.Schema({
+  // Keyed hash of the user id: repeated events from one account can be
+  // grouped without revealing who it is
+  subjectHash: { type: String, required: true },
+  source: {
+    type: String,
+    enum: [
+      "journal_create",
+      "journal_update",
+      "emotion_analysis",
+      "mental_health_assessment",
+      "assistant",
+      "chat",
+    ],
+    required: true,
+  },
+  level: { type: String, enum: ["medium", "high"], required: true },
+  categories: [
+    {
+      type: String,
+      enum: ["suicidal_ideation", "self_harm", "hopelessness"],
+    },
+  ],
+  signals: [{ type: String, enum: ["lexicon", "ai"] }],
+  language: { type: String, enum: ["vi", "en"] },
+  region: { type: String },
+  notified: { type: Boolean, default: false },
+  status: { type: String, enum: ["open", "reviewed"], default: "open" },
+  reviewedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+safetyEventSchema.index({ status: 1, createdAt: -1 });
+safetyEventSchema.index({ level: 1, createdAt: -1 });
+safetyEventSchema.index({ subjectHash: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SafetyEvent", safetyEventSchema);
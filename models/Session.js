@@ -0,0 +1,73 @@
+var mongoose = require("mongoose");
+
+// One signed-in device. Each session has its own rotating refresh token;
+// presenting a refresh token that was already rotated revokes the session.
+var sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  deviceName: { type: String },
+  userAgent: { type: String },
+  ip: { type: String },
+  // "Remember me": long-lived session and a persistent refresh cookie
+  persistent: { type: Boolean, default: false },
+  // Current refresh token ("<tokenId>.<secret>", the secret stored hashed)
+  refreshTokenId: { type: String },
+  refreshTokenHash: { type: String },
+  // Refresh token ids already rotated, to recognise reuse (most recent kept)
+  rotatedTokenIds: { type: [String], default: [] },
+  // Token replaced by the last rotation, still accepted for a few seconds so
+  // concurrent refreshes from several tabs are not mistaken for reuse
+  previousRefreshTokenId: { type: String },
+  previousRefreshTokenHash: { type: String },
+  rotatedAt: { type: Date },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: {
+    type: String,
+    enum: [
+      "logout",
+      "logout_all",
+      "revoked",
+      "reuse_detected",
+      "password_changed",
+      "password_reset",
+      "two_factor_enabled",
+      "account_deletion",
+    ],
+  },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+});
+
+sessionSchema.index({ userId: 1, lastUsedAt: -1 });
+sessionSchema.index({ refreshTokenId: 1 });
+sessionSchema.index({ rotatedTokenIds: 1 });
+// Removed by MongoDB once expired; revoked sessions are kept until then so
+// reuse of their old refresh tokens is still recognised
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = function (reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  this.refreshTokenHash = undefined;
+  this.previousRefreshTokenHash = undefined;
+};
+
+// Fields shown to the user; token data never leaves the server
+sessionSchema.methods.toPublicJSON = function (currentSessionId) {
+  return {
+    id: this._id,
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: Boolean(currentSessionId) && this._id.equals(currentSessionId),
+  };
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,72 @@
+var mongoose = require("mongoose");
+var {
+  encryptValue,
+  decryptValue,
+  hasEncryptionConfig,
+  isEncrypted,
+} = require("../utils/encryption");
+
+// Stored as encrypted JSON, like AIAnalysis.results
+var ENCRYPTED_JSON_FIELDS = ["stats", "narrative"];
+
+// Weekly or monthly report aggregating a user's stored AI analyses
+var trendReportSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  periodType: { type: String, enum: ["week", "month"], required: true },
+  periodStart: { type: String, required: true }, // YYYY-MM-DD
+  periodEnd: { type: String, required: true }, // YYYY-MM-DD, inclusive
+  // False while the period is still running; the scheduler regenerates
+  // incomplete reports once the period is over
+  complete: { type: Boolean, default: false },
+  analysisCount: { type: Number, default: 0 },
+  // Emotion distribution, sentiment trajectory and assessment scores
+  stats: { type: mongoose.Schema.Types.Mixed, required: true },
+  // { summary, highlights, suggestions }
+  narrative: { type: mongoose.Schema.Types.Mixed, required: true },
+  language: { type: String },
+  aiPowered: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+trendReportSchema.index(
+  { userId: 1, periodType: 1, periodStart: 1 },
+  { unique: true }
+);
+trendReportSchema.index({ userId: 1, periodStart: -1 });
+
+trendReportSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  if (hasEncryptionConfig()) {
+    ENCRYPTED_JSON_FIELDS.forEach((field) => {
+      if (this.isModified(field) && this[field]) {
+        const serialized =
+          typeof this[field] === "string"
+            ? this[field]
+            : JSON.stringify(this[field]);
+        if (!isEncrypted(serialized)) {
+          this[field] = encryptValue(serialized);
+        }
+      }
+    });
+  }
+  next();
+});
+
+function decryptReport(doc) {
+  if (!hasEncryptionConfig()) return;
+  ENCRYPTED_JSON_FIELDS.forEach((field) => {
+    if (typeof doc[field] !== "string") return;
+    try {
+      doc[field] = JSON.parse(decryptValue(doc[field]));
+    } catch (err) {
+      console.error(`Decrypt trend report ${field} failed`, err.message);
+    }
+  });
+}
+
+trendReportSchema.post("init", decryptReport);
+// Saved documents are returned in responses, so keep them readable
+trendReportSchema.post("save", decryptReport);
+
+module.exports = mongoose.model("TrendReport", trendReportSchema);
@@ -1,12 +1,32 @@
 var mongoose = require("mongoose");
 
+// AI usage of one feature on one day
+var aiFeatureUsageSchema = new mongoose.Schema(
+  {
+    calls: { type: Number, default: 0 },
+    cachedCalls: { type: Number, default: 0 },
+    inputTokens: { type: Number, default: 0 },
+    outputTokens: { type: Number, default: 0 },
+    cost: { type: Number, default: 0 }, // USD
+  },
+  { _id: false }
+);
+
 var usageSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   date: { type: String, required: true }, // YYYY-MM-DD
   basicSuggestionsUsed: { type: Number, default: 0 },
   createdJournals: { type: Number, default: 0 },
+  // AI totals for the day; provider calls only, cache hits are counted apart
+  aiCalls: { type: Number, default: 0 },
+  aiCachedCalls: { type: Number, default: 0 },
+  aiInputTokens: { type: Number, default: 0 },
+  aiOutputTokens: { type: Number, default: 0 },
+  aiCost: { type: Number, default: 0 }, // USD, priced when the call was made
+  aiFeatures: { type: Map, of: aiFeatureUsageSchema, default: {} },
 });
 
 usageSchema.index({ userId: 1, date: 1 }, { unique: true });
+usageSchema.index({ date: 1 });
 
 module.exports = mongoose.model("Usage", usageSchema);
@@ -1,5 +1,6 @@
 var mongoose = require("mongoose");
 var bcrypt = require("bcryptjs");
+var { SUPPORTED_LANGUAGES } = require("../utils/language");
 
 var userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
@@ -7,30 +8,49 @@ var userSchema = new mongoose.Schema({
   name: { type: String },
   googleId: { type: String },
   isEmailVerified: { type: Boolean, default: false },
-  emailVerificationCode: { type: String },
-  resetPasswordCode: { type: String },
   plan: { type: String, enum: ["free", "premium"], default: "free" },
   premiumExpiresAt: { type: Date },
   premiumStartedAt: { type: Date },
   role: { type: String, enum: ["user", "admin"], default: "user" },
   avatar: { type: String },
+  // Language for AI output; null means detect it from what the user writes
+  preferredLanguage: { type: String, enum: SUPPORTED_LANGUAGES, default: null },
   pendingEmail: { type: String },
   createdAt: { type: Date, default: Date.now },
+  // Single refresh token from before per-device sessions (models/Session.js);
+  // moved into a session the first time it is used
   refreshTokenHash: { type: String },
   refreshTokenExpiresAt: { type: Date },
   refreshTokenId: { type: String },
+  // Failed sign-ins and progressive lockout (see utils/loginLockout.js)
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: { type: Date },
+  lockoutCount: { type: Number, default: 0 },
+  // Embedded in access tokens (`ver`); bumping it invalidates all of them
+  tokenVersion: { type: Number, default: 0 },
+  // TOTP two-factor authentication (see utils/twoFactor.js); secrets are
+  // encrypted and recovery codes stored as SHA-256 hashes
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorEnabledAt: { type: Date },
+  twoFactorSecret: { type: String },
+  twoFactorPendingSecret: { type: String },
+  twoFactorLastUsedStep: { type: Number },
+  twoFactorRecoveryCodes: { type: [String], default: [] },
+  // Self-service account deletion (see utils/accountDeletion.js)
+  deletionRequestedAt: { type: Date },
+  deletionScheduledFor: { type: Date },
 });
 
-userSchema.methods.setRefreshToken = async function (
-  secret,
-  expiresAt,
-  tokenId
-) {
-  const salt = await bcrypt.genSalt(10);
-  this.refreshTokenHash = await bcrypt.hash(secret, salt);
-  this.refreshTokenExpiresAt = expiresAt;
-  this.refreshTokenId = tokenId;
-};
+// A new password or role must not be usable with tokens issued before it
+userSchema.pre("save", function (next) {
+  if (
+    !this.isNew &&
+    (this.isModified("passwordHash") || this.isModified("role"))
+  ) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  next();
+});
 
 userSchema.methods.clearRefreshToken = function () {
   this.refreshTokenHash = undefined;
@@ -3,6 +3,9 @@ const router = express.Router();
 const User = require("../models/User");
 const Payment = require("../models/Payment");
 const Journal = require("../models/Journal");
+const SafetyEvent = require("../models/SafetyEvent");
+const Usage = require("../models/Usage");
+const { getQuotaPeriod } = require("../utils/aiUsage");
 const { requireAdminAuth } = require("../middlewares/adminAuth");
 
 /**
@@ -255,7 +258,7 @@ router.get("/users", requireAdminAuth, async (req, res) => {
     // Get users
     const users = await User.find(query)
       .select(
-        "name email plan premiumExpiresAt premiumStartedAt role createdAt"
+        "name email plan premiumExpiresAt premiumStartedAt role twoFactorEnabled createdAt"
       )
       .sort({ createdAt: -1 })
       .skip(skip)
@@ -297,6 +300,7 @@ router.get("/users", requireAdminAuth, async (req, res) => {
  * /api/admin/users/{userId}/toggle-role:
  *   patch:
  *     summary: "Toggle user role between user and admin (chỉ dùng để test)"
+ *     description: The user's outstanding access tokens stop working; their sessions stay signed in and pick up the new role on the next refresh.
  *     tags: [Admin]
  *     security: [{ bearerAuth: [] }]
  *     parameters:
@@ -778,6 +782,313 @@ router.get("/payments", requireAdminAuth, async (req, res) => {
   }
 });
 
+/**
+ * @openapi
+ * /api/admin/ai-usage:
+ *   get:
+ *     summary: "AI calls, tokens and estimated spend per user and per feature"
+ *     tags: [Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-01-01"
+ *         description: First day (YYYY-MM-DD), defaults to the start of the current month
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2025-01-31"
+ *         description: Last day (YYYY-MM-DD), defaults to the end of the current month
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 20
+ *         description: Number of top users to return
+ *     responses:
+ *       200:
+ *         description: AI usage report (cost in USD)
+ *       400:
+ *         description: Invalid date range
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+router.get("/ai-usage", requireAdminAuth, async (req, res) => {
+  try {
+    const period = getQuotaPeriod();
+    const from = req.query.from || period.start;
+    const to = req.query.to || period.end;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(from) || !datePattern.test(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be YYYY-MM-DD dates with from <= to",
+      });
+    }
+
+    const match = {
+      $match: { date: { $gte: from, $lte: to }, aiCalls: { $exists: true } },
+    };
+    const sums = {
+      calls: { $sum: "$aiCalls" },
+      cachedCalls: { $sum: "$aiCachedCalls" },
+      inputTokens: { $sum: "$aiInputTokens" },
+      outputTokens: { $sum: "$aiOutputTokens" },
+      cost: { $sum: "$aiCost" },
+    };
+
+    const [totals, byFeature, byUser, byDay] = await Promise.all([
+      Usage.aggregate([
+        match,
+        { $group: { _id: null, ...sums } },
+        { $project: { _id: 0 } },
+      ]),
+      Usage.aggregate([
+        match,
+        { $project: { features: { $objectToArray: "$aiFeatures" } } },
+        { $unwind: "$features" },
+        {
+          $group: {
+            _id: "$features.k",
+            calls: { $sum: "$features.v.calls" },
+            cachedCalls: { $sum: "$features.v.cachedCalls" },
+            inputTokens: { $sum: "$features.v.inputTokens" },
+            outputTokens: { $sum: "$features.v.outputTokens" },
+            cost: { $sum: "$features.v.cost" },
+          },
+        },
+        { $sort: { cost: -1, calls: -1 } },
+      ]),
+      Usage.aggregate([
+        match,
+        { $group: { _id: "$userId", ...sums } },
+        { $sort: { cost: -1, calls: -1 } },
+        { $limit: limit },
+        {
+          $lookup: {
+            from: "users",
+            localField: "_id",
+            foreignField: "_id",
+            as: "user",
+          },
+        },
+        { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            userId: "$_id",
+            _id: 0,
+            name: "$user.name",
+            email: "$user.email",
+            plan: "$user.plan",
+            calls: 1,
+            cachedCalls: 1,
+            inputTokens: 1,
+            outputTokens: 1,
+            cost: 1,
+          },
+        },
+      ]),
+      Usage.aggregate([
+        match,
+        { $group: { _id: "$date", ...sums } },
+        { $sort: { _id: 1 } },
+      ]),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        period: { from, to },
+        totals: totals[0] || {
+          calls: 0,
+          cachedCalls: 0,
+          inputTokens: 0,
+          outputTokens: 0,
+          cost: 0,
+        },
+        byFeature: byFeature.map(({ _id, ...rest }) => ({
+          feature: _id,
+          ...rest,
+        })),
+        byUser,
+        byDay: byDay.map(({ _id, ...rest }) => ({ date: _id, ...rest })),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting AI usage report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving AI usage report",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/safety-events:
+ *   get:
+ *     summary: "Anonymised crisis detections for follow-up (no user or journal data)"
+ *     tags: [Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, reviewed]
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [medium, high]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Safety events with counts by level and source for the last 30 days
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+router.get("/safety-events", requireAdminAuth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    // Build query
+    let query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.level) {
+      query.level = req.query.level;
+    }
+
+    // Calculate pagination
+    const totalEvents = await SafetyEvent.countDocuments(query);
+    const totalPages = Math.ceil(totalEvents / limit);
+    const skip = (page - 1) * limit;
+
+    const events = await SafetyEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Last 30 days summary
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const [byLevel, bySource] = await Promise.all([
+      SafetyEvent.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: "$level", count: { $sum: 1 } } },
+      ]),
+      SafetyEvent.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: "$source", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        summary: {
+          since,
+          byLevel: Object.fromEntries(byLevel.map((r) => [r._id, r.count])),
+          bySource: Object.fromEntries(bySource.map((r) => [r._id, r.count])),
+          open: await SafetyEvent.countDocuments({ status: "open" }),
+        },
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalEvents,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error getting safety events:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving safety events",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/safety-events/{eventId}/review:
+ *   patch:
+ *     summary: "Mark a safety event as reviewed"
+ *     tags: [Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Safety event updated
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Safety event not found
+ *       500:
+ *         description: Server error
+ */
+router.patch(
+  "/safety-events/:eventId/review",
+  requireAdminAuth,
+  async (req, res) => {
+    try {
+      const event = await SafetyEvent.findByIdAndUpdate(
+        req.params.eventId,
+        { status: "reviewed", reviewedAt: new Date() },
+        { new: true }
+      );
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: "Safety event not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Safety event marked as reviewed",
+        data: event,
+      });
+    } catch (error) {
+      console.error("Error reviewing safety event:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error reviewing safety event",
+        error: error.message,
+      });
+    }
+  }
+);
+
 /**
  * @openapi
  * /api/admin/system/health:
@@ -802,6 +1113,7 @@ router.get("/payments", requireAdminAuth, async (req, res) => {
  *                       type: object
  *                     ai:
  *                       type: object
+ *                       description: "Provider status and AI result cache counters (hits, misses, hitRate, entries)"
  *                     memory:
  *                       type: object
  *                     uptime:
@@ -814,7 +1126,8 @@ router.get("/payments", requireAdminAuth, async (req, res) => {
 router.get("/system/health", requireAdminAuth, async (req, res) => {
   try {
     const mongoose = require("mongoose");
-    const { isAIAvailable } = require("../utils/aiService");
+    const { isAIAvailable, getAIProviderInfo } = require("../utils/aiService");
+    const { getCacheStats } = require("../utils/aiCache");
 
     // Database health
     const dbState = mongoose.connection.readyState;
@@ -836,6 +1149,8 @@ router.get("/system/health", requireAdminAuth, async (req, res) => {
 
     // AI service status
     const aiStatus = isAIAvailable();
+    const aiProvider = getAIProviderInfo();
+    const aiCache = await getCacheStats();
 
     // System uptime
     const uptime = Math.round(process.uptime());
@@ -850,7 +1165,10 @@ router.get("/system/health", requireAdminAuth, async (req, res) => {
         },
         ai: {
           available: aiStatus,
-          service: "Google Gemini API",
+          service: aiProvider ? aiProvider.label : "Not configured",
+          provider: aiProvider ? aiProvider.name : null,
+          model: aiProvider ? aiProvider.model : null,
+          cache: aiCache,
         },
         memory: {
           ...memUsageMB,
@@ -1,47 +1,74 @@
 var express = require("express");
+var mongoose = require("mongoose");
 var router = express.Router();
 var bcrypt = require("bcryptjs");
-var jwt = require("jsonwebtoken");
 var { body, validationResult } = require("express-validator");
 var passport = require("passport");
-var { v4: uuidv4 } = require("uuid");
 var User = require("../models/User");
 var mailer = require("../utils/mailer");
 var { requireAuth } = require("../middlewares/auth");
-var crypto = require("crypto");
+var { rateLimit } = require("../middlewares/rateLimit");
+var Session = require("../models/Session");
+var {
+  ACCESS_TOKEN_MINUTES,
+  issueAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+} = require("../utils/sessions");
+var {
+  CHALLENGE_TOKEN_MINUTES,
+  buildOtpAuthUri,
+  verifySecondFactor,
+  startEnrolment,
+  completeEnrolment,
+  disableTwoFactor,
+  generateRecoveryCodes,
+  issueChallengeToken,
+  verifyChallengeToken,
+} = require("../utils/twoFactor");
+var {
+  CODE_ERROR_MESSAGES,
+  issueCode,
+  consumeCode,
+  discardCodes,
+} = require("../utils/oneTimeCodes");
+var {
+  getLockRemainingSeconds,
+  recordFailedLogin,
+  clearFailedLogins,
+} = require("../utils/loginLockout");
 
-const REFRESH_TOKEN_MAX_AGE_DAYS_RAW = Number.parseInt(
-  process.env.REFRESH_TOKEN_DAYS || "30",
-  10
-);
-const REFRESH_TOKEN_MAX_AGE_DAYS =
-  Number.isFinite(REFRESH_TOKEN_MAX_AGE_DAYS_RAW) &&
-  REFRESH_TOKEN_MAX_AGE_DAYS_RAW > 0
-    ? REFRESH_TOKEN_MAX_AGE_DAYS_RAW
-    : 30;
-
-function issueAccessToken(userId) {
-  return jwt.sign({ sub: userId }, process.env.JWT_SECRET || "secret", {
-    expiresIn: "7d",
-  });
-}
-
-function createRefreshTokenPayload() {
-  const tokenId = uuidv4();
-  const secret = crypto.randomBytes(48).toString("hex");
-  const token = `${tokenId}.${secret}`;
-  const expiresAt = new Date(
-    Date.now() + REFRESH_TOKEN_MAX_AGE_DAYS * 24 * 60 * 60 * 1000
-  );
-  return { token, tokenId, secret, expiresAt };
-}
+// Brute-force protection. Wrong passwords and second factors also count
+// towards locking the account (utils/loginLockout.js).
+var loginRateLimit = rateLimit("login", [
+  { by: "ip", max: 20, windowMinutes: 15 },
+  { by: "email", max: 10, windowMinutes: 15 },
+]);
+var twoFactorRateLimit = rateLimit("2fa", [
+  { by: "ip", max: 20, windowMinutes: 15 },
+  { by: "user", max: 10, windowMinutes: 15 },
+]);
+// Entering emailed codes (/verify, /reset)
+var codeRateLimit = rateLimit("code", [
+  { by: "ip", max: 20, windowMinutes: 15 },
+  { by: "email", max: 10, windowMinutes: 15 },
+]);
+// Requests that send an email
+var emailRateLimit = rateLimit("email", [
+  { by: "ip", max: 10, windowMinutes: 60 },
+  { by: "email", max: 5, windowMinutes: 60 },
+]);
 
-function setRefreshCookie(res, token, expiresAt) {
+// Without "remember me" the cookie is dropped when the browser closes
+function setRefreshCookie(res, token, expiresAt, persistent) {
   res.cookie("refresh_token", token, {
     httpOnly: true,
     secure: process.env.NODE_ENV === "production",
     sameSite: "strict",
-    expires: expiresAt,
+    expires: persistent ? expiresAt : undefined,
   });
 }
 
@@ -53,6 +80,57 @@ function clearRefreshCookie(res) {
   });
 }
 
+// Start a session for a user who passed every login step
+async function sendLoginResponse(req, res, user, options) {
+  // Each device gets its own session, so other devices stay signed in
+  const { session, accessToken, refreshToken } = await createSession(
+    user,
+    req,
+    options
+  );
+  setRefreshCookie(
+    res,
+    refreshToken.token,
+    refreshToken.expiresAt,
+    session.persistent
+  );
+
+  res.json({
+    accessToken,
+    token: accessToken,
+    expiresIn: ACCESS_TOKEN_MINUTES * 60,
+    sessionId: session._id,
+    user: {
+      id: user._id,
+      email: user.email,
+      plan: user.plan,
+      role: user.role,
+      name: user.name,
+      avatar: user.avatar,
+      twoFactorEnabled: Boolean(user.twoFactorEnabled),
+    },
+  });
+}
+
+// Codes are only returned in the response outside production, for testing
+function withDevCode(payload, key, code) {
+  if (process.env.NODE_ENV !== "production") payload[key] = code;
+  return payload;
+}
+
+function sendCodeError(res, error) {
+  return res.status(400).json({ message: CODE_ERROR_MESSAGES[error] });
+}
+
+function sendAccountLocked(res, retryAfter) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    message:
+      "Too many failed sign-in attempts. The account is temporarily locked; try again later or reset your password.",
+    retryAfter,
+  });
+}
+
 /**
  * @openapi
  * /api/auth/register:
@@ -73,57 +151,49 @@ function clearRefreshCookie(res) {
  *                 type: string
  *     responses:
  *       200:
- *         description: Registered and verification email sent
+ *         description: Registered and verification email sent (the code expires in 10 minutes)
  */
 router.post(
   "/register",
+  emailRateLimit,
   [body("email").isEmail(), body("password").isLength({ min: 6 })],
-  function (req, res) {
+  async function (req, res) {
     var errors = validationResult(req);
     if (!errors.isEmpty())
       return res.status(400).json({ errors: errors.array() });
 
     var email = req.body.email.toLowerCase();
-    var password = req.body.password;
-    User.findOne({ email: email })
-      .then(function (existing) {
-        if (existing)
-          return res.status(409).json({ message: "Email already used" });
-        return bcrypt.hash(password, 10).then(function (hash) {
-          var code = uuidv4().slice(0, 6).toUpperCase();
-          var user = new User({
-            email: email,
-            passwordHash: hash,
-            emailVerificationCode: code,
-            plan: "free",
-          });
-          return user.save().then(function (saved) {
-            console.log(
-              "[DEBUG] User saved successfully, attempting to send email to:",
-              email
-            );
-            return mailer.sendVerificationEmail(email, code).then(function () {
-              var payload = {
-                message: "Registered. Check email for verification code.",
-              };
-              if (process.env.NODE_ENV !== "production") {
-                payload.devVerificationCode = code;
-              }
-              console.log("[DEBUG] Email sent successfully to:", email);
-              res.json(payload);
-            });
-          });
-        });
-      })
-      .catch(function (err) {
-        console.error(
-          "[ERROR] Failed to send email to:",
-          email,
-          "Error:",
-          err.message
-        );
-        res.status(500).json({ message: err.message });
+    try {
+      var existing = await User.findOne({ email: email });
+      if (existing)
+        return res.status(409).json({ message: "Email already used" });
+
+      var user = new User({
+        email: email,
+        passwordHash: await bcrypt.hash(req.body.password, 10),
+        plan: "free",
       });
+      await user.save();
+      var { code } = await issueCode(user._id, "email_verification");
+      await mailer.sendVerificationEmail(email, code);
+      console.log("[DEBUG] Verification email sent to:", email);
+
+      res.json(
+        withDevCode(
+          { message: "Registered. Check email for verification code." },
+          "devVerificationCode",
+          code
+        )
+      );
+    } catch (err) {
+      console.error(
+        "[ERROR] Failed to send email to:",
+        email,
+        "Error:",
+        err.message
+      );
+      res.status(500).json({ message: err.message });
+    }
   }
 );
 
@@ -133,6 +203,7 @@ router.post(
  * /api/auth/verify:
  *   post:
  *     summary: Verify email with code
+ *     description: A code allows 5 attempts; after that, or once it expires, request a new one.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -146,30 +217,84 @@ router.post(
  *               code: { type: string }
  *     responses:
  *       200: { description: Verified }
+ *       400: { description: Invalid, expired or exhausted code }
  */
 router.post(
   "/verify",
+  codeRateLimit,
   [body("email").isEmail(), body("code").isLength({ min: 6 })],
-  function (req, res) {
+  async function (req, res) {
     var errors = validationResult(req);
     if (!errors.isEmpty())
       return res.status(400).json({ errors: errors.array() });
-    User.findOne({ email: req.body.email.toLowerCase() })
-      .then(function (user) {
-        if (!user) return res.status(404).json({ message: "User not found" });
-        if (user.isEmailVerified)
-          return res.json({ message: "Already verified" });
-        if (user.emailVerificationCode !== req.body.code)
-          return res.status(400).json({ message: "Invalid code" });
-        user.isEmailVerified = true;
-        user.emailVerificationCode = undefined;
-        return user.save().then(function () {
-          res.json({ message: "Email verified" });
-        });
-      })
-      .catch(function (err) {
-        res.status(500).json({ message: err.message });
-      });
+    try {
+      var user = await User.findOne({ email: req.body.email.toLowerCase() });
+      if (!user) return sendCodeError(res, "invalid");
+      if (user.isEmailVerified)
+        return res.json({ message: "Already verified" });
+
+      var result = await consumeCode(
+        user._id,
+        "email_verification",
+        req.body.code
+      );
+      if (result.error) return sendCodeError(res, result.error);
+
+      user.isEmailVerified = true;
+      await user.save();
+      res.json({ message: "Email verified" });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification code
+ *     description: The response is the same whether or not the email is registered. A new code can be sent once a minute.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string }
+ *     responses:
+ *       200: { description: Sent if the account exists and is not verified yet }
+ */
+router.post(
+  "/resend-verification",
+  emailRateLimit,
+  [body("email").isEmail()],
+  async function (req, res) {
+    var errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    var payload = {
+      message:
+        "If this email is registered and not verified yet, a new code has been sent.",
+    };
+    try {
+      var user = await User.findOne({ email: req.body.email.toLowerCase() });
+      if (user && !user.isEmailVerified) {
+        var issued = await issueCode(user._id, "email_verification");
+        if (!issued.error) {
+          await mailer.sendVerificationEmail(user.email, issued.code);
+          withDevCode(payload, "devVerificationCode", issued.code);
+        }
+      }
+      res.json(payload);
+    } catch (err) {
+      console.error("[ERROR] Resend verification error:", err.message);
+      res.status(500).json({ message: err.message });
+    }
   }
 );
 
@@ -192,14 +317,30 @@ router.post(
  *               password: { type: string }
  *               rememberMe: {
  *                 type: boolean,
- *                 description: "If true, issues a long-lived refresh token stored as HttpOnly cookie",
+ *                 description: "If true, the refresh token cookie lasts REFRESH_TOKEN_DAYS; otherwise it ends with the browser session (at most 24 hours)",
  *                 default: false,
  *               }
+ *               deviceName: {
+ *                 type: string,
+ *                 description: "Name shown in the session list; derived from the User-Agent when omitted",
+ *               }
  *     responses:
- *       200: { description: JWT issued }
+ *       200:
+ *         description: |
+ *           JWT issued, valid for `expiresIn` seconds; renew it with /api/auth/refresh.
+ *           With two-factor authentication enabled the response is instead
+ *           `{ twoFactorRequired: true, challengeToken, expiresIn }`; send the challenge
+ *           token with a code to /api/auth/login/2fa.
+ *       401: { description: Invalid credentials }
+ *       429:
+ *         description: |
+ *           Too many attempts from this IP or for this email, or the account is locked after
+ *           5 failed sign-ins in a row (15 minutes, doubling with each further lock up to a day;
+ *           the owner is emailed). Retry-After gives the wait.
  */
 router.post(
   "/login",
+  loginRateLimit,
   [body("email").isEmail(), body("password").isLength({ min: 6 })],
   async function (req, res) {
     var errors = validationResult(req);
@@ -216,34 +357,36 @@ router.post(
       if (!user.isEmailVerified)
         return res.status(403).json({ message: "Email not verified" });
 
+      const lockedFor = getLockRemainingSeconds(user);
+      if (lockedFor > 0) return sendAccountLocked(res, lockedFor);
+
       const ok = await bcrypt.compare(req.body.password, user.passwordHash);
-      if (!ok) return res.status(401).json({ message: "Invalid credentials" });
-
-      const accessToken = issueAccessToken(user._id);
-
-      if (remember) {
-        const { token, tokenId, secret, expiresAt } =
-          createRefreshTokenPayload();
-        await user.setRefreshToken(secret, expiresAt, tokenId);
-        await user.save();
-        setRefreshCookie(res, token, expiresAt);
-      } else {
-        user.clearRefreshToken();
-        await user.save();
-        clearRefreshCookie(res);
+      if (!ok) {
+        const { lockedUntil } = await recordFailedLogin(user);
+        if (lockedUntil) {
+          return sendAccountLocked(
+            res,
+            getLockRemainingSeconds({ lockedUntil })
+          );
+        }
+        return res.status(401).json({ message: "Invalid credentials" });
       }
 
-      res.json({
-        accessToken,
-        token: accessToken,
-        user: {
-          id: user._id,
-          email: user.email,
-          plan: user.plan,
-          role: user.role,
-          name: user.name,
-          avatar: user.avatar,
-        },
+      if (user.twoFactorEnabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: issueChallengeToken(user, {
+            remember,
+            deviceName: req.body.deviceName,
+          }),
+          expiresIn: CHALLENGE_TOKEN_MINUTES * 60,
+        });
+      }
+
+      await clearFailedLogins(user);
+      await sendLoginResponse(req, res, user, {
+        remember,
+        deviceName: req.body.deviceName,
       });
     } catch (err) {
       console.error("Login error", err);
@@ -254,9 +397,10 @@ router.post(
 
 /**
  * @openapi
- * /api/auth/refresh:
+ * /api/auth/login/2fa:
  *   post:
- *     summary: Exchange refresh token for new JWT
+ *     summary: Second login step for accounts with two-factor authentication
+ *     description: Send either a code from the authenticator app or one of the recovery codes; each recovery code works once.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -264,44 +408,113 @@ router.post(
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [challengeToken]
  *             properties:
- *               refreshToken: { type: string }
+ *               challengeToken: { type: string }
+ *               code: { type: string, example: "123456" }
+ *               recoveryCode: { type: string, example: "A1B2C-3D4E5" }
  *     responses:
- *       200: { description: JWT }
+ *       200: { description: JWT issued, as for /api/auth/login }
+ *       401: { description: Invalid or expired challenge token, or wrong code }
+ *       429: { description: Too many attempts, or the account is locked (wrong codes count as failed sign-ins) }
  */
-router.post("/refresh", async function (req, res) {
+router.post("/login/2fa", twoFactorRateLimit, async function (req, res) {
   try {
-    const cookieToken = req.cookies?.refresh_token;
-    if (!cookieToken)
-      return res.status(400).json({ message: "Missing refresh token" });
+    const challenge = verifyChallengeToken(req.body.challengeToken);
+    const user = challenge && (await User.findById(challenge.sub));
+    if (
+      !user ||
+      !user.twoFactorEnabled ||
+      (challenge.ver || 0) !== (user.tokenVersion || 0)
+    ) {
+      return res
+        .status(401)
+        .json({ message: "Login expired; please sign in again" });
+    }
 
-    const parts = cookieToken.split(".");
-    if (parts.length !== 2)
-      return res.status(400).json({ message: "Invalid refresh token format" });
+    const lockedFor = getLockRemainingSeconds(user);
+    if (lockedFor > 0) return sendAccountLocked(res, lockedFor);
 
-    const [tokenId, secret] = parts;
+    const method = verifySecondFactor(user, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode,
+    });
+    if (!method) {
+      const { lockedUntil } = await recordFailedLogin(user);
+      if (lockedUntil) {
+        return sendAccountLocked(res, getLockRemainingSeconds({ lockedUntil }));
+      }
+      return res.status(401).json({ message: "Invalid code" });
+    }
+    await user.save();
+    await clearFailedLogins(user);
+    if (method === "recovery") {
+      console.warn(
+        `⚠️ User ${user._id} signed in with a recovery code, ${user.twoFactorRecoveryCodes.length} left`
+      );
+    }
 
-    const user = await User.findOne({ refreshTokenId: tokenId });
-    if (!user)
-      return res.status(401).json({ message: "Invalid refresh token" });
+    await sendLoginResponse(req, res, user, {
+      remember: challenge.remember,
+      deviceName: challenge.deviceName,
+    });
+  } catch (err) {
+    console.error("2FA login error", err);
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    const isValid = await user.validateRefreshToken(secret, tokenId);
-    if (!isValid)
-      return res.status(401).json({ message: "Invalid refresh token" });
+/**
+ * @openapi
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange the refresh token cookie for a new JWT
+ *     description: |
+ *       The refresh token is rotated on every use. Presenting a refresh token that was already
+ *       used revokes its session, and the device has to sign in again, unless it is the token
+ *       replaced within the last few seconds (several tabs refreshing at once): that request
+ *       gets a JWT but no new cookie. Access tokens last ACCESS_TOKEN_MINUTES (15 by default);
+ *       call this before `expiresIn` runs out.
+ *     tags: [Auth]
+ *     responses:
+ *       200: { description: JWT, and a new refresh token cookie unless another refresh just rotated it }
+ *       400: { description: Missing refresh token }
+ *       401: { description: Invalid, expired, revoked or reused refresh token }
+ */
+router.post("/refresh", async function (req, res) {
+  try {
+    const cookieToken = req.cookies?.refresh_token;
+    if (!cookieToken)
+      return res.status(400).json({ message: "Missing refresh token" });
 
-    const accessToken = issueAccessToken(user._id);
+    const result = await rotateRefreshToken(cookieToken, req);
+    if (result.error) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        message:
+          result.error === "reused"
+            ? "Refresh token was already used; please sign in again"
+            : "Invalid refresh token",
+      });
+    }
 
-    const {
-      token,
-      tokenId: newId,
-      secret: newSecret,
-      expiresAt,
-    } = createRefreshTokenPayload();
-    await user.setRefreshToken(newSecret, expiresAt, newId);
-    await user.save();
-    setRefreshCookie(res, token, expiresAt);
+    const { accessToken, refreshToken, session } = result;
+    // Not rotated when a concurrent refresh already did it
+    if (refreshToken) {
+      setRefreshCookie(
+        res,
+        refreshToken.token,
+        refreshToken.expiresAt,
+        session.persistent
+      );
+    }
 
-    res.json({ accessToken, token: accessToken });
+    res.json({
+      accessToken,
+      token: accessToken,
+      expiresIn: ACCESS_TOKEN_MINUTES * 60,
+      sessionId: session._id,
+    });
   } catch (err) {
     console.error("Refresh error", err);
     res.status(500).json({ message: err.message });
@@ -314,6 +527,9 @@ router.post("/refresh", async function (req, res) {
  * /api/auth/forgot:
  *   post:
  *     summary: Send reset code to email
+ *     description: |
+ *       The response is the same whether or not the email is registered. The code expires in
+ *       10 minutes and a new one can be requested once a minute.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -324,31 +540,38 @@ router.post("/refresh", async function (req, res) {
  *             properties:
  *               email: { type: string }
  *     responses:
- *       200: { description: Sent }
+ *       200: { description: Sent if the account exists }
  */
-router.post("/forgot", [body("email").isEmail()], function (req, res) {
-  var email = req.body.email.toLowerCase();
-  User.findOne({ email: email })
-    .then(function (user) {
-      if (!user) return res.status(404).json({ message: "User not found" });
-      var code = uuidv4().slice(0, 6).toUpperCase();
-      user.resetPasswordCode = code;
-      return user.save().then(function () {
-        console.log(`[DEBUG] Reset code generated for ${email}: ${code}`);
-        return mailer.sendVerificationEmail(email, code).then(function () {
-          var payload = { message: "Reset code sent to email" };
-          if (process.env.NODE_ENV !== "production") {
-            payload.devResetCode = code;
-          }
-          res.json(payload);
-        });
-      });
-    })
-    .catch(function (err) {
+router.post(
+  "/forgot",
+  emailRateLimit,
+  [body("email").isEmail()],
+  async function (req, res) {
+    var errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    var email = req.body.email.toLowerCase();
+    var payload = {
+      message:
+        "If an account exists for this email, a reset code has been sent.",
+    };
+    try {
+      var user = await User.findOne({ email: email });
+      if (user) {
+        var issued = await issueCode(user._id, "password_reset");
+        if (!issued.error) {
+          await mailer.sendPasswordResetEmail(email, issued.code);
+          withDevCode(payload, "devResetCode", issued.code);
+        }
+      }
+      res.json(payload);
+    } catch (err) {
       console.error("[ERROR] Forgot password error:", err.message);
       res.status(500).json({ message: err.message });
-    });
-});
+    }
+  }
+);
 
 /** Reset password using code */
 /**
@@ -356,6 +579,7 @@ router.post("/forgot", [body("email").isEmail()], function (req, res) {
  * /api/auth/reset:
  *   post:
  *     summary: Reset password using email code
+ *     description: A code allows 5 attempts; after that, or once it expires, request a new one.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -370,57 +594,45 @@ router.post("/forgot", [body("email").isEmail()], function (req, res) {
  *               newPassword: { type: string }
  *     responses:
  *       200: { description: Updated }
+ *       400: { description: Invalid, expired or exhausted code }
  */
 router.post(
   "/reset",
+  codeRateLimit,
   [
     body("email").isEmail(),
     body("code").isLength({ min: 6 }),
     body("newPassword").isLength({ min: 6 }),
   ],
-  function (req, res) {
-    var email = req.body.email.toLowerCase();
-    var code = req.body.code.toUpperCase();
-    var newPassword = req.body.newPassword;
-
-    console.log(`[DEBUG] Reset attempt for ${email} with code: ${code}`);
-
-    User.findOne({ email: email })
-      .then(function (user) {
-        if (!user) {
-          console.log(`[DEBUG] User not found: ${email}`);
-          return res.status(404).json({ message: "User not found" });
-        }
-
-        console.log(
-          `[DEBUG] User found, stored code: ${user.resetPasswordCode}, received: ${code}`
-        );
+  async function (req, res) {
+    var errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
 
-        if (!user.resetPasswordCode) {
-          console.log(`[DEBUG] No reset code found for user: ${email}`);
-          return res.status(400).json({
-            message: "No reset code found. Please request a new one.",
-          });
-        }
+    var email = req.body.email.toLowerCase();
+    try {
+      var user = await User.findOne({ email: email });
+      if (!user) return sendCodeError(res, "invalid");
 
-        if (user.resetPasswordCode !== code) {
-          console.log(`[DEBUG] Code mismatch for ${email}`);
-          return res.status(400).json({ message: "Invalid code" });
-        }
+      var result = await consumeCode(user._id, "password_reset", req.body.code);
+      if (result.error) return sendCodeError(res, result.error);
 
-        return bcrypt.hash(newPassword, 10).then(function (hash) {
-          user.passwordHash = hash;
-          user.resetPasswordCode = undefined;
-          return user.save().then(function () {
-            console.log(`[DEBUG] Password updated successfully for ${email}`);
-            res.json({ message: "Password updated" });
-          });
-        });
-      })
-      .catch(function (err) {
-        console.error("[ERROR] Reset password error:", err.message);
-        res.status(500).json({ message: err.message });
-      });
+      user.passwordHash = await bcrypt.hash(req.body.newPassword, 10);
+      // Receiving the code proves the address
+      user.isEmailVerified = true;
+      user.clearRefreshToken();
+      await user.save();
+      await discardCodes(user._id, "email_verification");
+      // Proving access to the email also lifts a sign-in lockout
+      await clearFailedLogins(user);
+      // Every device has to sign in again with the new password
+      await revokeUserSessions(user._id, "password_reset");
+      console.log(`[DEBUG] Password updated successfully for ${email}`);
+      res.json({ message: "Password updated" });
+    } catch (err) {
+      console.error("[ERROR] Reset password error:", err.message);
+      res.status(500).json({ message: err.message });
+    }
   }
 );
 
@@ -442,7 +654,10 @@ router.post(
  *               currentPassword: { type: string }
  *               newPassword: { type: string }
  *     responses:
- *       200: { description: Changed }
+ *       200:
+ *         description: |
+ *           Changed. Other devices are signed out and earlier access tokens stop working;
+ *           the response carries a new `accessToken` for this device.
  */
 router.post(
   "/change-password",
@@ -461,9 +676,24 @@ router.post(
             .json({ message: "Current password incorrect" });
         return bcrypt.hash(req.body.newPassword, 10).then(function (hash) {
           req.user.passwordHash = hash;
-          return req.user.save().then(function () {
-            res.json({ message: "Password changed" });
-          });
+          req.user.clearRefreshToken();
+          var sessionId = req.authInfo.sid;
+          return req.user
+            .save()
+            .then(function () {
+              return revokeUserSessions(
+                req.user._id,
+                "password_changed",
+                sessionId
+              );
+            })
+            .then(function () {
+              res.json({
+                message: "Password changed",
+                accessToken: issueAccessToken(req.user, sessionId),
+                expiresIn: ACCESS_TOKEN_MINUTES * 60,
+              });
+            });
         });
       })
       .catch(function (err) {
@@ -476,7 +706,7 @@ router.post(
  * @openapi
  * /api/auth/logout:
  *   post:
- *     summary: Logout and revoke refresh token
+ *     summary: Logout and revoke the current session
  *     tags: [Auth]
  *     security: [{ bearerAuth: [] }]
  *     responses:
@@ -484,10 +714,14 @@ router.post(
  */
 router.post("/logout", requireAuth, async function (req, res) {
   try {
-    const user = await User.findById(req.user._id);
-    if (user) {
-      user.clearRefreshToken();
-      await user.save();
+    const session = await findUserSession(req, req.authInfo.sid);
+    if (session && !session.revokedAt) {
+      await revokeSession(session, "logout");
+    } else if (!req.authInfo.sid && req.user.refreshTokenId) {
+      // Signed in before sessions existed
+      req.user.clearRefreshToken();
+      req.user.tokenVersion = (req.user.tokenVersion || 0) + 1;
+      await req.user.save();
     }
     clearRefreshCookie(res);
     res.json({ message: "Logged out" });
@@ -496,4 +730,305 @@ router.post("/logout", requireAuth, async function (req, res) {
   }
 });
 
+/**
+ * @openapi
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Sign out on every device
+ *     description: Revokes all sessions and invalidates every access token issued so far, including this one.
+ *     tags: [Auth]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200: { description: Signed out everywhere }
+ */
+router.post("/logout-all", requireAuth, async function (req, res) {
+  try {
+    req.user.tokenVersion = (req.user.tokenVersion || 0) + 1;
+    req.user.clearRefreshToken();
+    await req.user.save();
+    var revoked = await revokeUserSessions(req.user._id, "logout_all");
+    clearRefreshCookie(res);
+    res.json({ message: "Signed out on all devices", revoked });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start enrolling an authenticator app
+ *     description: |
+ *       Returns a new TOTP secret and its otpauth:// URI (render it as a QR code). Two-factor
+ *       authentication is turned on once a code is confirmed with /api/auth/2fa/verify.
+ *     tags: [Auth]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200: { description: "{ secret, otpauthUri }" }
+ *       409: { description: Two-factor authentication is already enabled }
+ */
+router.post("/2fa/setup", requireAuth, async function (req, res) {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+    const secret = startEnrolment(req.user);
+    await req.user.save();
+    res.json({ secret, otpauthUri: buildOtpAuthUri(secret, req.user.email) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Confirm the authenticator app and enable two-factor authentication
+ *     description: |
+ *       Returns the recovery codes; they are shown only this once. Other devices are signed out
+ *       and have to sign in again with a code.
+ *     tags: [Auth]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, example: "123456" }
+ *     responses:
+ *       200: { description: "Enabled; { recoveryCodes }" }
+ *       400: { description: Wrong code, or /api/auth/2fa/setup was not called }
+ *       409: { description: Two-factor authentication is already enabled }
+ */
+router.post(
+  "/2fa/verify",
+  requireAuth,
+  twoFactorRateLimit,
+  async function (req, res) {
+    try {
+      if (req.user.twoFactorEnabled) {
+        return res
+          .status(409)
+          .json({ message: "Two-factor authentication is already enabled" });
+      }
+      const recoveryCodes = completeEnrolment(req.user, req.body.code);
+      if (!recoveryCodes)
+        return res.status(400).json({ message: "Invalid code" });
+      req.user.clearRefreshToken();
+      await req.user.save();
+      await revokeUserSessions(
+        req.user._id,
+        "two_factor_enabled",
+        req.authInfo.sid
+      );
+
+      res.json({
+        message: "Two-factor authentication enabled",
+        recoveryCodes,
+      });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Requires the password (for accounts that have one) and a code or recovery code. Admin accounts cannot turn it off.
+ *     tags: [Auth]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password: { type: string }
+ *               code: { type: string }
+ *               recoveryCode: { type: string }
+ *     responses:
+ *       200: { description: Disabled }
+ *       400: { description: Two-factor authentication is not enabled }
+ *       401: { description: Wrong password or code }
+ *       403: { description: Required for admin accounts }
+ */
+router.post(
+  "/2fa/disable",
+  requireAuth,
+  twoFactorRateLimit,
+  async function (req, res) {
+    try {
+      if (!req.user.twoFactorEnabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+      if (req.user.isAdmin()) {
+        return res.status(403).json({
+          message: "Two-factor authentication is required for admin accounts",
+        });
+      }
+      if (
+        req.user.passwordHash &&
+        !(await bcrypt.compare(req.body.password || "", req.user.passwordHash))
+      ) {
+        return res.status(401).json({ message: "Password incorrect" });
+      }
+      if (!verifySecondFactor(req.user, req.body)) {
+        return res.status(401).json({ message: "Invalid code" });
+      }
+
+      disableTwoFactor(req.user);
+      await req.user.save();
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     description: The previous recovery codes stop working. Requires a code from the authenticator app.
+ *     tags: [Auth]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200: { description: "{ recoveryCodes }" }
+ *       400: { description: Two-factor authentication is not enabled }
+ *       401: { description: Invalid code }
+ */
+router.post(
+  "/2fa/recovery-codes",
+  requireAuth,
+  twoFactorRateLimit,
+  async function (req, res) {
+    try {
+      if (!req.user.twoFactorEnabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+      if (!verifySecondFactor(req.user, { code: req.body.code })) {
+        return res.status(401).json({ message: "Invalid code" });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      req.user.twoFactorRecoveryCodes = hashes;
+      await req.user.save();
+      res.json({ recoveryCodes: codes });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+// A session of the signed-in user, or null
+function findUserSession(req, sessionId) {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return Promise.resolve(null);
+  }
+  return Session.findOne({ _id: sessionId, userId: req.user._id });
+}
+
+/**
+ * @openapi
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the devices you are signed in on
+ *     tags: [Auth]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first; `current` marks this device
+ */
+router.get("/sessions", requireAuth, async function (req, res) {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    res.json({
+      sessions: sessions.map((session) =>
+        session.toPublicJSON(req.authInfo.sid)
+      ),
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Sign out of all other devices
+ *     tags: [Auth]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200: { description: Other sessions revoked (count in `revoked`) }
+ */
+router.delete("/sessions", requireAuth, async function (req, res) {
+  try {
+    const revoked = await revokeUserSessions(
+      req.user._id,
+      "revoked",
+      req.authInfo.sid
+    );
+    res.json({ message: "Signed out of other devices", revoked: revoked });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out of one device
+ *     tags: [Auth]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200: { description: Session revoked }
+ *       404: { description: Session not found }
+ */
+router.delete("/sessions/:sessionId", requireAuth, async function (req, res) {
+  try {
+    const session = await findUserSession(req, req.params.sessionId);
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    await revokeSession(session, "revoked");
+    if (session._id.equals(req.authInfo.sid)) clearRefreshCookie(res);
+    res.json({ message: "Session revoked" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 module.exports = router;
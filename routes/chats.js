@@ -0,0 +1,472 @@
+var express = require("express");
+var mongoose = require("mongoose");
+var router = express.Router();
+var ChatThread = require("../models/ChatThread");
+var ChatMessage = require("../models/ChatMessage");
+var { requireAuth, requirePremium } = require("../middlewares/auth");
+var { enforceAIQuota } = require("../middlewares/aiQuota");
+var { aiRateLimit } = require("../middlewares/rateLimit");
+var { runSafetyCheck } = require("../utils/safety");
+var {
+  MAX_JOURNALS_PER_THREAD,
+  MAX_MESSAGE_LENGTH,
+  resolveThreadJournals,
+  sendChatMessage,
+  buildThreadTitle,
+  deleteChatThread,
+} = require("../utils/chatThreads");
+
+// Message body check shared by thread creation and replies
+function validateMessage(message, required) {
+  if (message === undefined && !required) return null;
+  if (typeof message !== "string" || !message.trim()) {
+    return "Message is required";
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return `Message must be at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  return null;
+}
+
+async function findUserThread(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.threadId)) return null;
+  return ChatThread.findOne({ _id: req.params.threadId, userId: req.user._id });
+}
+
+/**
+ * @openapi
+ * /api/chats:
+ *   get:
+ *     summary: "List journaling assistant conversations, most recent first"
+ *     tags: [Chats]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Threads without their messages
+ */
+router.get("/", requireAuth, async function (req, res) {
+  try {
+    var page = Math.max(1, parseInt(req.query.page) || 1);
+    var limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    var query = { userId: req.user._id };
+
+    var [threads, total] = await Promise.all([
+      ChatThread.find(query)
+        .sort({ lastMessageAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select("-summary"),
+      ChatThread.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        threads: threads,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalThreads: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Error getting conversations",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/chats:
+ *   post:
+ *     summary: "Start a conversation about your journals (Premium only)"
+ *     description: |
+ *       When `message` is given the assistant replies straight away. Long conversations are
+ *       kept within the model's context by summarising older turns.
+ *     tags: [Chats]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the start of the first message
+ *               journalIds:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *               message:
+ *                 type: string
+ *                 maxLength: 4000
+ *     responses:
+ *       201:
+ *         description: Created thread, plus the first exchange when a message was sent
+ *       400:
+ *         description: Invalid message or journal ids
+ *       429:
+ *         description: Monthly AI quota reached (data.resetAt and Retry-After give the reset time)
+ */
+router.post(
+  "/",
+  requireAuth,
+  requirePremium,
+  aiRateLimit,
+  enforceAIQuota("chat"),
+  async function (req, res) {
+    try {
+      var { title, journalIds = [], message } = req.body || {};
+
+      var messageError = validateMessage(message, false);
+      if (messageError) {
+        return res.status(400).json({ success: false, message: messageError });
+      }
+      if (!Array.isArray(journalIds)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "journalIds must be an array" });
+      }
+      if (journalIds.length > MAX_JOURNALS_PER_THREAD) {
+        return res.status(400).json({
+          success: false,
+          message: `A conversation can include at most ${MAX_JOURNALS_PER_THREAD} journals`,
+        });
+      }
+      if (!journalIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid journal id" });
+      }
+      var ids = await resolveThreadJournals(req.user._id, journalIds);
+      if (!ids) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Journal not found" });
+      }
+
+      var thread = new ChatThread({
+        userId: req.user._id,
+        title:
+          typeof title === "string" && title.trim()
+            ? title.trim().slice(0, 120)
+            : buildThreadTitle(message),
+        journalIds: ids,
+      });
+
+      var exchange = null;
+      var safety = null;
+      if (message) {
+        safety = await runSafetyCheck({
+          user: req.user,
+          text: message,
+          source: "chat",
+          req,
+        });
+        // Saves the thread along with the first exchange
+        exchange = await sendChatMessage(
+          thread,
+          message.trim(),
+          req.user.preferredLanguage
+        );
+      } else {
+        await thread.save();
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          thread: thread,
+          messages: exchange
+            ? [exchange.userMessage, exchange.assistantMessage]
+            : [],
+          ...(safety && { safety }),
+        },
+      });
+    } catch (err) {
+      console.error("Error creating conversation:", err);
+      res.status(500).json({
+        success: false,
+        message: "Error creating conversation",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/chats/{threadId}:
+ *   get:
+ *     summary: "Get a conversation with its messages"
+ *     description: Messages are returned oldest first; `before` pages back through older ones.
+ *     tags: [Chats]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 50
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Only messages older than this message id
+ *     responses:
+ *       200:
+ *         description: Thread and messages
+ *       404:
+ *         description: Conversation not found
+ */
+router.get("/:threadId", requireAuth, async function (req, res) {
+  try {
+    var thread = await findUserThread(req);
+    if (!thread) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Conversation not found" });
+    }
+
+    var limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    var query = { threadId: thread._id };
+    if (req.query.before && mongoose.Types.ObjectId.isValid(req.query.before)) {
+      query._id = { $lt: req.query.before };
+    }
+    // Newest page first, then put back in reading order
+    var messages = await ChatMessage.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+    var hasMore = messages.length > limit;
+    messages = messages.slice(0, limit).reverse();
+
+    var data = thread.toJSON();
+    delete data.summary;
+    res.json({
+      success: true,
+      data: { thread: data, messages: messages, hasMore: hasMore },
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Error getting conversation",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/chats/{threadId}/messages:
+ *   post:
+ *     summary: "Continue a conversation (Premium only)"
+ *     tags: [Chats]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [message]
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 4000
+ *     responses:
+ *       201:
+ *         description: The user's message and the assistant's reply (plus `safety` resources when the message shows signs of risk)
+ *       400:
+ *         description: Invalid message
+ *       404:
+ *         description: Conversation not found
+ *       429:
+ *         description: Monthly AI quota reached (data.resetAt and Retry-After give the reset time)
+ */
+router.post(
+  "/:threadId/messages",
+  requireAuth,
+  requirePremium,
+  aiRateLimit,
+  enforceAIQuota("chat"),
+  async function (req, res) {
+    try {
+      var { message } = req.body || {};
+      var messageError = validateMessage(message, true);
+      if (messageError) {
+        return res.status(400).json({ success: false, message: messageError });
+      }
+
+      var thread = await findUserThread(req);
+      if (!thread) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Conversation not found" });
+      }
+
+      var safety = await runSafetyCheck({
+        user: req.user,
+        text: message,
+        source: "chat",
+        req,
+      });
+      var exchange = await sendChatMessage(
+        thread,
+        message.trim(),
+        req.user.preferredLanguage
+      );
+
+      res.status(201).json({
+        success: true,
+        data: {
+          userMessage: exchange.userMessage,
+          assistantMessage: exchange.assistantMessage,
+          ...(safety && { safety }),
+        },
+      });
+    } catch (err) {
+      console.error("Error sending chat message:", err);
+      res.status(500).json({
+        success: false,
+        message: "Error sending message",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/chats/{threadId}:
+ *   patch:
+ *     summary: "Rename a conversation"
+ *     tags: [Chats]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title]
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 120
+ *     responses:
+ *       200:
+ *         description: Renamed thread
+ *       400:
+ *         description: Missing or too long title
+ *       404:
+ *         description: Conversation not found
+ */
+router.patch("/:threadId", requireAuth, async function (req, res) {
+  try {
+    var { title } = req.body || {};
+    if (typeof title !== "string" || !title.trim() || title.length > 120) {
+      return res.status(400).json({
+        success: false,
+        message: "Title is required (at most 120 characters)",
+      });
+    }
+
+    var thread = await findUserThread(req);
+    if (!thread) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Conversation not found" });
+    }
+
+    thread.title = title.trim();
+    await thread.save();
+
+    var data = thread.toJSON();
+    delete data.summary;
+    res.json({ success: true, message: "Conversation renamed", data: data });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Error renaming conversation",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/chats/{threadId}:
+ *   delete:
+ *     summary: "Delete a conversation and all of its messages"
+ *     tags: [Chats]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation deleted
+ *       404:
+ *         description: Conversation not found
+ */
+router.delete("/:threadId", requireAuth, async function (req, res) {
+  try {
+    var thread = await findUserThread(req);
+    if (!thread) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Conversation not found" });
+    }
+
+    await deleteChatThread(thread);
+    res.json({ success: true, message: "Conversation deleted" });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting conversation",
+      error: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,15 @@ const express = require("express");
 const { body, validationResult } = require("express-validator");
 const Contact = require("../models/Contact");
 const { sendContactNotification } = require("../utils/mailer");
+const { rateLimit } = require("../middlewares/rateLimit");
 
 const router = express.Router();
 
+// Every message emails the admin
+const contactRateLimit = rateLimit("contact", [
+  { by: "ip", max: 5, windowMinutes: 60 },
+]);
+
 /**
  * @swagger
  * /api/contact:
@@ -71,6 +77,7 @@ const router = express.Router();
  */
 router.post(
   "/",
+  contactRateLimit,
   [
     body("name")
       .trim()
@@ -1,21 +1,37 @@
 var express = require("express");
+var mongoose = require("mongoose");
+var multer = require("multer");
 var router = express.Router();
 var Journal = require("../models/Journal");
 var JournalTemplate = require("../models/JournalTemplate");
 var AIAnalysis = require("../models/AIAnalysis");
+var JournalRevision = require("../models/JournalRevision");
 var { requireAuth, requirePremium } = require("../middlewares/auth");
 var {
   encryptValue,
   decryptValue,
   hasEncryptionConfig,
-  isProbablyEncrypted,
+  isEncrypted,
 } = require("../utils/encryption");
+var {
+  buildSearchTerms,
+  isSearchIndexEnabled,
+} = require("../utils/searchIndex");
+var { diffJournalVersions } = require("../utils/textDiff");
+var { analyzeThemes } = require("../utils/textAnalysis");
+var { trashJournal, restoreJournal } = require("../utils/journalTrash");
+var { parseImportFile, importJournals } = require("../utils/journalImport");
+var { renderJournalPdf, renderJournalHtml } = require("../utils/journalPdf");
+var { TRASH_RETENTION_DAYS, getTrashCutoff } = require("../utils/softDelete");
 var {
   enforceJournalCreateLimit,
   trackJournalCreate,
   enforceBasicSuggestLimit,
   trackBasicSuggest,
 } = require("../middlewares/freemium");
+var { enforceAIQuota } = require("../middlewares/aiQuota");
+var { aiRateLimit } = require("../middlewares/rateLimit");
+var { getAIQuotaStatus } = require("../utils/aiUsage");
 var {
   generateWritingPrompts,
   generateAdvancedPrompts,
@@ -23,11 +39,60 @@ var {
   analyzeSentiment,
   generateImprovementPlan,
   getAssistantResponse,
+  streamImprovementPlan,
+  streamAssistantResponse,
   analyzeKeywords,
   analyzeEmotionAndSentiment,
   performMentalHealthAssessment,
   isAIAvailable,
 } = require("../utils/aiService");
+var { runSafetyCheck } = require("../utils/safety");
+
+var importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB limit
+  },
+});
+
+// Text the safety check reads from a journal (or an update payload)
+function getSafetyText(data) {
+  return [data.title, data.content, data.richContent]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Switch a response to Server-Sent Events. The returned signal is aborted
+ * when the client disconnects, so the AI call can be cancelled.
+ * @returns {Object} { send(event, data), end(), signal }
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  var controller = new AbortController();
+  res.on("close", function () {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  return {
+    send: function (event, data) {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end: function () {
+      if (!res.writableEnded) res.end();
+    },
+    signal: controller.signal,
+  };
+}
 
 // Create journal entry
 /**
@@ -98,6 +163,9 @@ var {
  *                 updatedAt:
  *                   type: string
  *                   format: date-time
+ *                 safety:
+ *                   type: object
+ *                   description: "Present only when the entry contains crisis or self-harm language: level, categories, message and region-appropriate hotline resources"
  *       403:
  *         description: Daily limit reached (Free users only)
  *         content:
@@ -167,11 +235,18 @@ router.post(
       };
 
       const journal = await Journal.create(data);
+      const safety = await runSafetyCheck({
+        user: req.user,
+        text: getSafetyText(data),
+        source: "journal_create",
+        req,
+      });
 
       trackJournalCreate(req, res, function () {
         res.status(201).json({
           success: true,
           data: journal,
+          ...(safety && { safety }),
         });
       });
     } catch (error) {
@@ -247,6 +322,234 @@ router.get("/", requireAuth, function (req, res) {
     });
 });
 
+/**
+ * @openapi
+ * /api/journals/import:
+ *   post:
+ *     summary: "Import journal entries from another app (Free & Premium)"
+ *     description: "Accepts a zip of Markdown files (front matter: date, title, mood, tags), a Day One JSON export (or its zip), a single Markdown file, or a .txt file where each entry starts with a date line (2024-03-15 or 15/03/2024). Original dates are kept, entries already imported are reported as duplicates, and imported entries do not count against the daily creation limit."
+ *     tags: [Journals]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Import summary with imported count, duplicates and per-entry errors
+ *       400:
+ *         description: Missing, unsupported or unreadable file
+ */
+router.post(
+  "/import",
+  requireAuth,
+  importUpload.single("file"),
+  async function (req, res) {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file uploaded",
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = await parseImportFile(req.file.buffer, req.file.originalname);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: "Could not read import file",
+        error: err.message,
+      });
+    }
+
+    try {
+      const summary = await importJournals(req.user, parsed);
+      res.json({
+        success: true,
+        message: `Imported ${summary.imported} journal entries`,
+        data: summary,
+      });
+    } catch (err) {
+      console.error("Error importing journals:", err);
+      res.status(500).json({
+        success: false,
+        message: "Error importing journals",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/journals/search:
+ *   get:
+ *     summary: "Search journal entries (Free & Premium, works with encryption)"
+ *     description: "Matches whole words in title/content, tags and mood through a per-user blind index. Matching ignores case and Vietnamese diacritics; every given criterion must match."
+ *     tags: [Journals]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Keywords (all must appear)
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Tag to match (repeat for several)
+ *       - in: query
+ *         name: mood
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Matching journal entries, newest first
+ *       400:
+ *         description: Invalid date range
+ *       503:
+ *         description: No search index key configured on the server
+ */
+router.get("/search", requireAuth, async function (req, res) {
+  try {
+    var page = Math.max(1, Number(req.query.page) || 1);
+    var limit = Math.min(50, Math.max(1, Number(req.query.limit) || 10));
+    var filter = { userId: req.user._id };
+
+    var searched = ["q", "tag", "mood"].some(function (key) {
+      return req.query[key];
+    });
+    if (searched && !isSearchIndexEnabled()) {
+      return res.status(503).json({
+        success: false,
+        message: "Journal search is not configured on this server",
+      });
+    }
+
+    var terms = buildSearchTerms(req.user._id, req.query);
+    if (terms.length > 0) {
+      filter.searchIndex = { $all: terms };
+    }
+    // Only words too short or too long to be indexed: nothing can match
+    var matchesNothing = searched && terms.length === 0;
+
+    if (req.query.from || req.query.to) {
+      var from = req.query.from ? new Date(req.query.from) : null;
+      var to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({
+          success: false,
+          message: "from and to must be valid dates",
+        });
+      }
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) {
+        // A bare date includes the whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+          to.setUTCHours(23, 59, 59, 999);
+        }
+        filter.createdAt.$lte = to;
+      }
+    }
+
+    const [total, journals] = matchesNothing
+      ? [0, []]
+      : await Promise.all([
+          Journal.countDocuments(filter),
+          Journal.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        ]);
+
+    res.json({
+      success: true,
+      data: {
+        journals,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (err) {
+    console.error("Error searching journals:", err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/journals/trash:
+ *   get:
+ *     summary: "List journal entries in trash (Free & Premium)"
+ *     tags: [Journals]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Trashed entries with the date each will be purged
+ */
+router.get("/trash", requireAuth, async function (req, res) {
+  try {
+    const dayjs = require("dayjs");
+    const journals = await Journal.find({
+      userId: req.user._id,
+      deletedAt: { $ne: null, $gt: getTrashCutoff() },
+    }).sort({ deletedAt: -1 });
+
+    res.json({
+      success: true,
+      data: journals.map(function (journal) {
+        return {
+          _id: journal._id,
+          title: journal.title,
+          mood: journal.mood,
+          tags: journal.tags,
+          createdAt: journal.createdAt,
+          deletedAt: journal.deletedAt,
+          purgeAt: dayjs(journal.deletedAt)
+            .add(TRASH_RETENTION_DAYS, "day")
+            .toDate(),
+        };
+      }),
+    });
+  } catch (err) {
+    console.error("Error listing trash:", err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 /**
  * @openapi
  * /api/journals/usage:
@@ -275,6 +578,9 @@ router.get("/", requireAuth, function (req, res) {
  *                       type: object
  *                     remaining:
  *                       type: object
+ *                     aiQuota:
+ *                       type: object
+ *                       description: "Monthly AI quota: limits, used, remaining and resetAt"
  */
 router.get("/usage", requireAuth, async function (req, res) {
   try {
@@ -321,6 +627,7 @@ router.get("/usage", requireAuth, async function (req, res) {
           suggestions: usage.basicSuggestionsUsed || 0,
         },
         remaining: remaining,
+        aiQuota: await getAIQuotaStatus(user),
         date: today,
       },
     });
@@ -370,6 +677,14 @@ router.get("/usage", requireAuth, async function (req, res) {
  *                       type: object
  *                     keywordAnalysis:
  *                       type: object
+ *                     themeAnalysis:
+ *                       type: object
+ *                       description: |
+ *                         Themes found in the period's entries, computed on the server without AI calls.
+ *                         `topThemes` ranks words and Vietnamese compounds by TF-IDF across the user's
+ *                         entries, `themesByPeriod` gives the top themes per week (per month for quarter
+ *                         and year), and `moodCorrelations` compares the mood score on days a theme was
+ *                         written about with the period average.
  *                     sentimentTrends:
  *                       type: array
  *                     mentalHealthInsights:
@@ -469,7 +784,16 @@ router.get(
       };
 
       // Keyword analysis
-      const keywordAnalysis = analyzeKeywords(journals);
+      const keywordAnalysis = analyzeKeywords(
+        journals,
+        req.user.preferredLanguage
+      );
+
+      // Themes and how they relate to mood
+      const themeAnalysis = analyzeThemes(journals, moods, {
+        bucket: period === "quarter" || period === "year" ? "month" : "week",
+        preferredLanguage: req.user.preferredLanguage,
+      });
 
       // Generate mental health insights
       const mentalHealthInsights = {
@@ -490,6 +814,7 @@ router.get(
           journalStats,
           moodTrends,
           keywordAnalysis,
+          themeAnalysis,
           mentalHealthInsights,
         },
       });
@@ -556,6 +881,18 @@ router.put("/:id", requireAuth, async function (req, res) {
   try {
     const payload = { ...req.body };
 
+    const current = await Journal.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+    if (!current) return res.status(404).end();
+
+    // Keep the version being overwritten so it can be restored later
+    if (hasRevisionChanges(current, payload)) {
+      await JournalRevision.recordFromJournal(current, req.user.plan);
+    }
+    payload.updatedAt = new Date();
+
     const updated = await Journal.findOneAndUpdate(
       { _id: req.params.id, userId: req.user._id },
       payload,
@@ -563,18 +900,328 @@ router.put("/:id", requireAuth, async function (req, res) {
     );
 
     if (!updated) return res.status(404).end();
-    res.json(updated);
+
+    const safetyText = getSafetyText(payload);
+    const safety =
+      safetyText &&
+      (await runSafetyCheck({
+        user: req.user,
+        text: safetyText,
+        source: "journal_update",
+        previousText: getSafetyText(current),
+        req,
+      }));
+    res.json(safety ? { ...updated.toJSON(), safety } : updated);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
-});
+});
+
+// Delete (moves to trash)
+/**
+ * @openapi
+ * /api/journals/{id}:
+ *   delete:
+ *     summary: "Move journal entry to trash (Free & Premium)"
+ *     description: "The entry and its AI analyses can be restored for 30 days, then they are purged permanently."
+ *     tags: [Journals]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Moved to trash
+ *       404:
+ *         description: Not found or not owned by user
+ */
+router.delete("/:id", requireAuth, function (req, res) {
+  trashJournal(req.user._id, req.params.id)
+    .then(function (journal) {
+      if (!journal) return res.status(404).end();
+      res.status(204).end();
+    })
+    .catch(function (err) {
+      res.status(500).json({ message: err.message });
+    });
+});
+
+/**
+ * @openapi
+ * /api/journals/{id}/restore:
+ *   post:
+ *     summary: "Restore journal entry from trash (Free & Premium)"
+ *     tags: [Journals]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Restored journal entry
+ *       404:
+ *         description: Not in trash, or trashed more than 30 days ago
+ */
+router.post("/:id/restore", requireAuth, async function (req, res) {
+  try {
+    const journal = await restoreJournal(req.user._id, req.params.id);
+    if (!journal) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Journal not found in trash" });
+    }
+    res.json({ success: true, data: journal });
+  } catch (err) {
+    console.error("Error restoring journal:", err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+var REVISION_FIELDS = ["title", "content", "richContent", "mood", "tags"];
+
+function toRevisionSnapshot(source) {
+  return {
+    title: source.title || "",
+    content: source.content || "",
+    richContent: source.richContent || "",
+    mood: source.mood || "",
+    tags: source.tags ? Array.from(source.tags) : [],
+  };
+}
+
+function hasRevisionChanges(journal, payload) {
+  const before = toRevisionSnapshot(journal);
+  return REVISION_FIELDS.some(function (field) {
+    if (payload[field] === undefined) return false;
+    const after = toRevisionSnapshot(payload)[field];
+    return JSON.stringify(before[field]) !== JSON.stringify(after);
+  });
+}
+
+/**
+ * @openapi
+ * /api/journals/{id}/revisions:
+ *   get:
+ *     summary: "List previous versions of a journal entry (Free & Premium)"
+ *     description: "Free accounts keep the last 10 revisions per entry, premium accounts the last 50."
+ *     tags: [Journals]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revisions, newest first
+ *       404:
+ *         description: Not found or not owned by user
+ */
+router.get("/:id/revisions", requireAuth, async function (req, res) {
+  try {
+    const journal = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Journal.exists({ _id: req.params.id, userId: req.user._id })
+      : null;
+    if (!journal) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Journal not found" });
+    }
+
+    const revisions = await JournalRevision.find({
+      journalId: req.params.id,
+      userId: req.user._id,
+    }).sort({ revisedAt: -1, _id: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        revisions: revisions.map(function (revision) {
+          return {
+            _id: revision._id,
+            title: revision.title,
+            mood: revision.mood,
+            tags: revision.tags,
+            preview: (revision.content || "").substring(0, 200),
+            revisedAt: revision.revisedAt,
+            createdAt: revision.createdAt,
+          };
+        }),
+        retentionLimit: JournalRevision.getRevisionLimit(req.user.plan),
+      },
+    });
+  } catch (err) {
+    console.error("Error listing journal revisions:", err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/journals/{id}/revisions/diff:
+ *   get:
+ *     summary: "Compare two versions of a journal entry (Free & Premium)"
+ *     tags: [Journals]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Revision id, or "current"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           default: current
+ *         description: Revision id, or "current"
+ *     responses:
+ *       200:
+ *         description: Changed fields; content and richContent as line hunks
+ *       400:
+ *         description: Missing from parameter
+ *       404:
+ *         description: Journal or revision not found
+ */
+router.get("/:id/revisions/diff", requireAuth, async function (req, res) {
+  try {
+    if (!req.query.from) {
+      return res
+        .status(400)
+        .json({ success: false, message: "from is required" });
+    }
+
+    const journal = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Journal.findOne({ _id: req.params.id, userId: req.user._id })
+      : null;
+    if (!journal) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Journal not found" });
+    }
+
+    async function loadVersion(ref) {
+      if (!ref || ref === "current") {
+        return {
+          id: "current",
+          version: journal,
+          revisedAt: journal.updatedAt,
+        };
+      }
+      if (!mongoose.Types.ObjectId.isValid(ref)) return null;
+      const revision = await JournalRevision.findOne({
+        _id: ref,
+        journalId: journal._id,
+        userId: req.user._id,
+      });
+      return revision
+        ? { id: ref, version: revision, revisedAt: revision.revisedAt }
+        : null;
+    }
+
+    const [from, to] = await Promise.all([
+      loadVersion(req.query.from),
+      loadVersion(req.query.to),
+    ]);
+    if (!from || !to) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Revision not found" });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: { id: from.id, revisedAt: from.revisedAt },
+        to: { id: to.id, revisedAt: to.revisedAt },
+        changes: diffJournalVersions(
+          toRevisionSnapshot(from.version),
+          toRevisionSnapshot(to.version)
+        ),
+      },
+    });
+  } catch (err) {
+    console.error("Error comparing journal revisions:", err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Malformed ids would make Mongoose throw a CastError; treat them as not found
+function hasValidRevisionIds(params) {
+  return (
+    mongoose.Types.ObjectId.isValid(params.id) &&
+    mongoose.Types.ObjectId.isValid(params.revisionId)
+  );
+}
+
+/**
+ * @openapi
+ * /api/journals/{id}/revisions/{revisionId}:
+ *   get:
+ *     summary: "Get one previous version of a journal entry (Free & Premium)"
+ *     tags: [Journals]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Full revision
+ *       404:
+ *         description: Revision not found
+ */
+router.get(
+  "/:id/revisions/:revisionId",
+  requireAuth,
+  async function (req, res) {
+    try {
+      const revision = hasValidRevisionIds(req.params)
+        ? await JournalRevision.findOne({
+            _id: req.params.revisionId,
+            journalId: req.params.id,
+            userId: req.user._id,
+          })
+        : null;
+      if (!revision) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Revision not found" });
+      }
+      res.json({ success: true, data: revision });
+    } catch (err) {
+      console.error("Error fetching journal revision:", err);
+      res.status(500).json({ success: false, message: err.message });
+    }
+  }
+);
 
-// Delete
 /**
  * @openapi
- * /api/journals/{id}:
- *   delete:
- *     summary: "Delete journal entry (Free & Premium)"
+ * /api/journals/{id}/revisions/{revisionId}/restore:
+ *   post:
+ *     summary: "Restore a previous version of a journal entry (Free & Premium)"
+ *     description: "The version being replaced is saved as a new revision first, so a restore can be undone."
  *     tags: [Journals]
  *     security: [{ bearerAuth: [] }]
  *     parameters:
@@ -583,21 +1230,56 @@ router.put("/:id", requireAuth, async function (req, res) {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
- *       204:
- *         description: Deleted successfully
+ *       200:
+ *         description: Restored journal entry
  *       404:
- *         description: Not found or not owned by user
+ *         description: Journal or revision not found
  */
-router.delete("/:id", requireAuth, function (req, res) {
-  Journal.deleteOne({ _id: req.params.id, userId: req.user._id })
-    .then(function () {
-      res.status(204).end();
-    })
-    .catch(function (err) {
-      res.status(500).json({ message: err.message });
-    });
-});
+router.post(
+  "/:id/revisions/:revisionId/restore",
+  requireAuth,
+  async function (req, res) {
+    try {
+      const journal = hasValidRevisionIds(req.params)
+        ? await Journal.findOne({ _id: req.params.id, userId: req.user._id })
+        : null;
+      const revision = journal
+        ? await JournalRevision.findOne({
+            _id: req.params.revisionId,
+            journalId: journal._id,
+            userId: req.user._id,
+          })
+        : null;
+      if (!journal || !revision) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Revision not found" });
+      }
+
+      const restored = toRevisionSnapshot(revision);
+      if (hasRevisionChanges(journal, restored)) {
+        await JournalRevision.recordFromJournal(journal, req.user.plan);
+      }
+
+      const updated = await Journal.findOneAndUpdate(
+        { _id: journal._id, userId: req.user._id },
+        { ...restored, updatedAt: new Date() },
+        { new: true }
+      );
+
+      res.json({ success: true, data: updated });
+    } catch (err) {
+      console.error("Error restoring journal revision:", err);
+      res.status(500).json({ success: false, message: err.message });
+    }
+  }
+);
 
 // Premium content suggestions with advanced AI
 /**
@@ -646,43 +1328,57 @@ router.delete("/:id", requireAuth, function (req, res) {
  *                       type: boolean
  *                     savedToJournal:
  *                       type: boolean
+ *       429:
+ *         description: Monthly AI quota reached (data.resetAt and Retry-After give the reset time)
  */
-router.post("/suggest", requireAuth, requirePremium, async function (req, res) {
-  try {
-    const { topic = "reflection", mood, journalId } = req.body;
+router.post(
+  "/suggest",
+  requireAuth,
+  requirePremium,
+  aiRateLimit,
+  enforceAIQuota("suggest"),
+  async function (req, res) {
+    try {
+      const { topic = "reflection", mood, journalId } = req.body;
 
-    // Generate premium AI suggestions (unlimited, more sophisticated)
-    const suggestions = await generateAdvancedPrompts(topic, mood); // Advanced prompts for premium users
+      // Generate premium AI suggestions (unlimited, more sophisticated)
+      const suggestions = await generateAdvancedPrompts(
+        topic,
+        mood,
+        "",
+        req.user.preferredLanguage
+      ); // Advanced prompts for premium users
 
-    // Save suggestions to journal if requested
-    let savedToJournal = false;
-    if (journalId) {
-      await Journal.findOneAndUpdate(
-        { _id: journalId, userId: req.user._id },
-        { suggestion: suggestions.join("\n\n") }
-      );
-      savedToJournal = true;
-    }
+      // Save suggestions to journal if requested
+      let savedToJournal = false;
+      if (journalId) {
+        await Journal.findOneAndUpdate(
+          { _id: journalId, userId: req.user._id },
+          { suggestion: suggestions.join("\n\n") }
+        );
+        savedToJournal = true;
+      }
 
-    res.json({
-      success: true,
-      data: {
-        suggestions: suggestions,
-        topic: topic,
-        mood: mood || null,
-        aiPowered: isAIAvailable(),
-        savedToJournal: savedToJournal,
-      },
-    });
-  } catch (error) {
-    console.error("Error generating premium suggestions:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error generating premium suggestions",
-      error: error.message,
-    });
+      res.json({
+        success: true,
+        data: {
+          suggestions: suggestions,
+          topic: topic,
+          mood: mood || null,
+          aiPowered: isAIAvailable(),
+          savedToJournal: savedToJournal,
+        },
+      });
+    } catch (error) {
+      console.error("Error generating premium suggestions:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error generating premium suggestions",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Free/basic suggestions with daily cap - NOW WITH REAL AI
 /**
@@ -731,17 +1427,27 @@ router.post("/suggest", requireAuth, requirePremium, async function (req, res) {
  *                       type: string
  *                     topic:
  *                       type: string
+ *       429:
+ *         description: Monthly AI quota reached (data.resetAt and Retry-After give the reset time)
  */
 router.post(
   "/suggest-basic",
   requireAuth,
   enforceBasicSuggestLimit,
+  aiRateLimit,
+  enforceAIQuota("suggest_basic"),
   async function (req, res) {
     try {
       const { mood, topic, journalId } = req.body;
 
       // Generate AI-powered suggestions
-      const suggestions = await generateWritingPrompts(mood, topic, false); // false = free user
+      const suggestions = await generateWritingPrompts(
+        mood,
+        topic,
+        false, // free user
+        "",
+        req.user.preferredLanguage
+      );
 
       // Save suggestions to journal if requested
       let savedToJournal = false;
@@ -895,10 +1601,15 @@ router.post(
  *                             type: string
  *                     aiPowered:
  *                       type: boolean
+ *                     safety:
+ *                       type: object
+ *                       description: "Present only when crisis or self-harm risk is detected: level, categories, message and region-appropriate hotline resources"
  *       400:
  *         description: Bad request - content required
  *       403:
  *         description: Premium subscription required
+ *       429:
+ *         description: Monthly AI quota reached (data.resetAt and Retry-After give the reset time)
  *       500:
  *         description: Server error
  */
@@ -906,6 +1617,8 @@ router.post(
   "/emotion-analysis",
   requireAuth,
   requirePremium,
+  aiRateLimit,
+  enforceAIQuota("emotion_analysis"),
   async function (req, res) {
     try {
       const { content, journalId } = req.body;
@@ -918,7 +1631,10 @@ router.post(
       }
 
       // Perform comprehensive emotion analysis
-      const emotionAnalysis = await analyzeEmotionAndSentiment(content);
+      const emotionAnalysis = await analyzeEmotionAndSentiment(
+        content,
+        req.user.preferredLanguage
+      );
 
       // Save analysis to database
       const savedAnalysis = new AIAnalysis({
@@ -948,12 +1664,22 @@ router.post(
         );
       }
 
+      const safety = await runSafetyCheck({
+        user: req.user,
+        text: content,
+        source: "emotion_analysis",
+        analysisType: "emotion",
+        aiResults: emotionAnalysis,
+        req,
+      });
+
       res.json({
         success: true,
         data: {
           ...emotionAnalysis,
           analysisId: savedAnalysis._id,
           savedAt: savedAnalysis.createdAt,
+          ...(safety && { safety }),
         },
       });
     } catch (error) {
@@ -1101,10 +1827,15 @@ router.post(
  *                             type: string
  *                     aiPowered:
  *                       type: boolean
+ *                     safety:
+ *                       type: object
+ *                       description: "Present only when crisis or self-harm risk is detected: level, categories, message and region-appropriate hotline resources"
  *       400:
  *         description: Bad request - content required
  *       403:
  *         description: Premium subscription required
+ *       429:
+ *         description: Monthly AI quota reached (data.resetAt and Retry-After give the reset time)
  *       500:
  *         description: Server error
  */
@@ -1112,6 +1843,8 @@ router.post(
   "/mental-health-assessment",
   requireAuth,
   requirePremium,
+  aiRateLimit,
+  enforceAIQuota("mental_health_assessment"),
   async function (req, res) {
     try {
       const { content, journalId } = req.body;
@@ -1124,7 +1857,10 @@ router.post(
       }
 
       // Perform comprehensive mental health assessment
-      const assessment = await performMentalHealthAssessment(content);
+      const assessment = await performMentalHealthAssessment(
+        content,
+        req.user.preferredLanguage
+      );
 
       // Save assessment to database
       const savedAssessment = new AIAnalysis({
@@ -1154,12 +1890,22 @@ router.post(
         );
       }
 
+      const safety = await runSafetyCheck({
+        user: req.user,
+        text: content,
+        source: "mental_health_assessment",
+        analysisType: "mental_health",
+        aiResults: assessment,
+        req,
+      });
+
       res.json({
         success: true,
         data: {
           ...assessment,
           analysisId: savedAssessment._id,
           savedAt: savedAssessment.createdAt,
+          ...(safety && { safety }),
         },
       });
     } catch (error) {
@@ -1186,7 +1932,7 @@ router.post(
  *         name: type
  *         schema:
  *           type: string
- *           enum: [emotion, mental_health, all]
+ *           enum: [emotion, mental_health, assistant, improvement_plan, all]
  *           default: all
  *         description: Filter by analysis type
  *       - in: query
@@ -1616,7 +2362,10 @@ router.get(
       };
 
       // Keyword analysis
-      const keywordAnalysis = analyzeKeywords(journals);
+      const keywordAnalysis = analyzeKeywords(
+        journals,
+        req.user.preferredLanguage
+      );
 
       // Generate mental health insights
       const mentalHealthInsights = {
@@ -1677,65 +2426,27 @@ router.get(
  *     responses:
  *       200:
  *         description: Personalized improvement plan
+ *       429:
+ *         description: Monthly AI quota reached (data.resetAt and Retry-After give the reset time)
  */
 router.post(
   "/improvement-plan",
   requireAuth,
   requirePremium,
+  aiRateLimit,
+  enforceAIQuota("improvement_plan"),
   async function (req, res) {
     try {
       const { focusAreas = [], duration = 7 } = req.body;
-      const dayjs = require("dayjs");
-      const Mood = require("../models/Mood");
-
-      // Get user's recent data for personalization
-      const recentJournals = await Journal.find({ userId: req.user._id })
-        .sort({ createdAt: -1 })
-        .limit(10);
-
-      const recentMoods = await Mood.find({
-        userId: req.user._id,
-        date: { $gte: dayjs().subtract(30, "day").format("YYYY-MM-DD") },
-      });
-
-      // Create user profile for AI
-      const userProfile = {
-        averageMoodScore:
-          recentMoods.length > 0
-            ? recentMoods.reduce((sum, m) => sum + (m.score || 0), 0) /
-              recentMoods.length
-            : 5,
-        averageStress:
-          recentMoods.length > 0
-            ? recentMoods.reduce((sum, m) => sum + (m.stress || 0), 0) /
-              recentMoods.length
-            : 5,
-        averageAnxiety:
-          recentMoods.length > 0
-            ? recentMoods.reduce((sum, m) => sum + (m.anxiety || 0), 0) /
-              recentMoods.length
-            : 5,
-        journalFrequency: recentJournals.length,
-        focusAreas: focusAreas,
-      };
-
-      // Analyze recent journal entries
-      const recentAnalyses = [];
-      for (const journal of recentJournals.slice(0, 5)) {
-        if (journal.content) {
-          const analysis = await analyzeSentiment(journal.content);
-          recentAnalyses.push({
-            date: journal.createdAt,
-            sentiment: analysis.sentiment,
-            riskLevel: analysis.mentalHealthIndicators.riskLevel,
-          });
-        }
-      }
+      const { userProfile, recentAnalyses, recentJournals, recentMoods } =
+        await buildImprovementPlanInputs(req.user, focusAreas);
 
       // Generate personalized improvement plan
       const improvementPlan = await generateImprovementPlan(
         userProfile,
-        recentAnalyses
+        recentAnalyses,
+        "",
+        req.user.preferredLanguage
       );
 
       res.json({
@@ -1760,6 +2471,273 @@ router.post(
   }
 );
 
+/**
+ * @openapi
+ * /api/journals/improvement-plan/stream:
+ *   post:
+ *     summary: "Stream a personalized improvement plan over Server-Sent Events (Premium only)"
+ *     description: |
+ *       Same input as /improvement-plan. The response is a text/event-stream with the events
+ *       `status` ({ stage }), `token` ({ text }, plan JSON as it is generated), `done`
+ *       ({ plan, basedOn, analysisId }) and `error` ({ message }). Closing the connection
+ *       cancels generation; only completed plans are saved to the analysis history.
+ *     tags: [Journals]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               focusAreas:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [anxiety, depression, stress, self_esteem, relationships]
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       429:
+ *         description: Monthly AI quota reached (data.resetAt and Retry-After give the reset time)
+ */
+router.post(
+  "/improvement-plan/stream",
+  requireAuth,
+  requirePremium,
+  aiRateLimit,
+  enforceAIQuota("improvement_plan"),
+  function (req, res) {
+    const { focusAreas = [] } = req.body || {};
+    const stream = openEventStream(res);
+
+    res.locals.aiStream = (async function () {
+      try {
+        stream.send("status", { stage: "analyzing" });
+        const { userProfile, recentAnalyses, recentJournals, recentMoods } =
+          await buildImprovementPlanInputs(req.user, focusAreas);
+
+        stream.send("status", { stage: "generating" });
+        const plan = await streamImprovementPlan(
+          userProfile,
+          recentAnalyses,
+          "",
+          {
+            signal: stream.signal,
+            preferredLanguage: req.user.preferredLanguage,
+            onToken: function (text) {
+              stream.send("token", { text });
+            },
+          }
+        );
+        if (stream.signal.aborted) return;
+
+        const savedAnalysis = await AIAnalysis.create({
+          userId: req.user._id,
+          analysisType: "improvement_plan",
+          content: JSON.stringify(userProfile),
+          results: plan,
+          aiPowered: plan.aiPowered,
+        });
+
+        stream.send("done", {
+          plan,
+          basedOn: {
+            journalEntries: recentJournals.length,
+            moodEntries: recentMoods.length,
+            userProfile: userProfile,
+          },
+          analysisId: savedAnalysis._id,
+        });
+      } catch (error) {
+        if (!stream.signal.aborted) {
+          console.error("Error streaming improvement plan:", error);
+          stream.send("error", {
+            message: "Error generating improvement plan",
+          });
+        }
+      } finally {
+        stream.end();
+      }
+    })();
+  }
+);
+
+/**
+ * @openapi
+ * /api/journals/assistant/stream:
+ *   post:
+ *     summary: "Ask the AI wellness assistant, streamed over Server-Sent Events (Premium only)"
+ *     description: |
+ *       The response is a text/event-stream with the events `safety` (crisis resources, sent
+ *       first when the question shows signs of risk), `token` ({ text }), `done`
+ *       ({ result, analysisId }) and `error` ({ message }). Closing the connection cancels
+ *       generation; only completed answers are saved to the analysis history.
+ *     tags: [Journals]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [question]
+ *             properties:
+ *               question:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Missing or too long question
+ *       429:
+ *         description: Monthly AI quota reached (data.resetAt and Retry-After give the reset time)
+ */
+router.post(
+  "/assistant/stream",
+  requireAuth,
+  requirePremium,
+  aiRateLimit,
+  enforceAIQuota("assistant"),
+  function (req, res) {
+    const { question } = req.body || {};
+    if (!question || typeof question !== "string" || !question.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Question is required",
+      });
+    }
+    if (question.length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: "Question must be at most 2000 characters",
+      });
+    }
+
+    const stream = openEventStream(res);
+
+    res.locals.aiStream = (async function () {
+      try {
+        const safety = await runSafetyCheck({
+          user: req.user,
+          text: question,
+          source: "assistant",
+          req,
+        });
+        if (safety) stream.send("safety", safety);
+
+        const context = await buildAssistantContext(req.user._id);
+        const result = await streamAssistantResponse(question, context, "", {
+          signal: stream.signal,
+          preferredLanguage: req.user.preferredLanguage,
+          onToken: function (text) {
+            stream.send("token", { text });
+          },
+        });
+        if (stream.signal.aborted) return;
+
+        const savedAnalysis = await AIAnalysis.create({
+          userId: req.user._id,
+          analysisType: "assistant",
+          content: question,
+          results: result,
+          aiPowered: result.aiPowered,
+        });
+
+        stream.send("done", { result, analysisId: savedAnalysis._id });
+      } catch (error) {
+        if (!stream.signal.aborted) {
+          console.error("Error streaming assistant response:", error);
+          stream.send("error", { message: "Error generating response" });
+        }
+      } finally {
+        stream.end();
+      }
+    })();
+  }
+);
+
+// Mood profile and recent sentiment the improvement plan is based on
+async function buildImprovementPlanInputs(user, focusAreas) {
+  const userId = user._id;
+  const dayjs = require("dayjs");
+  const Mood = require("../models/Mood");
+
+  // Get user's recent data for personalization
+  const recentJournals = await Journal.find({ userId: userId })
+    .sort({ createdAt: -1 })
+    .limit(10);
+
+  const recentMoods = await Mood.find({
+    userId: userId,
+    date: { $gte: dayjs().subtract(30, "day").format("YYYY-MM-DD") },
+  });
+
+  // Create user profile for AI
+  const userProfile = {
+    averageMoodScore:
+      recentMoods.length > 0
+        ? recentMoods.reduce((sum, m) => sum + (m.score || 0), 0) /
+          recentMoods.length
+        : 5,
+    averageStress:
+      recentMoods.length > 0
+        ? recentMoods.reduce((sum, m) => sum + (m.stress || 0), 0) /
+          recentMoods.length
+        : 5,
+    averageAnxiety:
+      recentMoods.length > 0
+        ? recentMoods.reduce((sum, m) => sum + (m.anxiety || 0), 0) /
+          recentMoods.length
+        : 5,
+    journalFrequency: recentJournals.length,
+    focusAreas: focusAreas,
+  };
+
+  // Analyze recent journal entries
+  const recentAnalyses = [];
+  for (const journal of recentJournals.slice(0, 5)) {
+    if (journal.content) {
+      const analysis = await analyzeSentiment(
+        journal.content,
+        user.preferredLanguage
+      );
+      recentAnalyses.push({
+        date: journal.createdAt,
+        sentiment: analysis.sentiment,
+        riskLevel: analysis.mentalHealthIndicators.riskLevel,
+      });
+    }
+  }
+
+  return { userProfile, recentAnalyses, recentJournals, recentMoods };
+}
+
+// Recent mood check-ins, so the assistant can refer to how the user has been
+async function buildAssistantContext(userId) {
+  const dayjs = require("dayjs");
+  const Mood = require("../models/Mood");
+
+  const recentMoods = await Mood.find({
+    userId: userId,
+    date: { $gte: dayjs().subtract(7, "day").format("YYYY-MM-DD") },
+  })
+    .sort({ date: -1 })
+    .select("date mood score stress anxiety energy -_id")
+    .lean();
+
+  return { recentMoods };
+}
+
 // Helper functions for dashboard
 function calculateWritingFrequency(journals, period) {
   const days =
@@ -2103,7 +3081,7 @@ router.post("/:id/print", requireAuth, async function (req, res) {
       data: {
         printData,
         settings: journal.printSettings,
-        downloadUrl: `/api/journals/${id}/print/download`, // Frontend can use this for PDF generation
+        downloadUrl: `/api/journals/${id}/print/download`, // Server-rendered PDF
       },
     });
   } catch (error) {
@@ -2120,7 +3098,8 @@ router.post("/:id/print", requireAuth, async function (req, res) {
  * @openapi
  * /api/journals/{id}/print/download:
  *   get:
- *     summary: "Download print-ready PDF (simplified version)"
+ *     summary: "Download journal entry as PDF or HTML"
+ *     description: "Rendered on the server with the entry's saved print settings (paper size, colour or black and white, copies, quality of the template background). Query parameters override the saved settings for this download. format=html returns a standalone page for printing from the browser."
  *     tags: [Journals]
  *     security: [{ bearerAuth: [] }]
  *     parameters:
@@ -2129,16 +3108,44 @@ router.post("/:id/print", requireAuth, async function (req, res) {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, html]
+ *           default: pdf
+ *       - in: query
+ *         name: paperSize
+ *         schema:
+ *           type: string
+ *           enum: [A4, A5, Letter, Legal]
+ *       - in: query
+ *         name: colorOptions
+ *         schema:
+ *           type: string
+ *           enum: [Color, Black and White]
+ *       - in: query
+ *         name: printQuality
+ *         schema:
+ *           type: string
+ *           enum: [Draft, Standard, High Quality]
+ *       - in: query
+ *         name: copies
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
  *     responses:
  *       200:
- *         description: PDF generated successfully
+ *         description: PDF or HTML generated successfully
  *         content:
  *           application/pdf:
  *             schema:
  *               type: string
  *               format: binary
- *       403:
- *         description: Access denied
+ *           text/html:
+ *             schema:
+ *               type: string
  *       404:
  *         description: Journal not found
  *       500:
@@ -2147,7 +3154,6 @@ router.post("/:id/print", requireAuth, async function (req, res) {
 router.get("/:id/print/download", requireAuth, async function (req, res) {
   try {
     const { id } = req.params;
-    const format = (req.query.format || "pdf").toLowerCase(); // pdf | html
 
     // Find journal entry
     const journal = await Journal.findOne({ _id: id, userId: req.user._id });
@@ -2158,142 +3164,37 @@ router.get("/:id/print/download", requireAuth, async function (req, res) {
       });
     }
 
-    // Build background CSS/IMG if template has image
-    let backgroundImageCss = "";
-    let backgroundImageTag = "";
-    try {
-      if (journal.templateId) {
-        const t = await JournalTemplate.findById(journal.templateId);
-        if (t && t.imageUrl) {
-          const baseUrl = `${req.protocol}://${req.get("host")}`;
-          const normalized = String(t.imageUrl).replace(/\\\\/g, "/");
-          const absoluteUrl = normalized.startsWith("http")
-            ? normalized
-            : `${baseUrl}/${normalized}`;
-          backgroundImageCss = `
-            .bg { position: fixed; inset: 0; z-index: 0; }
-            .bg-img { position: fixed; inset: 0; width: 100%; height: 100%; object-fit: cover; z-index: 0; }
-          `;
-          backgroundImageTag = `<img class=\"bg-img\" src=\"${absoluteUrl}\" alt=\"template background\"/>`;
-        }
-      }
-    } catch (_) {}
-
-    const html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <title>${journal.title || "Journal Entry"} - Everquill</title>
-    <style>
-        body { font-family: Arial, sans-serif; margin: 0; padding: 0; line-height: 1.6; background: transparent; }
-        .bg { position: fixed; top: 0; left: 0; right: 0; bottom: 0; z-index: 0; }
-        .page { position: relative; z-index: 1; max-width: 800px; margin: 0 auto; padding: 20px; background: rgba(255,255,255,0.85); }
-        .header { text-align: center; border-bottom: 2px solid #E0BBE4; padding-bottom: 20px; margin-bottom: 30px; }
-        .title { color: #6B46C1; font-size: 24px; margin-bottom: 10px; }
-        .date { color: #666; font-size: 14px; }
-        .content { margin-bottom: 30px; }
-        .mood-tags { display: flex; gap: 20px; margin-bottom: 20px; }
-        .mood, .tags { background: #F3F4F6; padding: 10px; border-radius: 5px; }
-        .footer { text-align: center; color: #666; font-size: 12px; border-top: 1px solid #E0BBE4; padding-top: 20px; }
-        @media print { body { margin: 0; } .header { page-break-after: avoid; } }
-        ${backgroundImageCss}
-    </style>
-</head>
-<body>
-    ${backgroundImageCss ? '<div class="bg"></div>' : ""}
-    ${backgroundImageTag}
-    <div class=\"page\" style=\"max-width:720px;margin:32px auto;padding:32px;background:rgba(255,255,255,0.96);border-radius:12px;box-shadow:0 10px 30px rgba(0,0,0,.15);\">
-    <div class=\"header\" style=\"text-align:center;border-bottom:2px solid #E0BBE4;padding-bottom:16px;margin-bottom:24px;\"> 
-        <h1 class=\"title\" style=\"color:#6B46C1;font-size:26px;margin-bottom:8px;\">${
-          journal.title || "Untitled Entry"
-        }</h1>
-        <div class=\"date\" style=\"color:#666;font-size:13px;\">${new Date(
-          journal.createdAt
-        ).toLocaleDateString()}</div>
-    </div>
-    <div class=\"mood-tags\" style=\"display:flex;gap:16px;margin-bottom:16px;\">
-        ${
-          journal.mood
-            ? `<div class=\"mood\" style=\"background:#F3F4F6;padding:10px 12px;border-radius:8px;\"><strong>Mood:</strong> ${journal.mood}</div>`
-            : ""
-        }
-        ${
-          journal.tags && journal.tags.length > 0
-            ? `<div class=\"tags\" style=\"background:#F3F4F6;padding:10px 12px;border-radius:8px;\"><strong>Tags:</strong> ${journal.tags.join(
-                ", "
-              )}</div>`
-            : ""
-        }
-    </div>
-    <div class=\"content\" style=\"margin-bottom:24px;\">${
-      journal.richContent || journal.content || ""
-    }</div>
-    <div class=\"footer\" style=\"text-align:center;color:#666;font-size:12px;border-top:1px solid #E0BBE4;padding-top:16px;\">
-        <p>Generated by Everquill - ${new Date().toLocaleDateString()}</p>
-        <p>Template: ${journal.templateName}</p>
-    </div>
-    </div>
-</body>
-</html>`;
-
-    if (format === "html") {
-      res.setHeader("Content-Type", "text/html");
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="journal-${journal._id}.html"`
-      );
-      return res.send(html);
-    }
+    const template = journal.templateId
+      ? await JournalTemplate.findById(journal.templateId)
+      : null;
 
-    // Skip PDF generation on Vercel (serverless environment)
-    if (process.env.VERCEL || process.env.NODE_ENV === "production") {
-      console.log("[PRINT] Running in serverless environment, returning HTML");
-      res.setHeader("Content-Type", "text/html");
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="journal-${journal._id}.html"`
-      );
-      return res.send(html);
-    }
+    const settings = { ...(journal.toObject().printSettings || {}) };
+    ["paperSize", "colorOptions", "printQuality", "copies"].forEach(function (
+      key
+    ) {
+      if (req.query[key]) settings[key] = req.query[key];
+    });
 
-    // Default: generate PDF via Puppeteer (fallback to HTML if module missing)
-    let puppeteer;
-    try {
-      puppeteer = require("puppeteer");
-    } catch (e) {
-      // Fallback to HTML if puppeteer is not installed
-      console.warn(
-        "[PRINT] Puppeteer not available, falling back to HTML:",
-        e.message
-      );
-      res.setHeader("Content-Type", "text/html");
+    const renderOptions = { settings, template, author: req.user.name };
+
+    if (String(req.query.format || "pdf").toLowerCase() === "html") {
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
       res.setHeader(
         "Content-Disposition",
         `attachment; filename="journal-${journal._id}.html"`
       );
-      return res.send(html);
+      return res.send(renderJournalHtml(journal, renderOptions));
     }
 
-    const browser = await puppeteer.launch({
-      headless: "new",
-      args: ["--no-sandbox", "--disable-setuid-sandbox"],
-    });
-    try {
-      const page = await browser.newPage();
-      await page.setContent(html, { waitUntil: "networkidle0" });
-      const pdf = await page.pdf({ format: "A4", printBackground: true });
+    const pdf = await renderJournalPdf(journal, renderOptions);
 
-      res.setHeader("Content-Type", "application/pdf");
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="journal-${journal._id}.pdf"`
-      );
-      res.setHeader("Content-Length", Buffer.byteLength(pdf));
-      return res.end(pdf);
-    } finally {
-      await browser.close();
-    }
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="journal-${journal._id}.pdf"`
+    );
+    res.setHeader("Content-Length", pdf.length);
+    return res.end(pdf);
   } catch (error) {
     console.error("Error generating print download:", error);
     res.status(500).json({
@@ -5,6 +5,8 @@ var { requireAuth } = require("../middlewares/auth");
 var { requirePremium } = require("../middlewares/auth");
 var dayjs = require("dayjs");
 var { generateMoodReflections, isAIAvailable } = require("../utils/aiService");
+var { enforceAIQuota } = require("../middlewares/aiQuota");
+var { aiRateLimit } = require("../middlewares/rateLimit");
 
 /**
  * @openapi
@@ -290,37 +292,49 @@ router.get("/calendar", requireAuth, async function (req, res) {
  *                 description: Current mood type
  *     responses:
  *       200: { description: Mood-based suggestions }
+ *       429:
+ *         description: Monthly AI quota reached (data.resetAt and Retry-After give the reset time)
  */
-router.post("/suggestions", requireAuth, async function (req, res) {
-  try {
-    const { mood } = req.body;
+router.post(
+  "/suggestions",
+  requireAuth,
+  aiRateLimit,
+  enforceAIQuota("mood_suggestions"),
+  async function (req, res) {
+    try {
+      const { mood } = req.body;
+
+      if (!mood) {
+        return res.status(400).json({
+          success: false,
+          message: "Mood is required",
+        });
+      }
 
-    if (!mood) {
-      return res.status(400).json({
+      const suggestions = await generateMoodReflections(
+        mood.toLowerCase(),
+        "",
+        req.user.preferredLanguage
+      );
+
+      res.json({
+        success: true,
+        data: {
+          suggestions: suggestions,
+          mood: mood,
+          aiPowered: isAIAvailable(),
+        },
+      });
+    } catch (error) {
+      console.error("Error getting mood suggestions:", error);
+      res.status(500).json({
         success: false,
-        message: "Mood is required",
+        message: "Error getting mood suggestions",
+        error: error.message,
       });
     }
-
-    const suggestions = await generateMoodReflections(mood.toLowerCase());
-
-    res.json({
-      success: true,
-      data: {
-        suggestions: suggestions,
-        mood: mood,
-        aiPowered: isAIAvailable(),
-      },
-    });
-  } catch (error) {
-    console.error("Error getting mood suggestions:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error getting mood suggestions",
-      error: error.message,
-    });
   }
-});
+);
 
 // Helper functions for mood statistics
 function getMoodDistribution(moods) {
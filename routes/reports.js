@@ -0,0 +1,211 @@
+var express = require("express");
+var mongoose = require("mongoose");
+var dayjs = require("dayjs");
+var router = express.Router();
+var TrendReport = require("../models/TrendReport");
+var { requireAuth, requirePremium } = require("../middlewares/auth");
+var { enforceAIQuota } = require("../middlewares/aiQuota");
+var { aiRateLimit } = require("../middlewares/rateLimit");
+var { REPORT_PERIODS, buildTrendReport } = require("../utils/trendReports");
+
+/**
+ * @openapi
+ * /api/reports:
+ *   get:
+ *     summary: "List weekly and monthly trend reports, most recent first"
+ *     description: Reports are listed without their stats; get a report by id for the full data.
+ *     tags: [Reports]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: periodType
+ *         schema:
+ *           type: string
+ *           enum: [week, month]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reports with their narrative
+ */
+router.get("/", requireAuth, async function (req, res) {
+  try {
+    var page = Math.max(1, parseInt(req.query.page) || 1);
+    var limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    var query = { userId: req.user._id };
+    if (REPORT_PERIODS.includes(req.query.periodType)) {
+      query.periodType = req.query.periodType;
+    }
+
+    var [reports, total] = await Promise.all([
+      TrendReport.find(query)
+        .sort({ periodStart: -1, periodType: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select("-stats"),
+      TrendReport.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reports: reports,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalReports: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Error getting reports",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/reports:
+ *   post:
+ *     summary: "Generate a trend report now (Premium only)"
+ *     description: |
+ *       Aggregates the emotion analyses and mental health assessments saved in the period
+ *       (emotion distribution, sentiment trajectory, assessment score changes) and writes a
+ *       narrative summary. Reports are also generated automatically once a week or month ends.
+ *       A report for a period still in progress is replaced when the period is over.
+ *     tags: [Reports]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [periodType]
+ *             properties:
+ *               periodType:
+ *                 type: string
+ *                 enum: [week, month]
+ *               date:
+ *                 type: string
+ *                 example: "2026-10-01"
+ *                 description: Any day in the period; defaults to the last complete period
+ *     responses:
+ *       200:
+ *         description: "Existing report: complete, or for a running period with no new analyses since it was built (otherwise it is rebuilt)"
+ *       201:
+ *         description: Report generated; a notification is sent as well
+ *       400:
+ *         description: Invalid period type or date
+ *       404:
+ *         description: No analyses in the period
+ *       429:
+ *         description: Monthly AI quota reached (data.resetAt and Retry-After give the reset time)
+ */
+router.post(
+  "/",
+  requireAuth,
+  requirePremium,
+  aiRateLimit,
+  enforceAIQuota("trend_report"),
+  async function (req, res) {
+    try {
+      var { periodType, date } = req.body || {};
+      if (!REPORT_PERIODS.includes(periodType)) {
+        return res.status(400).json({
+          success: false,
+          message: "periodType must be week or month",
+        });
+      }
+      if (
+        date !== undefined &&
+        (!dayjs(date).isValid() || dayjs(date).isAfter(dayjs()))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "date must be a valid date that is not in the future",
+        });
+      }
+
+      var result = await buildTrendReport(req.user, periodType, { date });
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: "No emotion analyses or assessments in this period",
+        });
+      }
+
+      res.status(result.created ? 201 : 200).json({
+        success: true,
+        data: result.report,
+      });
+    } catch (err) {
+      console.error("Error generating trend report:", err);
+      res.status(500).json({
+        success: false,
+        message: "Error generating report",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/reports/{reportId}:
+ *   get:
+ *     summary: "Get a trend report with its stats"
+ *     tags: [Reports]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: |
+ *           Report; `stats` holds emotionDistribution, riskLevels, sentiment (average, change,
+ *           trajectory), assessmentScores (average, change, series) and comparedToPrevious
+ *       404:
+ *         description: Report not found
+ */
+router.get("/:reportId", requireAuth, async function (req, res) {
+  try {
+    var report = mongoose.Types.ObjectId.isValid(req.params.reportId)
+      ? await TrendReport.findOne({
+          _id: req.params.reportId,
+          userId: req.user._id,
+        })
+      : null;
+    if (!report) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Report not found" });
+    }
+
+    res.json({ success: true, data: report });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Error getting report",
+      error: err.message,
+    });
+  }
+});
+
+module.exports = router;
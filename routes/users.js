@@ -1,13 +1,39 @@
 var express = require("express");
+var mongoose = require("mongoose");
 var router = express.Router();
 var { requireAuth } = require("../middlewares/auth");
 var User = require("../models/User");
 var Journal = require("../models/Journal");
 var Mood = require("../models/Mood");
+var DataExport = require("../models/DataExport");
+var bcrypt = require("bcryptjs");
+var { requestDataExport, streamExportArchive } = require("../utils/dataExport");
+var { SUPPORTED_LANGUAGES, isSupportedLanguage } = require("../utils/language");
+var {
+  CODE_ERROR_MESSAGES,
+  issueCode,
+  consumeCode,
+} = require("../utils/oneTimeCodes");
+var {
+  sendVerificationEmail,
+  sendAccountDeletionCode,
+} = require("../utils/mailer");
+var { rateLimit } = require("../middlewares/rateLimit");
+var {
+  DELETION_GRACE_DAYS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+} = require("../utils/accountDeletion");
 var multer = require("multer");
 var cloudinary = require("../config/cloudinary");
 var { CloudinaryStorage } = require("multer-storage-cloudinary");
 
+// Guessing the password or code that confirms an account deletion
+var deletionRateLimit = rateLimit("deletion", [
+  { by: "ip", max: 20, windowMinutes: 15 },
+  { by: "user", max: 10, windowMinutes: 15 },
+]);
+
 // Configure multer for Cloudinary uploads
 var storage = new CloudinaryStorage({
   cloudinary: cloudinary,
@@ -61,6 +87,9 @@ var upload = multer({
  *                 premiumDaysLeft: { type: number }
  *                 isPremiumActive: { type: boolean }
  *                 createdAt: { type: string, format: date-time }
+ *                 deletionScheduledFor: { type: string, format: date-time, nullable: true }
+ *                 preferredLanguage: { type: string, enum: [vi, en], nullable: true, description: "null = detect from content" }
+ *                 twoFactorEnabled: { type: boolean }
  */
 router.get("/me", requireAuth, function (req, res) {
   const user = req.user;
@@ -79,6 +108,9 @@ router.get("/me", requireAuth, function (req, res) {
     isPremiumActive: user.isPremiumActive(),
     avatar: avatarUrl,
     createdAt: user.createdAt,
+    deletionScheduledFor: user.deletionScheduledFor || null,
+    preferredLanguage: user.preferredLanguage || null,
+    twoFactorEnabled: Boolean(user.twoFactorEnabled),
   });
 });
 
@@ -98,6 +130,11 @@ router.get("/me", requireAuth, function (req, res) {
  *             type: object
  *             properties:
  *               name: { type: string, minLength: 1, maxLength: 100 }
+ *               preferredLanguage:
+ *                 type: string
+ *                 enum: [vi, en]
+ *                 nullable: true
+ *                 description: Language for AI output; null detects it from what you write
  *     responses:
  *       200:
  *         description: Updated
@@ -120,28 +157,45 @@ router.put("/me", requireAuth, async function (req, res) {
     console.log("Request body:", req.body);
     console.log("User:", req.user ? req.user._id : "No user");
 
-    const { name } = req.body;
+    const { name, preferredLanguage } = req.body;
+    const update = {};
 
     // Validation
-    if (!name || typeof name !== "string" || name.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Name is required and must be a non-empty string",
-      });
+    if (name !== undefined || preferredLanguage === undefined) {
+      if (!name || typeof name !== "string" || name.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Name is required and must be a non-empty string",
+        });
+      }
+
+      if (name.length > 100) {
+        return res.status(400).json({
+          success: false,
+          message: "Name must be less than 100 characters",
+        });
+      }
+      update.name = name.trim();
     }
 
-    if (name.length > 100) {
-      return res.status(400).json({
-        success: false,
-        message: "Name must be less than 100 characters",
-      });
+    if (preferredLanguage !== undefined) {
+      if (
+        preferredLanguage !== null &&
+        !isSupportedLanguage(preferredLanguage)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `preferredLanguage must be one of ${SUPPORTED_LANGUAGES.join(
+            ", "
+          )} or null`,
+        });
+      }
+      update.preferredLanguage = preferredLanguage;
     }
 
-    const updatedUser = await User.findByIdAndUpdate(
-      req.user._id,
-      { name: name.trim() },
-      { new: true }
-    );
+    const updatedUser = await User.findByIdAndUpdate(req.user._id, update, {
+      new: true,
+    });
 
     if (!updatedUser) {
       return res.status(404).json({
@@ -163,6 +217,7 @@ router.put("/me", requireAuth, async function (req, res) {
         premiumDaysLeft: updatedUser.getPremiumDaysLeft(),
         isPremiumActive: updatedUser.isPremiumActive(),
         createdAt: updatedUser.createdAt,
+        preferredLanguage: updatedUser.preferredLanguage || null,
       },
     });
   } catch (err) {
@@ -289,6 +344,15 @@ router.get("/premium-info", requireAuth, async function (req, res) {
   }
 });
 
+// A new code was requested too soon after the last one
+function sendCooldown(res, retryAfter) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Please wait ${retryAfter} seconds before requesting a new code`,
+  });
+}
+
 /**
  * @openapi
  * /users/change-email:
@@ -307,9 +371,11 @@ router.get("/premium-info", requireAuth, async function (req, res) {
  *               newEmail: { type: string, format: email }
  *     responses:
  *       200:
- *         description: Verification email sent
+ *         description: Verification email sent; confirm the code with /users/confirm-email
  *       400:
  *         description: Invalid email
+ *       429:
+ *         description: A code was sent less than a minute ago (Retry-After gives the wait)
  *       500:
  *         description: Server error
  */
@@ -340,20 +406,17 @@ router.post("/change-email", requireAuth, async function (req, res) {
       });
     }
 
-    // Generate verification code
-    const verificationCode = Math.random()
-      .toString(36)
-      .substring(2, 8)
-      .toUpperCase();
+    const issued = await issueCode(req.user._id, "email_change", {
+      target: newEmail.toLowerCase(),
+    });
+    if (issued.error) return sendCooldown(res, issued.retryAfter);
 
     // Update user with pending email change
     req.user.pendingEmail = newEmail.toLowerCase();
-    req.user.emailVerificationCode = verificationCode;
     await req.user.save();
 
     // Send verification email to new email
-    const { sendVerificationEmail } = require("../utils/mailer");
-    await sendVerificationEmail(newEmail, verificationCode);
+    await sendVerificationEmail(newEmail, issued.code);
 
     res.json({
       success: true,
@@ -369,6 +432,74 @@ router.post("/change-email", requireAuth, async function (req, res) {
   }
 });
 
+/**
+ * @openapi
+ * /users/confirm-email:
+ *   post:
+ *     summary: Confirm an email change with the code sent to the new address
+ *     tags: [Users]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: Email changed
+ *       400:
+ *         description: Invalid, expired or exhausted code (5 attempts per code)
+ *       409:
+ *         description: The new address was registered in the meantime
+ *       500:
+ *         description: Server error
+ */
+router.post("/confirm-email", requireAuth, async function (req, res) {
+  try {
+    const result = await consumeCode(
+      req.user._id,
+      "email_change",
+      req.body.code
+    );
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: CODE_ERROR_MESSAGES[result.error],
+      });
+    }
+
+    const taken = await User.exists({ email: result.target });
+    if (taken) {
+      return res.status(409).json({
+        success: false,
+        message: "Email address already in use",
+      });
+    }
+
+    req.user.email = result.target;
+    req.user.pendingEmail = undefined;
+    req.user.isEmailVerified = true;
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: "Email address changed",
+      data: { email: req.user.email },
+    });
+  } catch (err) {
+    console.error("Error confirming email change:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error confirming email change",
+      error: err.message,
+    });
+  }
+});
+
 /**
  * @openapi
  * /users/resend-verification:
@@ -379,6 +510,8 @@ router.post("/change-email", requireAuth, async function (req, res) {
  *     responses:
  *       200:
  *         description: Verification email sent
+ *       429:
+ *         description: A code was sent less than a minute ago (Retry-After gives the wait)
  *       500:
  *         description: Server error
  */
@@ -391,17 +524,11 @@ router.post("/resend-verification", requireAuth, async function (req, res) {
       });
     }
 
-    // Generate new verification code
-    const verificationCode = Math.random()
-      .toString(36)
-      .substring(2, 8)
-      .toUpperCase();
-    req.user.emailVerificationCode = verificationCode;
-    await req.user.save();
+    const issued = await issueCode(req.user._id, "email_verification");
+    if (issued.error) return sendCooldown(res, issued.retryAfter);
 
     // Send verification email
-    const { sendVerificationEmail } = require("../utils/mailer");
-    await sendVerificationEmail(req.user.email, verificationCode);
+    await sendVerificationEmail(req.user.email, issued.code);
 
     res.json({
       success: true,
@@ -542,4 +669,317 @@ router.delete("/avatar", requireAuth, async function (req, res) {
   }
 });
 
+/* Account deletion */
+/**
+ * @openapi
+ * /users/me/deletion/code:
+ *   post:
+ *     summary: Email a code to confirm account deletion
+ *     description: For accounts without a password (e.g. Google sign-in). The code is valid for 10 minutes and allows 5 attempts.
+ *     tags: [Users]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *       429:
+ *         description: A code was sent less than a minute ago (Retry-After gives the wait)
+ *       500:
+ *         description: Server error
+ */
+router.post("/me/deletion/code", requireAuth, async function (req, res) {
+  try {
+    const issued = await issueCode(req.user._id, "account_deletion");
+    if (issued.error) return sendCooldown(res, issued.retryAfter);
+    await sendAccountDeletionCode(req.user.email, issued.code);
+
+    res.json({
+      success: true,
+      message: "A confirmation code has been sent to your email",
+    });
+  } catch (err) {
+    console.error("Error sending account deletion code:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error sending account deletion code",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /users/me/deletion:
+ *   post:
+ *     summary: Schedule my account for deletion
+ *     description: Confirm with the account password or an emailed code. The account and all its data (journals, moods, AI analyses, notifications, review, custom templates, avatar) are deleted after a 14-day grace period; payments are kept anonymised for accounting. Until then the deletion can be cancelled.
+ *     tags: [Users]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password: { type: string }
+ *               code: { type: string, description: "Code from /users/me/deletion/code" }
+ *     responses:
+ *       200:
+ *         description: Deletion scheduled
+ *       400:
+ *         description: Missing, wrong or expired confirmation
+ *       409:
+ *         description: Deletion already scheduled
+ *       429:
+ *         description: Too many attempts
+ */
+router.post(
+  "/me/deletion",
+  requireAuth,
+  deletionRateLimit,
+  async function (req, res) {
+    try {
+      const { password, code } = req.body;
+
+      if (req.user.deletionScheduledFor) {
+        return res.status(409).json({
+          success: false,
+          message: "Account deletion is already scheduled",
+          data: { deletionScheduledFor: req.user.deletionScheduledFor },
+        });
+      }
+
+      let confirmed = false;
+      if (password && req.user.passwordHash) {
+        confirmed = await bcrypt.compare(password, req.user.passwordHash);
+      } else if (code) {
+        const result = await consumeCode(
+          req.user._id,
+          "account_deletion",
+          code
+        );
+        if (result.error) {
+          return res.status(400).json({
+            success: false,
+            message: CODE_ERROR_MESSAGES[result.error],
+          });
+        }
+        confirmed = true;
+      }
+      if (!confirmed) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid password or confirmation code",
+        });
+      }
+
+      const deletionScheduledFor = await scheduleAccountDeletion(req.user);
+
+      res.json({
+        success: true,
+        message: `Your account will be deleted in ${DELETION_GRACE_DAYS} days. You can cancel until then.`,
+        data: { deletionScheduledFor },
+      });
+    } catch (err) {
+      console.error("Error scheduling account deletion:", err);
+      res.status(500).json({
+        success: false,
+        message: "Error scheduling account deletion",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /users/me/deletion:
+ *   delete:
+ *     summary: Cancel a scheduled account deletion
+ *     tags: [Users]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       404:
+ *         description: No deletion scheduled
+ */
+router.delete("/me/deletion", requireAuth, async function (req, res) {
+  try {
+    if (!req.user.deletionScheduledFor) {
+      return res.status(404).json({
+        success: false,
+        message: "No account deletion is scheduled",
+      });
+    }
+
+    await cancelAccountDeletion(req.user);
+
+    res.json({
+      success: true,
+      message: "Account deletion cancelled",
+    });
+  } catch (err) {
+    console.error("Error cancelling account deletion:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling account deletion",
+      error: err.message,
+    });
+  }
+});
+
+/* Data export */
+/**
+ * @openapi
+ * /users/me/export:
+ *   post:
+ *     summary: Request an archive of all my data
+ *     description: Builds a zip with a JSON file of every record stored for the account and one Markdown file per journal. The archive is generated in the background; a notification is sent when it is ready and it can be downloaded for 7 days.
+ *     tags: [Users]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       202:
+ *         description: Export queued (or the export already in progress)
+ *       500:
+ *         description: Server error
+ */
+router.post("/me/export", requireAuth, async function (req, res) {
+  try {
+    const dataExport = await requestDataExport(req.user._id);
+    res.status(202).json({
+      success: true,
+      message:
+        "Your export is being prepared. We will notify you when it is ready.",
+      data: formatDataExport(dataExport),
+    });
+  } catch (err) {
+    console.error("Error requesting data export:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error requesting data export",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /users/me/export/{exportId}:
+ *   get:
+ *     summary: Get the status of a data export
+ *     tags: [Users]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Export status (pending, processing, ready, failed)
+ *       404:
+ *         description: Export not found or expired
+ */
+router.get("/me/export/:exportId", requireAuth, async function (req, res) {
+  try {
+    const dataExport = mongoose.Types.ObjectId.isValid(req.params.exportId)
+      ? await DataExport.findOne({
+          _id: req.params.exportId,
+          userId: req.user._id,
+        })
+      : null;
+    if (!dataExport) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Export not found" });
+    }
+    res.json({ success: true, data: formatDataExport(dataExport) });
+  } catch (err) {
+    console.error("Error fetching data export:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching data export",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /users/me/export/{exportId}/download:
+ *   get:
+ *     summary: Download a ready data export
+ *     tags: [Users]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Zip archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Export not found, not ready or expired
+ */
+router.get(
+  "/me/export/:exportId/download",
+  requireAuth,
+  async function (req, res) {
+    try {
+      const dataExport = mongoose.Types.ObjectId.isValid(req.params.exportId)
+        ? await DataExport.findOne({
+            _id: req.params.exportId,
+            userId: req.user._id,
+            status: "ready",
+            // Exports made before archives were chunked cannot be downloaded
+            chunkCount: { $gt: 0 },
+            expiresAt: { $gt: new Date() },
+          })
+        : null;
+      if (!dataExport) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Export not found or not ready" });
+      }
+
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${dataExport.fileName}"`
+      );
+      res.setHeader("Content-Length", dataExport.size);
+      await streamExportArchive(dataExport, res);
+    } catch (err) {
+      console.error("Error downloading data export:", err);
+      // Part of the archive may already be sent; the client sees a cut-off download
+      if (res.headersSent) return res.destroy(err);
+      res.status(500).json({
+        success: false,
+        message: "Error downloading data export",
+        error: err.message,
+      });
+    }
+  }
+);
+
+function formatDataExport(dataExport) {
+  return {
+    id: dataExport._id,
+    status: dataExport.status,
+    fileName: dataExport.fileName,
+    size: dataExport.size,
+    error: dataExport.error,
+    createdAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt,
+    expiresAt: dataExport.expiresAt,
+  };
+}
+
 module.exports = router;
@@ -0,0 +1,111 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Journal = require("../models/Journal");
+const { decryptValueStrict, isEncrypted } = require("../utils/encryption");
+const {
+  buildSearchIndex,
+  isSearchIndexEnabled,
+} = require("../utils/searchIndex");
+
+/**
+ * Build the search blind index for existing journals.
+ * Run once after enabling search, and again whenever JOURNAL_SEARCH_INDEX_KEY changes.
+ *
+ * Usage:
+ *   node scripts/buildSearchIndex.js [--batch-size=200]
+ */
+
+// Fail loudly instead of indexing ciphertext
+function plainValue(value) {
+  if (!value) return value;
+  return isEncrypted(value) ? decryptValueStrict(value) : value;
+}
+
+async function buildJournalSearchIndex() {
+  const batchArg = process.argv.find((arg) => arg.startsWith("--batch-size="));
+  const parsedBatch = batchArg
+    ? Number.parseInt(batchArg.split("=")[1], 10)
+    : 200;
+  const batchSize = parsedBatch > 0 ? parsedBatch : 200;
+
+  if (!isSearchIndexEnabled()) {
+    console.error(
+      "JOURNAL_SEARCH_INDEX_KEY or JOURNAL_ENCRYPTION_KEY not defined. Aborting indexing."
+    );
+    process.exit(1);
+  }
+
+  const mongoUri =
+    process.env.MONGO_URI ||
+    process.env.MONGO_URI_EXEC ||
+    process.env.DB_URI ||
+    process.env.DATABASE_URL;
+  if (!mongoUri) {
+    console.error("MONGO_URI not defined. Aborting indexing.");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri);
+  console.log("[JOURNAL SEARCH] Connected to MongoDB");
+
+  let processed = 0;
+  let indexed = 0;
+  const failed = [];
+  let lastId = null;
+
+  for (;;) {
+    const query = lastId ? { _id: { $gt: lastId } } : {};
+    const batch = await Journal.find(query)
+      .setOptions({ withDeleted: true })
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .lean();
+    if (batch.length === 0) break;
+
+    const operations = [];
+    batch.forEach((journal) => {
+      processed += 1;
+      try {
+        const searchIndex = buildSearchIndex(journal.userId, {
+          title: plainValue(journal.title),
+          content: plainValue(journal.content),
+          richContent: plainValue(journal.richContent),
+          mood: plainValue(journal.mood),
+          tags: (journal.tags || []).map(plainValue),
+        });
+        operations.push({
+          updateOne: {
+            filter: { _id: journal._id },
+            update: { $set: { searchIndex } },
+          },
+        });
+      } catch (err) {
+        failed.push({ id: String(journal._id), error: err.message });
+      }
+    });
+
+    if (operations.length > 0) {
+      const result = await Journal.bulkWrite(operations, { ordered: false });
+      indexed += result.matchedCount;
+    }
+
+    lastId = batch[batch.length - 1]._id;
+    console.log(
+      `[JOURNAL SEARCH] Processed ${processed}, indexed ${indexed}, failed ${failed.length}`
+    );
+  }
+
+  failed.forEach((failure) => {
+    console.error(
+      `[JOURNAL SEARCH] Journal ${failure.id} could not be indexed: ${failure.error}`
+    );
+  });
+
+  await mongoose.disconnect();
+  process.exit(failed.length > 0 ? 2 : 0);
+}
+
+buildJournalSearchIndex().catch((err) => {
+  console.error("[JOURNAL SEARCH] Indexing failed:", err);
+  process.exit(1);
+});
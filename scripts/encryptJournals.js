@@ -4,7 +4,7 @@ const Journal = require("../models/Journal");
 const {
   hasEncryptionConfig,
   encryptValue,
-  isProbablyEncrypted,
+  isEncrypted,
 } = require("../utils/encryption");
 
 async function migrateJournals() {
@@ -28,7 +28,7 @@ async function migrateJournals() {
   await mongoose.connect(mongoUri);
   console.log("[JOURNAL ENCRYPTION] Connected to MongoDB");
 
-  const cursor = Journal.find().cursor();
+  const cursor = Journal.find().setOptions({ withDeleted: true }).cursor();
   let processed = 0;
   let encrypted = 0;
 
@@ -39,25 +39,25 @@ async function migrateJournals() {
 
     let updated = false;
 
-    if (journal.title && !isProbablyEncrypted(journal.title)) {
+    if (journal.title && !isEncrypted(journal.title)) {
       journal.title = encryptValue(journal.title);
       updated = true;
     }
-    if (journal.content && !isProbablyEncrypted(journal.content)) {
+    if (journal.content && !isEncrypted(journal.content)) {
       journal.content = encryptValue(journal.content);
       updated = true;
     }
-    if (journal.richContent && !isProbablyEncrypted(journal.richContent)) {
+    if (journal.richContent && !isEncrypted(journal.richContent)) {
       journal.richContent = encryptValue(journal.richContent);
       updated = true;
     }
-    if (journal.mood && !isProbablyEncrypted(journal.mood)) {
+    if (journal.mood && !isEncrypted(journal.mood)) {
       journal.mood = encryptValue(String(journal.mood));
       updated = true;
     }
     if (Array.isArray(journal.tags)) {
       const newTags = journal.tags.map((tag) =>
-        tag && !isProbablyEncrypted(tag) ? encryptValue(String(tag)) : tag
+        tag && !isEncrypted(tag) ? encryptValue(String(tag)) : tag
       );
       if (JSON.stringify(newTags) !== JSON.stringify(journal.tags)) {
         journal.tags = newTags;
@@ -78,7 +78,8 @@ async function migrateJournals() {
             mood: journal.mood,
             tags: journal.tags,
           },
-        }
+        },
+        { withDeleted: true }
       );
       encrypted += 1;
     } catch (err) {
@@ -0,0 +1,193 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Journal = require("../models/Journal");
+const JournalRevision = require("../models/JournalRevision");
+const AIAnalysis = require("../models/AIAnalysis");
+const {
+  hasEncryptionConfig,
+  classifyStoredValue,
+} = require("../utils/encryption");
+const {
+  buildJournalUpdate,
+  buildRevisionUpdate,
+  buildAnalysisUpdate,
+} = require("../utils/encryptionMigration");
+
+/**
+ * Find and fix values left unencrypted by the old base64 heuristic.
+ *
+ * Before the "enc:" prefix, any value that looked like base64 ("calm", "work")
+ * was assumed to be ciphertext and stored as plain text. This script classifies
+ * every stored field, encrypts those plain values and upgrades legacy CBC
+ * ciphertext so that only prefixed envelopes remain.
+ *
+ * Usage:
+ *   node scripts/repairEncryptionMarkers.js [--dry-run] [--batch-size=200]
+ */
+
+// Journals and their revisions store the same encrypted fields
+const journalFields = (doc) => [
+  ["title", doc.title],
+  ["content", doc.content],
+  ["richContent", doc.richContent],
+  ["mood", doc.mood],
+  ...(doc.tags || []).map((tag) => ["tags", tag]),
+];
+
+const COLLECTIONS = [
+  {
+    name: "journals",
+    Model: Journal,
+    buildUpdate: buildJournalUpdate,
+    fields: journalFields,
+  },
+  {
+    name: "revisions",
+    Model: JournalRevision,
+    buildUpdate: buildRevisionUpdate,
+    fields: journalFields,
+  },
+  {
+    name: "analyses",
+    Model: AIAnalysis,
+    buildUpdate: buildAnalysisUpdate,
+    fields: (doc) => [
+      ["content", doc.content],
+      ["results", typeof doc.results === "string" ? doc.results : null],
+    ],
+  },
+];
+
+// Same test the old isProbablyEncrypted() used
+function looksLikeBase64(value) {
+  return (
+    typeof value === "string" &&
+    value.length % 4 === 0 &&
+    /^[A-Za-z0-9+/]+={0,2}$/.test(value)
+  );
+}
+
+async function repairCollection(collection, options) {
+  const { name, Model, buildUpdate, fields } = collection;
+  const stats = {
+    documents: 0,
+    repaired: 0,
+    misclassified: 0,
+    legacy: 0,
+    plain: 0,
+    failed: [],
+  };
+  let lastId = null;
+
+  for (;;) {
+    const query = lastId ? { _id: { $gt: lastId } } : {};
+    const batch = await Model.find(query)
+      .setOptions({ withDeleted: true })
+      .sort({ _id: 1 })
+      .limit(options.batchSize)
+      .lean();
+    if (batch.length === 0) break;
+
+    const operations = [];
+    batch.forEach((doc) => {
+      stats.documents += 1;
+      try {
+        fields(doc).forEach(([field, value]) => {
+          const kind = classifyStoredValue(value);
+          if (kind === "legacy") stats.legacy += 1;
+          if (kind === "plain") {
+            stats.plain += 1;
+            if (looksLikeBase64(value)) {
+              stats.misclassified += 1;
+              console.log(
+                `[ENCRYPTION REPAIR] ${name} ${doc._id}: plain-text ${field} was treated as ciphertext`
+              );
+            }
+          }
+        });
+
+        const update = buildUpdate(doc);
+        if (update) {
+          operations.push({
+            updateOne: { filter: { _id: doc._id }, update: { $set: update } },
+          });
+        }
+      } catch (err) {
+        stats.failed.push({ id: String(doc._id), error: err.message });
+      }
+    });
+
+    if (operations.length > 0 && !options.dryRun) {
+      const result = await Model.bulkWrite(operations, { ordered: false });
+      stats.repaired += result.modifiedCount;
+    } else {
+      stats.repaired += options.dryRun ? operations.length : 0;
+    }
+
+    lastId = batch[batch.length - 1]._id;
+  }
+
+  return stats;
+}
+
+async function repairEncryptionMarkers() {
+  if (!hasEncryptionConfig()) {
+    console.error(
+      "[ENCRYPTION REPAIR] No active encryption key configured. Aborting."
+    );
+    process.exit(1);
+  }
+
+  const argv = process.argv.slice(2);
+  const dryRun = argv.includes("--dry-run");
+  const batchArg = argv.find((arg) => arg.startsWith("--batch-size="));
+  const batchSize = batchArg
+    ? Number.parseInt(batchArg.split("=")[1], 10)
+    : 200;
+
+  const mongoUri =
+    process.env.MONGO_URI ||
+    process.env.MONGO_URI_EXEC ||
+    process.env.DB_URI ||
+    process.env.DATABASE_URL;
+  if (!mongoUri) {
+    console.error("MONGO_URI not defined. Aborting repair.");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri);
+  console.log(
+    `[ENCRYPTION REPAIR] Connected to MongoDB${dryRun ? " (dry run)" : ""}`
+  );
+
+  let totalFailed = 0;
+  for (const collection of COLLECTIONS) {
+    const stats = await repairCollection(collection, {
+      dryRun,
+      batchSize: batchSize > 0 ? batchSize : 200,
+    });
+    totalFailed += stats.failed.length;
+    stats.failed.forEach((failure) => {
+      console.error(
+        `[ENCRYPTION REPAIR] ${collection.name} ${failure.id} could not be repaired: ${failure.error}`
+      );
+    });
+    console.log(
+      `[ENCRYPTION REPAIR] ${collection.name}: ${stats.documents} documents, ${
+        stats.plain
+      } plain values (${stats.misclassified} misclassified), ${
+        stats.legacy
+      } legacy values, ${stats.repaired} documents ${
+        dryRun ? "to repair" : "repaired"
+      }, ${stats.failed.length} failed.`
+    );
+  }
+
+  await mongoose.disconnect();
+  process.exit(totalFailed > 0 ? 2 : 0);
+}
+
+repairEncryptionMarkers().catch((err) => {
+  console.error("[ENCRYPTION REPAIR] Repair failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,167 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Journal = require("../models/Journal");
+const JournalRevision = require("../models/JournalRevision");
+const AIAnalysis = require("../models/AIAnalysis");
+const ChatThread = require("../models/ChatThread");
+const ChatMessage = require("../models/ChatMessage");
+const TrendReport = require("../models/TrendReport");
+const { hasEncryptionConfig, getActiveKeyId } = require("../utils/encryption");
+const {
+  buildJournalUpdate,
+  buildRevisionUpdate,
+  buildAnalysisUpdate,
+  buildChatThreadUpdate,
+  buildChatMessageUpdate,
+  buildTrendReportUpdate,
+} = require("../utils/encryptionMigration");
+
+/**
+ * Re-encrypt Journal, JournalRevision, AIAnalysis, chat and trend report
+ * documents under the active key.
+ * Also upgrades v1 envelopes and legacy CBC values to the current envelope.
+ *
+ * Usage:
+ *   node scripts/rotateEncryptionKey.js [--batch-size=200]
+ *                                       [--collection=journals|revisions|analyses|chatThreads|chatMessages|trendReports]
+ *                                       [--after=<lastProcessedId>]
+ *
+ * Documents already under the active key are skipped, so the command can be
+ * re-run at any time; --after resumes from the id printed with each batch.
+ */
+
+const COLLECTIONS = {
+  journals: { Model: Journal, buildUpdate: buildJournalUpdate },
+  revisions: { Model: JournalRevision, buildUpdate: buildRevisionUpdate },
+  analyses: { Model: AIAnalysis, buildUpdate: buildAnalysisUpdate },
+  chatThreads: { Model: ChatThread, buildUpdate: buildChatThreadUpdate },
+  chatMessages: { Model: ChatMessage, buildUpdate: buildChatMessageUpdate },
+  trendReports: { Model: TrendReport, buildUpdate: buildTrendReportUpdate },
+};
+
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach((arg) => {
+    const match = arg.match(/^--([a-z-]+)=(.*)$/);
+    if (match) args[match[1]] = match[2];
+  });
+  return args;
+}
+
+async function rotateCollection(name, options) {
+  const { Model, buildUpdate } = COLLECTIONS[name];
+  const stats = { processed: 0, rotated: 0, failed: [] };
+  let lastId = options.after
+    ? new mongoose.Types.ObjectId(options.after)
+    : null;
+
+  for (;;) {
+    const query = lastId ? { _id: { $gt: lastId } } : {};
+    // lean() skips the post("init") hook so we see the stored ciphertext
+    const batch = await Model.find(query)
+      .setOptions({ withDeleted: true })
+      .sort({ _id: 1 })
+      .limit(options.batchSize)
+      .lean();
+    if (batch.length === 0) break;
+
+    const operations = [];
+    batch.forEach((doc) => {
+      stats.processed += 1;
+      try {
+        const update = buildUpdate(doc);
+        if (update) {
+          operations.push({
+            updateOne: { filter: { _id: doc._id }, update: { $set: update } },
+          });
+        }
+      } catch (err) {
+        stats.failed.push({ id: String(doc._id), error: err.message });
+      }
+    });
+
+    if (operations.length > 0) {
+      // bulkWrite bypasses the findOneAndUpdate encryption hook
+      const result = await Model.bulkWrite(operations, { ordered: false });
+      stats.rotated += result.modifiedCount;
+    }
+
+    lastId = batch[batch.length - 1]._id;
+    console.log(
+      `[KEY ROTATION] ${name}: processed ${stats.processed}, rotated ${stats.rotated}, failed ${stats.failed.length} (resume with --collection=${name} --after=${lastId})`
+    );
+  }
+
+  return stats;
+}
+
+async function rotateEncryptionKey() {
+  if (!hasEncryptionConfig()) {
+    console.error(
+      "[KEY ROTATION] No active encryption key configured. Set JOURNAL_ENCRYPTION_ACTIVE_KEY_ID and JOURNAL_ENCRYPTION_KEYS."
+    );
+    process.exit(1);
+  }
+
+  const args = parseArgs(process.argv.slice(2));
+  const batchSize = Number.parseInt(args["batch-size"] || "200", 10);
+  const names = args.collection ? [args.collection] : Object.keys(COLLECTIONS);
+
+  if (names.some((name) => !COLLECTIONS[name])) {
+    console.error(
+      `[KEY ROTATION] Unknown collection. Use one of: ${Object.keys(
+        COLLECTIONS
+      ).join(", ")}`
+    );
+    process.exit(1);
+  }
+  if (
+    args.after &&
+    (!args.collection || !mongoose.Types.ObjectId.isValid(args.after))
+  ) {
+    console.error(
+      "[KEY ROTATION] --after must be a document id and requires --collection."
+    );
+    process.exit(1);
+  }
+
+  const mongoUri =
+    process.env.MONGO_URI ||
+    process.env.MONGO_URI_EXEC ||
+    process.env.DB_URI ||
+    process.env.DATABASE_URL;
+  if (!mongoUri) {
+    console.error("MONGO_URI not defined. Aborting rotation.");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri);
+  console.log(
+    `[KEY ROTATION] Connected to MongoDB. Rotating to key '${getActiveKeyId()}'.`
+  );
+
+  let totalFailed = 0;
+  for (const name of names) {
+    const stats = await rotateCollection(name, {
+      batchSize: batchSize > 0 ? batchSize : 200,
+      after: args.after,
+    });
+    totalFailed += stats.failed.length;
+    stats.failed.forEach((failure) => {
+      console.error(
+        `[KEY ROTATION] ${name} ${failure.id} could not be rotated: ${failure.error}`
+      );
+    });
+  }
+
+  await mongoose.disconnect();
+  console.log(
+    `[KEY ROTATION] Rotation complete with ${totalFailed} failure(s).`
+  );
+  process.exit(totalFailed > 0 ? 2 : 0);
+}
+
+rotateEncryptionKey().catch((err) => {
+  console.error("[KEY ROTATION] Rotation failed:", err);
+  process.exit(1);
+});
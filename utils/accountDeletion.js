@@ -0,0 +1,159 @@
+const cloudinary = require("../config/cloudinary");
+const User = require("../models/User");
+const Journal = require("../models/Journal");
+const JournalRevision = require("../models/JournalRevision");
+const JournalTemplate = require("../models/JournalTemplate");
+const Mood = require("../models/Mood");
+const AIAnalysis = require("../models/AIAnalysis");
+const Usage = require("../models/Usage");
+const Notification = require("../models/Notification");
+const Review = require("../models/Review");
+const Payment = require("../models/Payment");
+const DataExport = require("../models/DataExport");
+const DataExportChunk = require("../models/DataExportChunk");
+const ChatThread = require("../models/ChatThread");
+const ChatMessage = require("../models/ChatMessage");
+const TrendReport = require("../models/TrendReport");
+const Session = require("../models/Session");
+const OneTimeCode = require("../models/OneTimeCode");
+const { revokeUserSessions } = require("./sessions");
+
+// Days between confirming a deletion and the account being removed
+const DELETION_GRACE_DAYS = 14;
+
+/**
+ * Schedule the account for deletion after the grace period.
+ * @param {Object} user - User document
+ * @returns {Promise<Date>} When the account will be deleted
+ */
+const scheduleAccountDeletion = async (user) => {
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(
+    Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+  );
+  user.clearRefreshToken();
+  await user.save();
+  await revokeUserSessions(user._id, "account_deletion");
+  return user.deletionScheduledFor;
+};
+
+const cancelAccountDeletion = async (user) => {
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+};
+
+// Cloudinary public_id from a delivery URL, e.g. .../everquill/avatars/abc.jpg
+function getCloudinaryPublicId(url, folder) {
+  if (!url || !url.includes("cloudinary.com")) return null;
+  const urlParts = url.split("/");
+  const publicId = urlParts[urlParts.length - 1].split(".")[0];
+  return `${folder}/${publicId}`;
+}
+
+async function destroyCloudinaryAsset(publicId) {
+  if (!publicId) return;
+  try {
+    await cloudinary.uploader.destroy(publicId);
+  } catch (err) {
+    console.log("Could not delete asset from Cloudinary:", err.message);
+  }
+}
+
+/**
+ * Permanently delete a user and everything they own. Payments are kept for
+ * accounting but detached from the user.
+ * @param {ObjectId} userId - Account to delete
+ */
+const deleteUserAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  const templates = await JournalTemplate.find({
+    uploadedBy: user._id,
+    category: "user",
+  });
+  for (const template of templates) {
+    await destroyCloudinaryAsset(
+      getCloudinaryPublicId(template.imageUrl, "everquill/templates")
+    );
+    if (template.thumbnailUrl !== template.imageUrl) {
+      await destroyCloudinaryAsset(
+        getCloudinaryPublicId(template.thumbnailUrl, "everquill/templates")
+      );
+    }
+  }
+  await destroyCloudinaryAsset(
+    getCloudinaryPublicId(user.avatar, "everquill/avatars")
+  );
+
+  const filter = { userId: user._id };
+  await Promise.all([
+    Journal.deleteMany(filter),
+    JournalRevision.deleteMany(filter),
+    AIAnalysis.deleteMany(filter),
+    Mood.deleteMany(filter),
+    Usage.deleteMany(filter),
+    Notification.deleteMany(filter),
+    Review.deleteMany(filter),
+    DataExport.deleteMany(filter),
+    DataExportChunk.deleteMany(filter),
+    ChatThread.deleteMany(filter),
+    ChatMessage.deleteMany(filter),
+    TrendReport.deleteMany(filter),
+    Session.deleteMany(filter),
+    OneTimeCode.deleteMany(filter),
+    JournalTemplate.deleteMany({ uploadedBy: user._id, category: "user" }),
+    Payment.updateMany(filter, {
+      $set: { anonymizedAt: new Date() },
+      $unset: { userId: "", paymentUrl: "" },
+    }),
+  ]);
+
+  await User.deleteOne({ _id: user._id });
+  console.log(`🗑️ Deleted account ${user._id}`);
+};
+
+/**
+ * Delete every account whose grace period has ended
+ */
+const processScheduledDeletions = async () => {
+  try {
+    const dueUsers = await User.find({
+      deletionScheduledFor: { $lte: new Date() },
+    }).select("_id");
+
+    for (const user of dueUsers) {
+      try {
+        await deleteUserAccount(user._id);
+      } catch (error) {
+        console.error(`❌ Error deleting account ${user._id}:`, error);
+      }
+    }
+
+    console.log(
+      `✅ Account deletion job completed. Deleted ${dueUsers.length} accounts.`
+    );
+  } catch (error) {
+    console.error("❌ Error in account deletion job:", error);
+  }
+};
+
+/**
+ * Initialize the daily account deletion job
+ * Call this once when server starts
+ */
+const initAccountDeletionScheduler = () => {
+  processScheduledDeletions();
+  setInterval(processScheduledDeletions, 24 * 60 * 60 * 1000);
+  console.log("🚀 Account deletion scheduler initialized");
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  deleteUserAccount,
+  processScheduledDeletions,
+  initAccountDeletionScheduler,
+};
@@ -0,0 +1,157 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const AICache = require("../models/AICache");
+const { encryptValue, decryptValue } = require("./encryption");
+
+// Bump when prompts or result schemas change so old entries stop matching
+const AI_CACHE_VERSION = 1;
+const DEFAULT_TTL_DAYS = 7;
+
+const stats = { hits: 0, misses: 0, errors: 0, byTask: {} };
+
+function isCacheEnabled() {
+  return (
+    process.env.AI_CACHE_ENABLED !== "false" &&
+    // Without a connection mongoose would buffer the query instead of failing
+    mongoose.connection.readyState === 1
+  );
+}
+
+function getTtlMs() {
+  const days = Number(process.env.AI_CACHE_TTL_DAYS) || DEFAULT_TTL_DAYS;
+  return days * 24 * 60 * 60 * 1000;
+}
+
+function count(task, outcome) {
+  stats[outcome] += 1;
+  if (!stats.byTask[task]) stats.byTask[task] = { hits: 0, misses: 0 };
+  if (outcome !== "errors") stats.byTask[task][outcome] += 1;
+}
+
+/**
+ * Whitespace and Unicode form do not change the analysis; case and
+ * diacritics do, so they are kept.
+ * @param {string} content - Text sent to the model
+ * @returns {string}
+ */
+function normalizeContent(content) {
+  return String(content || "")
+    .replace(/<[^>]*>/g, " ")
+    .normalize("NFC")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Cache key for one AI call. Keyed with a server secret: a plain hash of a
+ * short journal entry could be confirmed by hashing guesses if the cache
+ * collection leaks.
+ * @param {string} task - aiService task name
+ * @param {string} content - Analysed text
+ * @param {string} language - Response language
+ * @param {string} model - Provider and model, e.g. "gemini:gemini-2.5-flash"
+ * @returns {string} HMAC-SHA256 hex digest
+ */
+const buildCacheKey = (task, content, language, model) => {
+  return crypto
+    .createHmac(
+      "sha256",
+      process.env.AI_CACHE_SECRET || process.env.JWT_SECRET || "secret"
+    )
+    .update(
+      JSON.stringify([
+        AI_CACHE_VERSION,
+        task,
+        normalizeContent(content),
+        language,
+        model,
+      ])
+    )
+    .digest("hex");
+};
+
+/**
+ * Look up a cached result. Cache errors are logged and treated as a miss.
+ * @param {string} task - aiService task name
+ * @param {string} key - Result of buildCacheKey
+ * @returns {Promise<Object|null>} Cached result
+ */
+const getCachedResult = async (task, key) => {
+  if (!isCacheEnabled()) return null;
+  try {
+    const entry = await AICache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 }, lastHitAt: new Date() },
+      { new: true }
+    ).lean();
+    if (!entry) {
+      count(task, "misses");
+      return null;
+    }
+    count(task, "hits");
+    return JSON.parse(decryptValue(entry.result));
+  } catch (error) {
+    count(task, "errors");
+    console.error(`❌ AI cache read failed (${task}):`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Store a validated result.
+ * @param {string} task - aiService task name
+ * @param {string} key - Result of buildCacheKey
+ * @param {string} model - Provider and model
+ * @param {Object} result - Validated AI result
+ */
+const setCachedResult = async (task, key, model, result) => {
+  if (!isCacheEnabled()) return;
+  try {
+    await AICache.updateOne(
+      { key },
+      {
+        $set: {
+          task,
+          model,
+          result: encryptValue(JSON.stringify(result)),
+          createdAt: new Date(),
+          expiresAt: new Date(Date.now() + getTtlMs()),
+        },
+        $setOnInsert: { hits: 0 },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    count(task, "errors");
+    console.error(`❌ AI cache write failed (${task}):`, error.message);
+  }
+};
+
+/**
+ * Hit/miss counters since the server started, plus the stored entry count.
+ * @returns {Promise<Object>}
+ */
+const getCacheStats = async () => {
+  const lookups = stats.hits + stats.misses;
+  let entries = null;
+  if (mongoose.connection.readyState === 1) {
+    entries = await AICache.estimatedDocumentCount();
+  }
+  return {
+    enabled: process.env.AI_CACHE_ENABLED !== "false",
+    hits: stats.hits,
+    misses: stats.misses,
+    errors: stats.errors,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 100) : 0,
+    entries,
+    ttlDays: getTtlMs() / (24 * 60 * 60 * 1000),
+    byTask: stats.byTask,
+  };
+};
+
+module.exports = {
+  buildCacheKey,
+  getCachedResult,
+  setCachedResult,
+  getCacheStats,
+};
@@ -0,0 +1,441 @@
+const axios = require("axios");
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+// Load environment variables
+require("dotenv").config();
+
+const DEFAULT_GEMINI_MODEL = "gemini-2.5-flash";
+const DEFAULT_OPENAI_TIMEOUT_MS = 60 * 1000;
+// USD per million tokens (Gemini 2.5 Flash list price)
+const GEMINI_PRICING = { inputPerMillion: 0.3, outputPerMillion: 2.5 };
+
+// Rough token count for providers that do not report usage
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+// AI_PRICE_INPUT_PER_MILLION / AI_PRICE_OUTPUT_PER_MILLION override defaults
+function getPricing(defaults) {
+  return {
+    inputPerMillion:
+      Number(process.env.AI_PRICE_INPUT_PER_MILLION) ||
+      defaults.inputPerMillion,
+    outputPerMillion:
+      Number(process.env.AI_PRICE_OUTPUT_PER_MILLION) ||
+      defaults.outputPerMillion,
+  };
+}
+
+/**
+ * Google Gemini through the official SDK.
+ * Env: GEMINI_API_KEY, AI_MODEL (default gemini-2.5-flash)
+ */
+const createGeminiProvider = () => {
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) {
+    console.warn(
+      "⚠️ GEMINI_API_KEY is missing. AI features will throw errors until it is set."
+    );
+    return null;
+  }
+
+  const modelName = process.env.AI_MODEL || DEFAULT_GEMINI_MODEL;
+  const model = new GoogleGenerativeAI(apiKey).getGenerativeModel({
+    model: modelName,
+  });
+
+  return {
+    name: "gemini",
+    label: "Google Gemini API",
+    model: modelName,
+    pricing: getPricing(GEMINI_PRICING),
+    generateText: async (prompt) => {
+      const result = await model.generateContent(prompt);
+      const response = await result.response;
+      const text = response.text();
+      const metadata = response.usageMetadata || {};
+      return {
+        text,
+        usage: {
+          inputTokens: metadata.promptTokenCount || estimateTokens(prompt),
+          // Thinking tokens are billed as output
+          outputTokens:
+            (metadata.candidatesTokenCount || estimateTokens(text)) +
+            (metadata.thoughtsTokenCount || 0),
+        },
+      };
+    },
+    streamText: async (prompt, { onToken, signal } = {}) => {
+      const result = await model.generateContentStream(prompt, { signal });
+      let text = "";
+      for await (const chunk of result.stream) {
+        const token = chunk.text();
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+      }
+      const metadata = (await result.response).usageMetadata || {};
+      return {
+        text,
+        usage: {
+          inputTokens: metadata.promptTokenCount || estimateTokens(prompt),
+          outputTokens:
+            (metadata.candidatesTokenCount || estimateTokens(text)) +
+            (metadata.thoughtsTokenCount || 0),
+        },
+      };
+    },
+  };
+};
+
+/**
+ * Any server implementing the OpenAI chat completions API (OpenAI, Ollama,
+ * LM Studio, llama.cpp, vLLM...).
+ * Env: AI_BASE_URL (e.g. http://localhost:11434/v1), AI_MODEL, AI_API_KEY (optional),
+ * AI_TIMEOUT_MS
+ */
+const createOpenAIProvider = () => {
+  const baseUrl = process.env.AI_BASE_URL;
+  const modelName = process.env.AI_MODEL;
+  if (!baseUrl || !modelName) {
+    console.warn(
+      "⚠️ AI_BASE_URL and AI_MODEL are required for the openai provider. AI features will throw errors until they are set."
+    );
+    return null;
+  }
+
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.AI_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.AI_API_KEY}`;
+  }
+  const timeout =
+    Number(process.env.AI_TIMEOUT_MS) || DEFAULT_OPENAI_TIMEOUT_MS;
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: "openai",
+    label: "OpenAI-compatible API",
+    model: modelName,
+    // Local servers are free unless prices are configured
+    pricing: getPricing({ inputPerMillion: 0, outputPerMillion: 0 }),
+    generateText: async (prompt) => {
+      const response = await axios.post(
+        url,
+        {
+          model: modelName,
+          messages: [{ role: "user", content: prompt }],
+          temperature: 0.7,
+        },
+        { headers, timeout }
+      );
+      const choice =
+        response.data && response.data.choices && response.data.choices[0];
+      const text = choice && choice.message && choice.message.content;
+      if (typeof text !== "string") {
+        throw new Error("AI provider returned no message content");
+      }
+      const usage = response.data.usage || {};
+      return {
+        text,
+        usage: {
+          inputTokens: usage.prompt_tokens || estimateTokens(prompt),
+          outputTokens: usage.completion_tokens || estimateTokens(text),
+        },
+      };
+    },
+    streamText: async (prompt, { onToken, signal } = {}) => {
+      const response = await axios.post(
+        url,
+        {
+          model: modelName,
+          messages: [{ role: "user", content: prompt }],
+          temperature: 0.7,
+          stream: true,
+        },
+        { headers, timeout, signal, responseType: "stream" }
+      );
+
+      // Server-sent events: "data: {...}" lines, ending with "data: [DONE]"
+      let text = "";
+      let buffer = "";
+      // Decode across chunks: a character can be split between two of them
+      response.data.setEncoding("utf8");
+      for await (const chunk of response.data) {
+        buffer += chunk;
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, "").trim();
+          if (!line.startsWith("data:") || !data || data === "[DONE]") continue;
+          const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            onToken(delta);
+          }
+        }
+      }
+      return {
+        text,
+        usage: {
+          inputTokens: estimateTokens(prompt),
+          outputTokens: estimateTokens(text),
+        },
+      };
+    },
+  };
+};
+
+// Canned responses for the stub provider, one per aiService task. Each one
+// matches the JSON shape the corresponding prompt asks for.
+const STUB_RESPONSES = {
+  writingPrompts: () => [
+    "What is one small moment from today that you would like to remember?",
+    "Describe a feeling you noticed today and where you felt it in your body.",
+    "What would you say to a close friend who had the day you had?",
+    "Which part of your routine helped you most this week, and why?",
+    "Write about something you are looking forward to.",
+    "What is a worry you can set down for tonight?",
+    "Who made you feel supported recently, and how?",
+    "What did you learn about yourself today?",
+    "Describe a place where you feel calm.",
+    "What is one kind thing you can do for yourself tomorrow?",
+  ],
+  advancedPrompts: () => STUB_RESPONSES.writingPrompts(),
+  moodReflections: () => [
+    "What do you think brought on this mood?",
+    "How has this mood affected the way you treated yourself today?",
+    "What would help you feel a little more balanced right now?",
+  ],
+  sentiment: () => ({
+    sentiment: { score: 0.5, label: "neutral", confidence: 0.8 },
+    mentalHealthIndicators: {
+      depressionSigns: false,
+      anxietySigns: false,
+      stressSigns: false,
+      riskLevel: "low",
+      details: "No notable mental health indicators",
+    },
+    keywords: { positive: [], negative: [], emotional: [] },
+    recommendations: [
+      "Keep writing regularly to notice patterns in your mood",
+      "Take a few minutes each day for something you enjoy",
+    ],
+  }),
+  improvementPlan: () => ({
+    planType: "positivity_building",
+    title: "Your Personal Balance Journey",
+    duration: "7 days",
+    activities: [
+      { day: 1, activity: "Write three things you are grateful for" },
+      { day: 2, activity: "Take a 10-minute walk without your phone" },
+      { day: 3, activity: "Practice the 4-7-8 breathing technique" },
+      { day: 4, activity: "Reach out to a friend you have not talked to" },
+      { day: 5, activity: "Write about a challenge you handled well" },
+      { day: 6, activity: "Spend 15 minutes on a hobby" },
+      { day: 7, activity: "Reflect on how the week felt" },
+    ],
+    tips: [
+      "Small steps every day add up",
+      "Progress isn't linear - some days will be harder than others",
+      "Be as kind to yourself as you would be to a friend",
+    ],
+  }),
+  assistant: () => ({
+    response:
+      "Thank you for sharing that. It makes sense to feel this way, and taking time to reflect is a good step.",
+    suggestions: [
+      "Try writing down what is on your mind for five minutes",
+      "Take a short break and a few slow, deep breaths",
+    ],
+    resources: [
+      "If these feelings persist, consider talking to a mental health professional",
+    ],
+  }),
+  emotionAnalysis: () => ({
+    emotionAnalysis: {
+      primaryEmotion: "calm",
+      emotionScore: 5,
+      confidence: 0.8,
+    },
+    sentimentAnalysis: { overallSentiment: "neutral", sentimentScore: 0 },
+    mentalHealthIndicators: {
+      stressLevel: "low",
+      anxietyLevel: "low",
+      depressionSigns: false,
+      riskLevel: "low",
+    },
+    improvementSuggestions: {
+      immediateActions: ["Take 5 deep breaths", "Drink a glass of water"],
+      shortTermGoals: ["Keep a daily journaling habit"],
+      longTermStrategies: ["Build a consistent self-care routine"],
+      timeframes: {
+        immediate: "Next 30 minutes",
+        shortTerm: "Next 1-2 weeks",
+        longTerm: "Next 1-3 months",
+      },
+    },
+    keywords: { emotional: [], behavioral: [], physical: [] },
+  }),
+  mentalHealthAssessment: () => ({
+    assessment: {
+      overallScore: 7,
+      mentalHealthStatus: "good",
+      assessmentDate: new Date().toISOString(),
+    },
+    depressionIndicators: {
+      score: 1,
+      level: "minimal",
+      symptoms: [],
+      recommendations: ["Continue monitoring mood"],
+    },
+    anxietyIndicators: {
+      score: 1,
+      level: "minimal",
+      symptoms: [],
+      recommendations: ["Practice relaxation techniques"],
+    },
+    stressIndicators: {
+      score: 2,
+      level: "low",
+      sources: [],
+      recommendations: ["Take regular breaks"],
+    },
+    riskAssessment: {
+      overallRisk: "low",
+      immediateConcerns: [],
+      followUpNeeded: false,
+      professionalHelpRecommended: false,
+    },
+    personalizedPlan: {
+      dailyActions: ["Write in your journal"],
+      weeklyGoals: ["Exercise 3 times this week"],
+      monthlyObjectives: ["Develop a consistent self-care routine"],
+      resources: ["Meditation apps"],
+    },
+  }),
+  trendReport: () => ({
+    summary:
+      "This period your entries were mostly calm, with a dip in the middle when work felt heavier. Your overall wellbeing score held steady.",
+    highlights: [
+      "Calm was your most frequent emotion",
+      "Sentiment improved towards the end of the period",
+    ],
+    suggestions: [
+      "Keep the evening routine that helped on calmer days",
+      "Plan a short break before busy weeks",
+    ],
+  }),
+};
+
+// Tasks that answer in plain text instead of JSON
+const STUB_TEXT_RESPONSES = {
+  assistantStream: () =>
+    "Thank you for sharing that. It makes sense to feel this way, and taking time to reflect is a good step. " +
+    "Try writing down what is on your mind for five minutes, then take a few slow, deep breaths. " +
+    "If these feelings persist, consider talking to a mental health professional.",
+  chatReply: () =>
+    "That sounds like a lot to carry. Looking at what you wrote, it seems the busy weeks leave you little time to rest. " +
+    "What is one small thing that helped you feel calmer recently?",
+  chatSummary: () =>
+    "The user has been discussing stress from work and their journal entries about it. " +
+    "They found short walks and breathing exercises helpful and want to build a steadier evening routine.",
+};
+
+// Canned output for a task, as the model would return it
+function buildStubText(task) {
+  const build = STUB_TEXT_RESPONSES[task] || STUB_RESPONSES[task];
+  if (!build) {
+    throw new Error(`Stub AI provider has no response for task: ${task}`);
+  }
+  const result = build();
+  return typeof result === "string" ? result : JSON.stringify(result);
+}
+
+/**
+ * Deterministic offline provider for tests and local development. Returns
+ * the canned response for the task, or an error for unknown tasks.
+ */
+const createStubProvider = () => ({
+  name: "stub",
+  label: "Local stub",
+  model: "stub",
+  pricing: { inputPerMillion: 0, outputPerMillion: 0 },
+  generateText: async (prompt, options = {}) => {
+    const text = buildStubText(options.task);
+    return {
+      text,
+      usage: {
+        inputTokens: estimateTokens(prompt),
+        outputTokens: estimateTokens(text),
+      },
+    };
+  },
+  // Emits the canned response in small chunks, like a real stream
+  streamText: async (prompt, { task, onToken, signal } = {}) => {
+    const text = buildStubText(task);
+    for (let i = 0; i < text.length; i += 16) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      if (signal && signal.aborted) {
+        const error = new Error("Stream aborted");
+        error.name = "AbortError";
+        throw error;
+      }
+      onToken(text.slice(i, i + 16));
+    }
+    return {
+      text,
+      usage: {
+        inputTokens: estimateTokens(prompt),
+        outputTokens: estimateTokens(text),
+      },
+    };
+  },
+});
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  stub: createStubProvider,
+};
+
+/**
+ * Create the provider selected by AI_PROVIDER (gemini, openai or stub,
+ * default gemini). Returns null when the provider is not configured.
+ * @returns {Object|null} { name, label, model, pricing,
+ *   generateText(prompt, { task }) -> { text, usage },
+ *   streamText(prompt, { task, onToken, signal }) -> { text, usage } }
+ */
+const createAIProvider = () => {
+  const name = (process.env.AI_PROVIDER || "gemini").trim().toLowerCase();
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    console.error(
+      `❌ Unknown AI_PROVIDER "${name}". Use one of: ${Object.keys(
+        PROVIDER_FACTORIES
+      ).join(", ")}`
+    );
+    return null;
+  }
+
+  try {
+    const provider = factory();
+    if (provider) {
+      console.log(
+        `✅ AI provider initialized: ${provider.label} (${provider.model})`
+      );
+    }
+    return provider;
+  } catch (error) {
+    console.error(
+      `❌ AI provider (${name}) initialization error:`,
+      error.message
+    );
+    return null;
+  }
+};
+
+module.exports = {
+  STUB_RESPONSES,
+  createAIProvider,
+};
@@ -0,0 +1,391 @@
+const Ajv = require("ajv");
+
+// Values the prompts allow, in both response languages
+const RISK_LEVELS = ["low", "medium", "high", "thấp", "trung bình", "cao"];
+const INTENSITY_LEVELS = [
+  "low",
+  "moderate",
+  "high",
+  "very_high",
+  "thấp",
+  "trung bình",
+  "cao",
+  "rất cao",
+];
+const SEVERITY_LEVELS = [
+  "minimal",
+  "mild",
+  "moderate",
+  "severe",
+  "tối thiểu",
+  "nhẹ",
+  "trung bình",
+  "nghiêm trọng",
+];
+
+const stringList = { type: "array", items: { type: "string" } };
+const promptList = {
+  type: "array",
+  minItems: 1,
+  items: { type: "string", minLength: 1 },
+};
+
+/**
+ * JSON schema of each AI result type, keyed by aiService task name.
+ * Extra properties are allowed so richer model output is kept.
+ */
+const AI_SCHEMAS = {
+  writingPrompts: promptList,
+  advancedPrompts: promptList,
+  moodReflections: promptList,
+  sentiment: {
+    type: "object",
+    required: ["sentiment", "mentalHealthIndicators", "recommendations"],
+    properties: {
+      sentiment: {
+        type: "object",
+        required: ["score", "label"],
+        properties: {
+          score: { type: "number", minimum: -1, maximum: 1 },
+          label: { type: "string" },
+          confidence: { type: "number", minimum: 0, maximum: 1 },
+        },
+      },
+      mentalHealthIndicators: {
+        type: "object",
+        required: ["riskLevel"],
+        properties: {
+          depressionSigns: { type: "boolean" },
+          anxietySigns: { type: "boolean" },
+          stressSigns: { type: "boolean" },
+          riskLevel: { type: "string", enum: RISK_LEVELS },
+          details: { type: "string" },
+        },
+      },
+      keywords: {
+        type: "object",
+        properties: {
+          positive: stringList,
+          negative: stringList,
+          emotional: stringList,
+        },
+      },
+      recommendations: stringList,
+    },
+  },
+  improvementPlan: {
+    type: "object",
+    required: ["planType", "title", "activities", "tips"],
+    properties: {
+      planType: { type: "string", minLength: 1 },
+      title: { type: "string", minLength: 1 },
+      duration: { type: "string" },
+      activities: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["day", "activity"],
+          properties: {
+            day: { type: "integer", minimum: 1 },
+            activity: { type: "string", minLength: 1 },
+          },
+        },
+      },
+      tips: stringList,
+    },
+  },
+  assistant: {
+    type: "object",
+    required: ["response", "suggestions"],
+    properties: {
+      response: { type: "string", minLength: 1 },
+      suggestions: stringList,
+      resources: stringList,
+    },
+  },
+  emotionAnalysis: {
+    type: "object",
+    required: [
+      "emotionAnalysis",
+      "sentimentAnalysis",
+      "mentalHealthIndicators",
+      "improvementSuggestions",
+      "keywords",
+    ],
+    properties: {
+      emotionAnalysis: {
+        type: "object",
+        required: ["primaryEmotion", "emotionScore", "confidence"],
+        properties: {
+          primaryEmotion: { type: "string", minLength: 1 },
+          emotionScore: { type: "number", minimum: 0, maximum: 10 },
+          confidence: { type: "number", minimum: 0, maximum: 1 },
+        },
+      },
+      sentimentAnalysis: {
+        type: "object",
+        required: ["overallSentiment", "sentimentScore"],
+        properties: {
+          overallSentiment: {
+            type: "string",
+            enum: [
+              "positive",
+              "negative",
+              "neutral",
+              "tích cực",
+              "tiêu cực",
+              "trung tính",
+            ],
+          },
+          sentimentScore: { type: "number", minimum: -1, maximum: 1 },
+        },
+      },
+      mentalHealthIndicators: {
+        type: "object",
+        required: [
+          "stressLevel",
+          "anxietyLevel",
+          "depressionSigns",
+          "riskLevel",
+        ],
+        properties: {
+          stressLevel: { type: "string", enum: INTENSITY_LEVELS },
+          anxietyLevel: { type: "string", enum: INTENSITY_LEVELS },
+          depressionSigns: { type: "boolean" },
+          riskLevel: { type: "string", enum: RISK_LEVELS },
+        },
+      },
+      improvementSuggestions: {
+        type: "object",
+        required: ["immediateActions", "shortTermGoals", "longTermStrategies"],
+        properties: {
+          immediateActions: stringList,
+          shortTermGoals: stringList,
+          longTermStrategies: stringList,
+          timeframes: {
+            type: "object",
+            properties: {
+              immediate: { type: "string" },
+              shortTerm: { type: "string" },
+              longTerm: { type: "string" },
+            },
+          },
+        },
+      },
+      keywords: {
+        type: "object",
+        properties: {
+          emotional: stringList,
+          behavioral: stringList,
+          physical: stringList,
+        },
+      },
+    },
+  },
+  mentalHealthAssessment: {
+    type: "object",
+    required: [
+      "assessment",
+      "depressionIndicators",
+      "anxietyIndicators",
+      "stressIndicators",
+      "riskAssessment",
+      "personalizedPlan",
+    ],
+    properties: {
+      assessment: {
+        type: "object",
+        required: ["overallScore", "mentalHealthStatus"],
+        properties: {
+          overallScore: { type: "number", minimum: 0, maximum: 10 },
+          mentalHealthStatus: {
+            type: "string",
+            enum: [
+              "excellent",
+              "good",
+              "fair",
+              "concerning",
+              "critical",
+              "xuất sắc",
+              "tốt",
+              "khá",
+              "đáng lo ngại",
+              "nghiêm trọng",
+            ],
+          },
+          assessmentDate: { type: "string" },
+        },
+      },
+      depressionIndicators: {
+        type: "object",
+        required: ["score", "level", "symptoms", "recommendations"],
+        properties: {
+          score: { type: "number", minimum: 0, maximum: 10 },
+          level: { type: "string", enum: SEVERITY_LEVELS },
+          symptoms: stringList,
+          recommendations: stringList,
+        },
+      },
+      anxietyIndicators: {
+        type: "object",
+        required: ["score", "level", "symptoms", "recommendations"],
+        properties: {
+          score: { type: "number", minimum: 0, maximum: 10 },
+          level: { type: "string", enum: SEVERITY_LEVELS },
+          symptoms: stringList,
+          recommendations: stringList,
+        },
+      },
+      stressIndicators: {
+        type: "object",
+        required: ["score", "level", "sources", "recommendations"],
+        properties: {
+          score: { type: "number", minimum: 0, maximum: 10 },
+          level: { type: "string", enum: INTENSITY_LEVELS },
+          sources: stringList,
+          recommendations: stringList,
+        },
+      },
+      riskAssessment: {
+        type: "object",
+        required: [
+          "overallRisk",
+          "immediateConcerns",
+          "followUpNeeded",
+          "professionalHelpRecommended",
+        ],
+        properties: {
+          overallRisk: {
+            type: "string",
+            enum: [...RISK_LEVELS, "very_high", "rất cao"],
+          },
+          immediateConcerns: stringList,
+          followUpNeeded: { type: "boolean" },
+          professionalHelpRecommended: { type: "boolean" },
+        },
+      },
+      personalizedPlan: {
+        type: "object",
+        required: ["dailyActions", "weeklyGoals", "monthlyObjectives"],
+        properties: {
+          dailyActions: stringList,
+          weeklyGoals: stringList,
+          monthlyObjectives: stringList,
+          resources: stringList,
+        },
+      },
+    },
+  },
+  trendReport: {
+    type: "object",
+    required: ["summary", "highlights", "suggestions"],
+    properties: {
+      summary: { type: "string", minLength: 1 },
+      highlights: stringList,
+      suggestions: stringList,
+    },
+  },
+};
+
+// coerceTypes turns "7" into 7 and "true" into true in place
+const ajv = new Ajv({ allErrors: true, coerceTypes: true });
+const validators = Object.fromEntries(
+  Object.entries(AI_SCHEMAS).map(([task, schema]) => [
+    task,
+    ajv.compile(schema),
+  ])
+);
+
+/**
+ * Parse JSON from raw model output: plain JSON, a ```json fenced block,
+ * or the outermost {...} / [...] in surrounding prose.
+ * @param {string} raw - Model output
+ * @returns {*} Parsed value
+ */
+const extractJson = (raw) => {
+  const text = String(raw || "").trim();
+  try {
+    return JSON.parse(text);
+  } catch (_) {}
+
+  const fenceMatch = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  if (fenceMatch && fenceMatch[1]) {
+    try {
+      return JSON.parse(fenceMatch[1].trim());
+    } catch (_) {}
+  }
+
+  for (const [open, close] of [
+    ["{", "}"],
+    ["[", "]"],
+  ]) {
+    const first = text.indexOf(open);
+    const last = text.lastIndexOf(close);
+    if (first !== -1 && last > first) {
+      try {
+        return JSON.parse(text.substring(first, last + 1));
+      } catch (_) {}
+    }
+  }
+  throw new Error("AI did not return valid JSON");
+};
+
+/**
+ * Parse and validate model output against the schema of a task.
+ * @param {string} task - aiService task name (key of AI_SCHEMAS)
+ * @param {string} raw - Model output
+ * @returns {Object} { valid, data, errors }
+ */
+const validateAIResponse = (task, raw) => {
+  const validate = validators[task];
+  if (!validate) throw new Error(`No AI schema for task: ${task}`);
+
+  let data;
+  try {
+    data = extractJson(raw);
+  } catch (error) {
+    return { valid: false, data: null, errors: [error.message] };
+  }
+
+  if (validate(data)) return { valid: true, data, errors: [] };
+  return {
+    valid: false,
+    data,
+    errors: validate.errors.map(
+      (error) => `${error.instancePath || "/"} ${error.message}`
+    ),
+  };
+};
+
+/**
+ * Prompt asking the model to fix its previous output.
+ * @param {string} task - aiService task name
+ * @param {string} raw - Invalid model output
+ * @param {Array<string>} errors - Validation errors
+ * @returns {string} Repair prompt
+ */
+const buildRepairPrompt = (task, raw, errors) => {
+  return `Your previous response could not be used because it does not match the required JSON schema.
+
+Validation errors:
+${errors
+  .slice(0, 20)
+  .map((error) => `- ${error}`)
+  .join("\n")}
+
+Required JSON schema:
+${JSON.stringify(AI_SCHEMAS[task])}
+
+Previous response:
+${String(raw || "").slice(0, 8000)}
+
+Return ONLY the corrected JSON, keeping the same language and content where possible. Do not include any prose, explanations, or code fences.`;
+};
+
+module.exports = {
+  AI_SCHEMAS,
+  extractJson,
+  validateAIResponse,
+  buildRepairPrompt,
+};
@@ -1,50 +1,370 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { createAIProvider } = require("./aiProvider");
+const { validateAIResponse, buildRepairPrompt } = require("./aiSchemas");
+const {
+  buildCacheKey,
+  getCachedResult,
+  setCachedResult,
+} = require("./aiCache");
+const { recordAICall, recordCachedAICall } = require("./aiUsage");
+const {
+  detectLanguage,
+  resolveLanguage,
+  getLanguageLabel,
+} = require("./language");
+const { getEntryText } = require("./textAnalysis");
+
+// Provider selected by AI_PROVIDER (gemini, openai or stub)
+const aiProvider = createAIProvider();
 
-// Load environment variables
-require("dotenv").config();
+/**
+ * Send a prompt to the configured AI provider. Token usage is recorded
+ * against the current request (see utils/aiUsage).
+ * @param {string} prompt - Prompt text
+ * @param {string} task - Task name, used by the stub provider to pick a response
+ * @returns {Promise<string>} Raw model output
+ */
+const generateText = async (prompt, task) => {
+  if (!aiProvider) {
+    throw new Error("AI model not available - configure AI_PROVIDER");
+  }
+  const { text, usage } = await aiProvider.generateText(prompt, { task });
+  recordAICall(usage, aiProvider.pricing);
+  return text;
+};
 
-// Initialize Gemini AI
-let genAI;
-let model;
+/**
+ * Stream a prompt from the configured AI provider, calling onToken with each
+ * chunk as it arrives. Aborting the signal cancels the provider request; the
+ * tokens generated until then are still recorded, estimated from length.
+ * @param {string} prompt - Prompt text
+ * @param {string} task - Task name, used by the stub provider to pick a response
+ * @param {Object} options - { onToken(text), signal }
+ * @returns {Promise<string>} Full model output
+ */
+const generateStream = async (prompt, task, { onToken, signal } = {}) => {
+  if (!aiProvider) {
+    throw new Error("AI model not available - configure AI_PROVIDER");
+  }
+  let partial = "";
+  try {
+    const { text, usage } = await aiProvider.streamText(prompt, {
+      task,
+      signal,
+      onToken: (token) => {
+        partial += token;
+        if (onToken) onToken(token);
+      },
+    });
+    recordAICall(usage, aiProvider.pricing);
+    return text;
+  } catch (error) {
+    if (signal && signal.aborted) {
+      recordAICall(
+        {
+          inputTokens: Math.ceil(prompt.length / 4),
+          outputTokens: Math.ceil(partial.length / 4),
+        },
+        aiProvider.pricing
+      );
+    }
+    throw error;
+  }
+};
 
-try {
-  const apiKey = process.env.GEMINI_API_KEY;
+/**
+ * Generate and validate a JSON result against the task schema. Invalid output
+ * gets one repair pass where the model is shown its errors.
+ * @param {string} prompt - Prompt text
+ * @param {string} task - Task name (key of AI_SCHEMAS)
+ * @returns {Promise<Object>} { valid, data, errors, raw }
+ */
+const generateStructured = async (prompt, task) => {
+  const text = await generateText(prompt, task);
+  return validateOrRepair(task, text);
+};
 
-  if (!apiKey) {
+// Validate model output, with one repair pass when it is invalid
+const validateOrRepair = async (task, text) => {
+  const result = validateAIResponse(task, text);
+  if (result.valid) return { ...result, raw: text };
+
+  console.warn(
+    `⚠️ AI ${task} response failed validation, retrying: ${result.errors.join(
+      "; "
+    )}`
+  );
+  const repairedText = await generateText(
+    buildRepairPrompt(task, text, result.errors),
+    task
+  );
+  const repaired = validateAIResponse(task, repairedText);
+  if (!repaired.valid) {
     console.warn(
-      "⚠️ GEMINI_API_KEY is missing. AI features will throw errors until it is set."
+      `⚠️ AI ${task} response still invalid after repair: ${repaired.errors.join(
+        "; "
+      )}`
     );
-  } else {
-    genAI = new GoogleGenerativeAI(apiKey);
-    model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-    console.log(
-      "✅ Google Gemini AI initialized with provided GEMINI_API_KEY."
+  }
+  return { ...repaired, raw: repairedText };
+};
+
+/**
+ * generateStructured with a result cache for analyses of journal content:
+ * the same content, language and model returns the stored result.
+ * @param {string} prompt - Prompt text
+ * @param {string} task - Task name (key of AI_SCHEMAS)
+ * @param {string} content - Analysed content
+ * @param {string} language - Response language
+ * @returns {Promise<Object>} { valid, data, errors, raw, cached }
+ */
+const generateCachedStructured = async (prompt, task, content, language) => {
+  if (!aiProvider) return generateStructured(prompt, task);
+
+  const model = `${aiProvider.name}:${aiProvider.model}`;
+  const key = buildCacheKey(task, content, language, model);
+  const cached = await getCachedResult(task, key);
+  if (cached) {
+    recordCachedAICall();
+    return { valid: true, data: cached, errors: [], cached: true };
+  }
+
+  const result = await generateStructured(prompt, task);
+  if (result.valid) await setCachedResult(task, key, model, result.data);
+  return { ...result, cached: false };
+};
+
+// Line-by-line parse used when a prompt list could not be validated
+const parsePromptLines = (text, minLength) => {
+  return String(text || "")
+    .split("\n")
+    .map((line) => line.replace(/^[\d\-\*\.\s]+/, "").trim())
+    .filter((line) => line.length > minLength);
+};
+
+// Typed results returned when AI output cannot be used, so stored analyses
+// always have the shape the frontend expects
+const buildSentimentFallback = () => ({
+  sentiment: { score: 0.5, label: "neutral", confidence: 0 },
+  mentalHealthIndicators: {
+    depressionSigns: false,
+    anxietySigns: false,
+    stressSigns: false,
+    riskLevel: "low",
+    details: "",
+  },
+  keywords: { positive: [], negative: [], emotional: [] },
+  recommendations: [],
+  aiPowered: false,
+});
+
+const buildImprovementPlanFallback = () => ({
+  planType: "stress_management",
+  title: "Your 7-Day Wellness Plan",
+  duration: "7 days",
+  activities: [
+    { day: 1, activity: "Write about how you feel today for 10 minutes" },
+    { day: 2, activity: "Practice the 4-7-8 breathing technique" },
+    { day: 3, activity: "Take a 15-minute walk outside" },
+    { day: 4, activity: "Write down three things you are grateful for" },
+    { day: 5, activity: "Reach out to someone you trust" },
+    { day: 6, activity: "Spend 15 minutes on something you enjoy" },
+    { day: 7, activity: "Reflect on what helped you most this week" },
+  ],
+  tips: [
+    "Small, regular steps matter more than big changes",
+    "Progress isn't linear - some days will be harder than others",
+  ],
+  aiPowered: false,
+});
+
+const buildEmotionFallback = () => ({
+  emotionAnalysis: {
+    primaryEmotion: "neutral",
+    emotionScore: 5.0,
+    confidence: 0.5,
+  },
+  sentimentAnalysis: {
+    overallSentiment: "neutral",
+    sentimentScore: 0.0,
+  },
+  mentalHealthIndicators: {
+    stressLevel: "moderate",
+    anxietyLevel: "moderate",
+    depressionSigns: false,
+    riskLevel: "low",
+  },
+  improvementSuggestions: {
+    immediateActions: [
+      "Take 5 deep breaths",
+      "Go for a short walk",
+      "Listen to calming music",
+    ],
+    shortTermGoals: [
+      "Practice daily meditation",
+      "Get 8 hours of sleep",
+      "Exercise regularly",
+    ],
+    longTermStrategies: [
+      "Consider therapy or counseling",
+      "Develop stress management techniques",
+      "Build a support network",
+    ],
+    timeframes: {
+      immediate: "Next 30 minutes",
+      shortTerm: "Next 1-2 weeks",
+      longTerm: "Next 1-3 months",
+    },
+  },
+  keywords: {
+    emotional: ["feeling", "emotion"],
+    behavioral: ["behavior", "action"],
+    physical: ["body", "physical"],
+  },
+  aiPowered: false,
+});
+
+const buildMentalHealthFallback = () => ({
+  assessment: {
+    overallScore: 5.0,
+    mentalHealthStatus: "fair",
+    assessmentDate: new Date().toISOString(),
+  },
+  depressionIndicators: {
+    score: 3.0,
+    level: "minimal",
+    symptoms: ["No significant depression indicators detected"],
+    recommendations: ["Continue monitoring mood", "Practice self-care"],
+  },
+  anxietyIndicators: {
+    score: 3.0,
+    level: "minimal",
+    symptoms: ["No significant anxiety indicators detected"],
+    recommendations: [
+      "Practice relaxation techniques",
+      "Maintain regular sleep schedule",
+    ],
+  },
+  stressIndicators: {
+    score: 4.0,
+    level: "moderate",
+    sources: ["General life stress"],
+    recommendations: ["Practice stress management", "Take regular breaks"],
+  },
+  riskAssessment: {
+    overallRisk: "low",
+    immediateConcerns: [],
+    followUpNeeded: false,
+    professionalHelpRecommended: false,
+  },
+  personalizedPlan: {
+    dailyActions: [
+      "Practice deep breathing for 5 minutes",
+      "Take a 10-minute walk",
+      "Write in your journal",
+    ],
+    weeklyGoals: [
+      "Exercise 3 times this week",
+      "Connect with friends or family",
+      "Practice mindfulness daily",
+    ],
+    monthlyObjectives: [
+      "Develop a consistent self-care routine",
+      "Build stress management skills",
+      "Monitor mental health patterns",
+    ],
+    resources: ["Mental health hotlines", "Meditation apps", "Support groups"],
+  },
+  aiPowered: false,
+});
+
+// Trend report narrative written from the numbers alone
+const buildTrendReportFallback = (stats, isVietnamese) => {
+  const topEmotion = stats.emotionDistribution[0];
+  const sentimentChange = stats.sentiment ? stats.sentiment.change : null;
+  const overall = stats.assessmentScores
+    ? stats.assessmentScores.average.overall
+    : null;
+  const total = stats.emotionAnalyses + stats.assessments;
+
+  const highlights = [];
+  if (topEmotion) {
+    highlights.push(
+      isVietnamese
+        ? `Cảm xúc thường gặp nhất: ${topEmotion.emotion} (${Math.round(
+            topEmotion.share * 100
+          )}%)`
+        : `Most frequent emotion: ${topEmotion.emotion} (${Math.round(
+            topEmotion.share * 100
+          )}%)`
     );
   }
-} catch (error) {
-  console.error("❌ Gemini AI initialization error:", error.message);
-}
+  if (sentimentChange !== null) {
+    const direction =
+      sentimentChange > 0.1 ? "up" : sentimentChange < -0.1 ? "down" : "flat";
+    highlights.push(
+      isVietnamese
+        ? {
+            up: "Cảm xúc của bạn tích cực hơn về cuối kỳ",
+            down: "Cảm xúc của bạn tiêu cực hơn về cuối kỳ",
+            flat: "Cảm xúc của bạn khá ổn định trong kỳ",
+          }[direction]
+        : {
+            up: "Your sentiment improved over the period",
+            down: "Your sentiment declined over the period",
+            flat: "Your sentiment stayed steady over the period",
+          }[direction]
+    );
+  }
+  if (overall !== null) {
+    highlights.push(
+      isVietnamese
+        ? `Điểm sức khỏe tinh thần trung bình: ${overall}/10`
+        : `Average wellbeing score: ${overall}/10`
+    );
+  }
+
+  const intro = isVietnamese
+    ? `Kỳ này có ${total} lượt phân tích từ nhật ký của bạn.`
+    : `This period had ${total} analyses of your journal.`;
+
+  return {
+    summary:
+      highlights.length > 0 ? `${intro} ${highlights.join(". ")}.` : intro,
+    highlights,
+    suggestions: isVietnamese
+      ? [
+          "Tiếp tục viết nhật ký đều đặn để theo dõi tâm trạng",
+          "Để ý những ngày bạn thấy tốt hơn và điều gì đã giúp bạn",
+        ]
+      : [
+          "Keep journaling regularly to follow your mood",
+          "Notice the days you felt better and what helped",
+        ],
+    aiPowered: false,
+  };
+};
 
 /**
  * Generate writing prompts for mental health journaling
  * @param {string} mood - Current user mood
  * @param {string} topic - Optional topic (gratitude, reflection, etc.)
  * @param {boolean} isPremium - Whether user has premium
+ * @param {string} content - Text used for language detection
+ * @param {string} preferredLanguage - User.preferredLanguage, overrides detection
  * @returns {Promise<Array>} Array of writing suggestions
  */
 const generateWritingPrompts = async (
   mood = "",
   topic = "",
   isPremium = false,
-  content = ""
+  content = "",
+  preferredLanguage
 ) => {
   try {
-    if (!model) {
-      throw new Error("AI model not available - GEMINI_API_KEY required");
-    }
-
-    // Detect user language preference from content or default to Vietnamese
-    const userLanguage = detectUserLanguage(content);
+    const userLanguage = detectUserLanguage(
+      content || `${mood} ${topic}`,
+      preferredLanguage
+    );
 
     // Construct AI prompt
     const aiPrompt = `Generate ${
@@ -55,14 +375,10 @@ Context:
 - User's current mood: ${mood || "not specified"}
 - Topic focus: ${topic || "general reflection"}
 - Tone: Supportive, non-judgmental, encouraging
-- Language: ${userLanguage === "vi" ? "Vietnamese (Tiếng Việt)" : "English"}
+- Language: ${getLanguageLabel(userLanguage)}
 - Target: Personal emotional processing and self-reflection
 
-${
-  userLanguage === "vi"
-    ? `IMPORTANT: The user wrote in Vietnamese, so please respond in Vietnamese (Tiếng Việt). All prompts should be in Vietnamese.`
-    : `IMPORTANT: The user wrote in English, so please respond in English. All prompts should be in English.`
-}
+${buildLanguageInstruction(userLanguage, "All prompts")}
 
 Requirements:
 - Each prompt should be 1-2 sentences
@@ -78,32 +394,19 @@ Requirements:
 
 Return as a JSON array of strings: ["prompt1", "prompt2", ...]`;
 
-    const result = await model.generateContent(aiPrompt);
-    const response = await result.response;
-    const text = response.text();
-
-    // Try to parse JSON response
-    try {
-      const suggestions = JSON.parse(text);
-      if (Array.isArray(suggestions)) {
-        const aiResult = suggestions.slice(0, isPremium ? 10 : 3);
-        console.log(
-          `🤖 AI returned ${aiResult.length} suggestions for ${
-            isPremium ? "premium" : "free"
-          } user`
-        );
-        return aiResult;
-      }
-    } catch (parseError) {
-      console.warn("⚠️ AI response not valid JSON, parsing manually");
+    const result = await generateStructured(aiPrompt, "writingPrompts");
+    if (result.valid) {
+      const aiResult = result.data.slice(0, isPremium ? 10 : 3);
+      console.log(
+        `🤖 AI returned ${aiResult.length} suggestions for ${
+          isPremium ? "premium" : "free"
+        } user`
+      );
+      return aiResult;
     }
 
     // Manual parse as a minimal fallback for non-JSON AI responses
-    const lines = text
-      .split("\n")
-      .filter((line) => line.trim())
-      .map((line) => line.replace(/^[\d\-\*\.\s]+/, "").trim())
-      .filter((line) => line.length > 10);
+    const lines = parsePromptLines(result.raw, 10);
 
     const manualResult = lines.slice(0, isPremium ? 10 : 3);
     console.log(
@@ -122,20 +425,21 @@ Return as a JSON array of strings: ["prompt1", "prompt2", ...]`;
  * Generate advanced writing prompts for premium users with specific topics
  * @param {string} topic - Specific topic (Gratitude, Forgiveness, Goals, etc.)
  * @param {string} mood - Current user mood
+ * @param {string} content - Text used for language detection
+ * @param {string} preferredLanguage - User.preferredLanguage, overrides detection
  * @returns {Promise<Array>} Array of 10 advanced writing prompts
  */
 const generateAdvancedPrompts = async (
   topic = "reflection",
   mood = "",
-  content = ""
+  content = "",
+  preferredLanguage
 ) => {
   try {
-    if (!model) {
-      throw new Error("AI model not available - GEMINI_API_KEY required");
-    }
-
-    // Detect user language preference from content
-    const userLanguage = detectUserLanguage(content);
+    const userLanguage = detectUserLanguage(
+      content || `${mood} ${topic}`,
+      preferredLanguage
+    );
 
     // Construct advanced AI prompt
     const aiPrompt = `Generate 10 sophisticated, in-depth writing prompts for mental health journaling focused on the topic: "${topic}".
@@ -144,14 +448,10 @@ Context:
 - User's current mood: ${mood || "not specified"}
 - Topic focus: ${topic}
 - Tone: Thoughtful, introspective, encouraging deep reflection
-- Language: ${userLanguage === "vi" ? "Vietnamese (Tiếng Việt)" : "English"}
+- Language: ${getLanguageLabel(userLanguage)}
 - Target: Advanced emotional processing and personal growth
 
-${
-  userLanguage === "vi"
-    ? `IMPORTANT: The user wrote in Vietnamese, so please respond in Vietnamese (Tiếng Việt). All prompts should be in Vietnamese.`
-    : `IMPORTANT: The user wrote in English, so please respond in English. All prompts should be in English.`
-}
+${buildLanguageInstruction(userLanguage, "All prompts")}
 
 Requirements:
 - Each prompt should be 1-2 sentences
@@ -168,27 +468,16 @@ Requirements:
 
 Return as a JSON array of strings: ["prompt1", "prompt2", ...]`;
 
-    const result = await model.generateContent(aiPrompt);
-    const response = await result.response;
-    const text = response.text();
-
-    // Try to parse JSON response
-    try {
-      const suggestions = JSON.parse(text);
-      if (Array.isArray(suggestions)) {
-        console.log(
-          `🤖 AI returned ${suggestions.length} advanced suggestions for topic: ${topic}`
-        );
-        return suggestions.slice(0, 10);
-      }
-    } catch (parseError) {
-      // Minimal manual parse when JSON is not returned
-      const lines = text
-        .split("\n")
-        .map((l) => l.replace(/^[\d\-\*\.\s]+/, "").trim())
-        .filter((l) => l.length > 5);
-      return lines.slice(0, 10);
+    const result = await generateStructured(aiPrompt, "advancedPrompts");
+    if (result.valid) {
+      console.log(
+        `🤖 AI returned ${result.data.length} advanced suggestions for topic: ${topic}`
+      );
+      return result.data.slice(0, 10);
     }
+
+    // Minimal manual parse when JSON is not returned
+    return parsePromptLines(result.raw, 5).slice(0, 10);
   } catch (error) {
     console.error("❌ Error generating advanced prompts:", error.message);
     throw error; // Re-throw to let caller handle
@@ -198,62 +487,54 @@ Return as a JSON array of strings: ["prompt1", "prompt2", ...]`;
 /**
  * Generate mood-based reflection questions
  * @param {string} moodType - Type of mood (happy, sad, anxious, etc.)
+ * @param {string} content - Text used for language detection
+ * @param {string} preferredLanguage - User.preferredLanguage, overrides detection
  * @returns {Promise<Array>} Array of mood-specific questions
  */
-const generateMoodReflections = async (moodType, content = "") => {
-  if (!model) {
-    throw new Error("AI model not available - GEMINI_API_KEY required");
-  }
-
-  const userLanguage = detectUserLanguage(content);
+const generateMoodReflections = async (
+  moodType,
+  content = "",
+  preferredLanguage
+) => {
+  const userLanguage = detectUserLanguage(
+    content || moodType,
+    preferredLanguage
+  );
   const prompt = `Generate 3 brief mood-reflection questions for the mood: ${moodType}. 
-Language: ${userLanguage === "vi" ? "Vietnamese (Tiếng Việt)" : "English"}
+Language: ${getLanguageLabel(userLanguage)}
 
-${
-  userLanguage === "vi"
-    ? `IMPORTANT: The user wrote in Vietnamese, so please respond in Vietnamese (Tiếng Việt). All questions should be in Vietnamese.`
-    : `IMPORTANT: The user wrote in English, so please respond in English. All questions should be in English.`
-}
+${buildLanguageInstruction(userLanguage, "All questions")}
 
 Return JSON array of strings.`;
-  const result = await model.generateContent(prompt);
-  const text = (await result.response).text();
-  try {
-    const arr = JSON.parse(text);
-    if (Array.isArray(arr)) return arr.slice(0, 3);
-  } catch {}
-  const lines = text
-    .split("\n")
-    .map((l) => l.replace(/^[\d\-\*\.\s]+/, "").trim())
-    .filter((l) => l);
-  return lines.slice(0, 3);
+  const result = await generateStructured(prompt, "moodReflections");
+  if (result.valid) return result.data.slice(0, 3);
+  return parsePromptLines(result.raw, 0).slice(0, 3);
 };
 
 /**
  * Advanced AI sentiment analysis for premium users
  * Detects depression, anxiety, and mental health indicators
  * @param {string} content - Journal content to analyze
+ * @param {string} preferredLanguage - User.preferredLanguage, overrides detection
  * @returns {Promise<Object>} Detailed sentiment analysis
  */
-const analyzeSentiment = async (content) => {
+const analyzeSentiment = async (content, preferredLanguage) => {
   try {
-    if (!model || !content) {
-      throw new Error("AI model/content missing");
+    if (!content) {
+      throw new Error("AI content missing");
     }
 
-    // Detect language from content
-    const userLanguage = detectUserLanguage(content);
+    const userLanguage = detectUserLanguage(content, preferredLanguage);
     const isVietnamese = userLanguage === "vi";
 
     const analysisPrompt = `Analyze this journal entry for mental health indicators and sentiment:
 
 "${content}"
 
-${
-  isVietnamese
-    ? `IMPORTANT: The user wrote in Vietnamese, so please respond in Vietnamese (Tiếng Việt). All analysis results and recommendations should be in Vietnamese.`
-    : `IMPORTANT: The user wrote in English, so please respond in English. All analysis results and recommendations should be in English.`
-}
+${buildLanguageInstruction(
+  userLanguage,
+  "All analysis results and recommendations"
+)}
 
 Provide a detailed psychological analysis including:
 1. Overall sentiment (positive/negative/neutral with 0-1 score)
@@ -305,36 +586,15 @@ Respond in this exact JSON format:
   ]
 }`;
 
-    const result = await model.generateContent(analysisPrompt);
-    const response = await result.response;
-    const text = response.text();
-
-    // Reuse robust extractor (duplicate here to avoid import cycles)
-    const extractJson = (raw) => {
-      try {
-        return JSON.parse(raw);
-      } catch (_) {}
-      const fenceMatch = raw.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
-      if (fenceMatch && fenceMatch[1]) {
-        const inside = fenceMatch[1].trim();
-        try {
-          return JSON.parse(inside);
-        } catch (_) {}
-      }
-      const first = raw.indexOf("{");
-      const last = raw.lastIndexOf("}");
-      if (first !== -1 && last !== -1 && last > first) {
-        const slice = raw.substring(first, last + 1);
-        try {
-          return JSON.parse(slice);
-        } catch (_) {}
-      }
-      throw new Error("AI did not return valid JSON");
-    };
+    const result = await generateCachedStructured(
+      analysisPrompt,
+      "sentiment",
+      content,
+      userLanguage
+    );
+    if (!result.valid) return buildSentimentFallback();
 
-    const analysis = extractJson(text);
-    analysis.aiPowered = true;
-    return analysis;
+    return { ...result.data, aiPowered: true };
   } catch (error) {
     console.error("❌ Error in sentiment analysis:", error.message);
     throw error;
@@ -345,33 +605,78 @@ Respond in this exact JSON format:
  * Generate personalized improvement plans for premium users
  * @param {Object} userProfile - User's mental health profile
  * @param {Array} recentAnalyses - Recent sentiment analyses
+ * @param {string} content - Text used for language detection
+ * @param {string} preferredLanguage - User.preferredLanguage, overrides detection
  * @returns {Promise<Object>} Personalized improvement plan
  */
 const generateImprovementPlan = async (
   userProfile,
   recentAnalyses,
-  content = ""
+  content = "",
+  preferredLanguage
 ) => {
   try {
-    if (!model) {
-      throw new Error("AI model not available - GEMINI_API_KEY required");
-    }
+    const userLanguage = detectUserLanguage(content, preferredLanguage);
+    const planPrompt = buildImprovementPlanPrompt(
+      userProfile,
+      recentAnalyses,
+      userLanguage
+    );
 
-    // Detect language from content
-    const userLanguage = detectUserLanguage(content);
-    const isVietnamese = userLanguage === "vi";
+    const result = await generateStructured(planPrompt, "improvementPlan");
+    if (!result.valid) return buildImprovementPlanFallback();
 
-    const planPrompt = `Create a personalized 7-day mental wellness improvement plan based on:
+    return { ...result.data, aiPowered: true };
+  } catch (error) {
+    console.error("❌ Error generating improvement plan:", error.message);
+    throw error;
+  }
+};
+
+/**
+ * Streaming variant of generateImprovementPlan: the JSON is forwarded to
+ * onToken while it is generated, then validated (with one repair pass) once
+ * complete.
+ * @param {Object} userProfile - User's mental health profile
+ * @param {Array} recentAnalyses - Recent sentiment analyses
+ * @param {string} content - Text used for language detection
+ * @param {Object} options - { onToken(text), signal, preferredLanguage }
+ * @returns {Promise<Object>} Personalized improvement plan
+ */
+const streamImprovementPlan = async (
+  userProfile,
+  recentAnalyses,
+  content = "",
+  { onToken, signal, preferredLanguage } = {}
+) => {
+  const planPrompt = buildImprovementPlanPrompt(
+    userProfile,
+    recentAnalyses,
+    detectUserLanguage(content, preferredLanguage)
+  );
+  const text = await generateStream(planPrompt, "improvementPlan", {
+    onToken,
+    signal,
+  });
+  const result = await validateOrRepair("improvementPlan", text);
+  if (!result.valid) return buildImprovementPlanFallback();
+
+  return { ...result.data, aiPowered: true };
+};
+
+// Prompt for generateImprovementPlan; the model answers with plan JSON
+const buildImprovementPlanPrompt = (userProfile, recentAnalyses, language) => {
+  const isVietnamese = language === "vi";
+  return `Create a personalized 7-day mental wellness improvement plan based on:
 
 User Profile:
 - Recent mood patterns: ${JSON.stringify(userProfile)}
 - Sentiment analysis trends: ${JSON.stringify(recentAnalyses)}
 
-${
-  isVietnamese
-    ? `IMPORTANT: The user wrote in Vietnamese, so please respond in Vietnamese (Tiếng Việt). All plan content, activities, tips, and titles should be in Vietnamese.`
-    : `IMPORTANT: The user wrote in English, so please respond in English. All plan content, activities, tips, and titles should be in English.`
-}
+${buildLanguageInstruction(
+  language,
+  "All plan content, activities, tips, and titles"
+)}
 
 Create a supportive, evidence-based plan with:
 1. Plan type (emotional_release, positivity_building, stress_management, etc.)
@@ -419,85 +724,34 @@ Respond ONLY with a single valid JSON object. Do not include any prose, introduc
     }"
   ]
 }`;
-
-    const result = await model.generateContent(planPrompt);
-    const response = await result.response;
-    const text = response.text();
-
-    // Robust JSON extraction
-    const extractJson = (raw) => {
-      // Direct parse
-      try {
-        return JSON.parse(raw);
-      } catch (_) {}
-      // Fenced code block ```json ... ``` or ``` ... ```
-      const fenceMatch = raw.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
-      if (fenceMatch && fenceMatch[1]) {
-        const inside = fenceMatch[1].trim();
-        try {
-          return JSON.parse(inside);
-        } catch (_) {}
-      }
-      // Heuristic: extract first { ... last }
-      const first = raw.indexOf("{");
-      const last = raw.lastIndexOf("}");
-      if (first !== -1 && last !== -1 && last > first) {
-        const slice = raw.substring(first, last + 1);
-        try {
-          return JSON.parse(slice);
-        } catch (_) {}
-      }
-      throw new Error("AI did not return valid JSON");
-    };
-
-    const plan = extractJson(text);
-    plan.aiPowered = true;
-    return plan;
-  } catch (error) {
-    console.error("❌ Error generating improvement plan:", error.message);
-    throw error;
-  }
 };
 
 /**
  * AI-powered personal assistant for emotional support
  * @param {string} question - User's question or concern
  * @param {Object} context - User context (recent moods, etc.)
+ * @param {string} content - Text used for language detection (defaults to the question)
+ * @param {string} preferredLanguage - User.preferredLanguage, overrides detection
  * @returns {Promise<Object>} AI assistant response
  */
-const getAssistantResponse = async (question, context = {}, content = "") => {
+const getAssistantResponse = async (
+  question,
+  context = {},
+  content = "",
+  preferredLanguage
+) => {
   try {
-    if (!model) {
-      throw new Error("AI model not available - GEMINI_API_KEY required");
-    }
-
-    // Detect language from content or question
-    const userLanguage = detectUserLanguage(content || question);
+    const userLanguage = detectUserLanguage(
+      content || question,
+      preferredLanguage
+    );
     const isVietnamese = userLanguage === "vi";
 
-    const assistantPrompt = `You are a supportive mental health companion. The user asks: "${question}"
-
-Context about the user:
-${JSON.stringify(context)}
-
-${
-  isVietnamese
-    ? `IMPORTANT: The user wrote in Vietnamese, so please respond in Vietnamese (Tiếng Việt). All responses, suggestions, and resources should be in Vietnamese.`
-    : `IMPORTANT: The user wrote in English, so please respond in English. All responses, suggestions, and resources should be in English.`
-}
-
-Provide a compassionate, helpful response that:
-- Acknowledges their feelings
-- Offers gentle guidance
-- Suggests healthy coping strategies
-- Encourages professional help if needed
-- Stays within ethical boundaries (not a replacement for therapy)
-
-${
-  isVietnamese
-    ? `Use Vietnamese language naturally and culturally appropriate. Be empathetic and supportive in your response.`
-    : `Use English language naturally. Be empathetic and supportive in your response.`
-}
+    const assistantPrompt = `${buildAssistantIntro(
+      question,
+      context,
+      userLanguage
+    )}
 
 Respond in this JSON format:
 {
@@ -519,132 +773,346 @@ Respond in this JSON format:
   ]
 }`;
 
-    const result = await model.generateContent(assistantPrompt);
-    const response = await result.response;
-    const text = response.text();
-
-    try {
-      const assistantResponse = JSON.parse(text);
-      assistantResponse.aiPowered = true;
-      return assistantResponse;
-    } catch (parseError) {
-      const lines = text
-        .split("\n")
-        .map((l) => l.replace(/^[\d\-\*\.\s]+/, "").trim())
-        .filter((l) => l.length > 5);
-      return {
-        response: lines[0] || "",
-        suggestions: lines.slice(1, 3),
-        aiPowered: true,
-      };
+    const result = await generateStructured(assistantPrompt, "assistant");
+    if (result.valid) {
+      return { ...result.data, aiPowered: true };
     }
+
+    // Keep what the model said if it answered in prose
+    const lines = parsePromptLines(result.raw, 5);
+    return {
+      response:
+        lines[0] ||
+        "I'm here for you. Could you tell me a little more about how you are feeling?",
+      suggestions: lines.slice(1, 3),
+      resources: [],
+      aiPowered: false,
+    };
   } catch (error) {
     console.error("❌ Error in AI assistant:", error.message);
     throw error;
   }
 };
 
+/**
+ * Streaming variant of getAssistantResponse. The model answers in plain text
+ * so each token can be shown as it arrives.
+ * @param {string} question - User's question or concern
+ * @param {Object} context - User context (recent moods, etc.)
+ * @param {string} content - Text used for language detection
+ * @param {Object} options - { onToken(text), signal, preferredLanguage }
+ * @returns {Promise<Object>} { response, suggestions, resources, aiPowered }
+ */
+const streamAssistantResponse = async (
+  question,
+  context = {},
+  content = "",
+  { onToken, signal, preferredLanguage } = {}
+) => {
+  const assistantPrompt = `${buildAssistantIntro(
+    question,
+    context,
+    detectUserLanguage(content || question, preferredLanguage)
+  )}
+
+Respond in plain text only, in 2-4 short paragraphs. Do not use JSON, markdown headings, or code fences.`;
+
+  const text = await generateStream(assistantPrompt, "assistantStream", {
+    onToken,
+    signal,
+  });
+  return {
+    response: text.trim(),
+    suggestions: [],
+    resources: [],
+    aiPowered: true,
+  };
+};
+
+// Shared start of the assistant prompts, before the response format
+const buildAssistantIntro = (question, context, language) => {
+  const isVietnamese = language === "vi";
+  return `You are a supportive mental health companion. The user asks: "${question}"
+
+Context about the user:
+${JSON.stringify(context)}
+
+${buildLanguageInstruction(
+  language,
+  "All responses, suggestions, and resources"
+)}
+
+Provide a compassionate, helpful response that:
+- Acknowledges their feelings
+- Offers gentle guidance
+- Suggests healthy coping strategies
+- Encourages professional help if needed
+- Stays within ethical boundaries (not a replacement for therapy)
+
+${
+  isVietnamese
+    ? `Use Vietnamese language naturally and culturally appropriate. Be empathetic and supportive in your response.`
+    : `Use English language naturally. Be empathetic and supportive in your response.`
+}`;
+};
+
+/**
+ * Reply in a journaling conversation. Older turns arrive as a summary, the
+ * recent ones verbatim.
+ * @param {Object} conversation
+ * @param {string} conversation.message - New user message
+ * @param {Array} conversation.journals - [{ title, date, content }] the thread is about
+ * @param {string} conversation.summary - Summary of earlier turns
+ * @param {Array} conversation.history - Recent [{ role, content }] before the message
+ * @param {string} conversation.preferredLanguage - User.preferredLanguage, overrides detection
+ * @returns {Promise<Object>} { reply, aiPowered }
+ */
+const getChatReply = async ({
+  message,
+  journals = [],
+  summary = "",
+  history = [],
+  preferredLanguage,
+}) => {
+  const userLanguage = detectUserLanguage(message, preferredLanguage);
+
+  const journalText = journals
+    .map(
+      (journal) =>
+        `### ${journal.title || "Untitled"} (${journal.date})\n${
+          journal.content
+        }`
+    )
+    .join("\n\n");
+  const historyText = history
+    .map(
+      (turn) =>
+        `${turn.role === "user" ? "User" : "Assistant"}: ${turn.content}`
+    )
+    .join("\n");
+
+  const chatPrompt = `You are a supportive journaling companion helping the user reflect on their own journal entries. You are not a therapist; encourage professional help if the user seems at risk.
+
+${
+  journalText
+    ? `Journal entries this conversation is about:\n${journalText}\n`
+    : ""
+}
+${summary ? `Summary of the earlier conversation:\n${summary}\n` : ""}
+${historyText ? `Recent conversation:\n${historyText}\n` : ""}
+User: ${message}
+
+${buildLanguageInstruction(userLanguage)}
+
+Reply as the assistant in plain text, in at most 3 short paragraphs. Refer to the journal entries when relevant, ask at most one gentle follow-up question, and do not use JSON, headings, or code fences.`;
+
+  try {
+    const reply = (await generateText(chatPrompt, "chatReply")).trim();
+    if (!reply) throw new Error("AI returned an empty reply");
+    return { reply, aiPowered: true };
+  } catch (error) {
+    console.error("❌ Error in chat reply:", error.message);
+    throw error;
+  }
+};
+
+/**
+ * Fold conversation turns into the running summary of a chat thread.
+ * @param {string} previousSummary - Current summary ("" for none)
+ * @param {Array} messages - [{ role, content }] to add, oldest first
+ * @param {string} preferredLanguage - User.preferredLanguage, overrides detection
+ * @returns {Promise<string>} Updated summary
+ */
+const summarizeChat = async (previousSummary, messages, preferredLanguage) => {
+  const transcript = messages
+    .map(
+      (turn) =>
+        `${turn.role === "user" ? "User" : "Assistant"}: ${turn.content}`
+    )
+    .join("\n");
+  const userLanguage = detectUserLanguage(
+    messages
+      .filter((turn) => turn.role === "user")
+      .map((turn) => turn.content)
+      .join(" "),
+    preferredLanguage
+  );
+
+  const summaryPrompt = `Update the summary of a conversation between a user and their journaling companion.
+
+${previousSummary ? `Current summary:\n${previousSummary}\n` : ""}
+New messages:
+${transcript}
+
+Write the updated summary in ${getLanguageLabel(
+    userLanguage
+  )}, in plain text and at most 150 words. Keep the user's feelings, the topics and events they mentioned, advice already given, and anything they asked to follow up on.`;
+
+  return (await generateText(summaryPrompt, "chatSummary")).trim();
+};
+
+/**
+ * Narrative for a weekly or monthly trend report. Falls back to a summary
+ * built from the numbers when the AI is unavailable or its output invalid,
+ * so a report is always produced.
+ * @param {Object} stats - Aggregated stats (see utils/trendReports)
+ * @param {string} periodType - "week" or "month"
+ * @param {string} preferredLanguage - User.preferredLanguage, overrides detection
+ * @returns {Promise<Object>} { summary, highlights, suggestions, aiPowered }
+ */
+const generateTrendNarrative = async (stats, periodType, preferredLanguage) => {
+  const userLanguage = detectUserLanguage(
+    stats.emotionDistribution.map((item) => item.emotion).join(" "),
+    preferredLanguage
+  );
+  const isVietnamese = userLanguage === "vi";
+
+  const reportPrompt = `You are writing a ${
+    periodType === "week" ? "weekly" : "monthly"
+  } wellbeing report for a journaling app user, based on the AI analyses of their journal entries in that period.
+
+Aggregated data (JSON):
+${JSON.stringify(stats)}
+
+Field notes: sentiment scores range from -1 (negative) to 1 (positive); assessment scores range from 0 to 10, where a higher overallScore means better wellbeing and higher depression, anxiety and stress scores mean stronger symptoms; "change" is the last value minus the first one in the period; "comparedToPrevious" is the difference from the previous report.
+
+${buildLanguageInstruction(userLanguage)}
+
+Speak to the user directly, warmly and without judgement. Describe trends, do not diagnose, and suggest professional support if the data shows high risk.
+
+Return ONLY a JSON object with this structure:
+{
+  "summary": "string (at most 120 words)",
+  "highlights": ["2-4 short observations about the trends"],
+  "suggestions": ["2-3 concrete, gentle suggestions for the next period"]
+}`;
+
+  try {
+    const result = await generateStructured(reportPrompt, "trendReport");
+    if (!result.valid) return buildTrendReportFallback(stats, isVietnamese);
+    return { ...result.data, aiPowered: true };
+  } catch (error) {
+    console.error("❌ Error generating trend report:", error.message);
+    return buildTrendReportFallback(stats, isVietnamese);
+  }
+};
+
+// Emotional keyword categories per language. \p{L} boundaries instead of \b
+// so words ending in Vietnamese letters ("trị", "lõng") still match.
+const EMOTIONAL_KEYWORDS = Object.fromEntries(
+  Object.entries({
+    vi: {
+      positive: [
+        "vui",
+        "hạnh phúc",
+        "vui vẻ",
+        "biết ơn",
+        "yêu",
+        "hào hứng",
+        "bình yên",
+        "tự tin",
+        "hy vọng",
+        "tự hào",
+        "hài lòng",
+      ],
+      negative: [
+        "buồn",
+        "tức giận",
+        "thất vọng",
+        "tổn thương",
+        "cô đơn",
+        "choáng ngợp",
+        "căng thẳng",
+      ],
+      anxiety: [
+        "lo lắng",
+        "lo âu",
+        "bồn chồn",
+        "hoảng sợ",
+        "sợ hãi",
+        "không chắc chắn",
+        "bất an",
+      ],
+      depression: [
+        "trầm cảm",
+        "tuyệt vọng",
+        "trống rỗng",
+        "vô giá trị",
+        "mệt mỏi",
+        "tê liệt",
+        "lạc lõng",
+      ],
+    },
+    en: {
+      positive: [
+        "happy",
+        "joy",
+        "grateful",
+        "love",
+        "excited",
+        "peaceful",
+        "confident",
+        "hopeful",
+        "proud",
+        "content",
+      ],
+      negative: [
+        "sad",
+        "angry",
+        "frustrated",
+        "disappointed",
+        "hurt",
+        "lonely",
+        "overwhelmed",
+        "stressed",
+      ],
+      anxiety: [
+        "worried",
+        "anxious",
+        "nervous",
+        "panic",
+        "fear",
+        "uncertain",
+        "restless",
+      ],
+      depression: [
+        "depressed",
+        "hopeless",
+        "empty",
+        "worthless",
+        "tired",
+        "numb",
+        "lost",
+      ],
+    },
+  }).map(([language, categories]) => [
+    language,
+    Object.fromEntries(
+      Object.entries(categories).map(([category, words]) => [
+        category,
+        words.map((word) => ({
+          word,
+          regex: new RegExp(`(?<!\\p{L})${word}(?!\\p{L})`, "gu"),
+        })),
+      ])
+    ),
+  ])
+);
+
 /**
  * Analyze keyword frequency and emotional patterns
+ * Each entry is matched against the lexicon of its own detected language;
+ * insights are written in the resolved (preferred or detected) language.
  * @param {Array} journalEntries - Array of journal entries
+ * @param {string} preferredLanguage - User.preferredLanguage, overrides detection
  * @returns {Object} Keyword analysis results
  */
-const analyzeKeywords = (journalEntries) => {
-  const allText = journalEntries
-    .map((entry) => entry.content || "")
-    .join(" ")
-    .toLowerCase();
-
-  // Detect language from content
-  const userLanguage = detectUserLanguage(allText);
-  const isVietnamese = userLanguage === "vi";
-
-  // Emotional keyword categories
-  const emotionalKeywords = isVietnamese
-    ? {
-        positive: [
-          "vui",
-          "hạnh phúc",
-          "vui vẻ",
-          "biết ơn",
-          "yêu",
-          "hào hứng",
-          "bình yên",
-          "tự tin",
-          "hy vọng",
-          "tự hào",
-          "hài lòng",
-        ],
-        negative: [
-          "buồn",
-          "tức giận",
-          "thất vọng",
-          "tổn thương",
-          "cô đơn",
-          "choáng ngợp",
-          "căng thẳng",
-        ],
-        anxiety: [
-          "lo lắng",
-          "lo âu",
-          "bồn chồn",
-          "hoảng sợ",
-          "sợ hãi",
-          "không chắc chắn",
-          "bất an",
-        ],
-        depression: [
-          "trầm cảm",
-          "tuyệt vọng",
-          "trống rỗng",
-          "vô giá trị",
-          "mệt mỏi",
-          "tê liệt",
-          "lạc lõng",
-        ],
-      }
-    : {
-        positive: [
-          "happy",
-          "joy",
-          "grateful",
-          "love",
-          "excited",
-          "peaceful",
-          "confident",
-          "hopeful",
-          "proud",
-          "content",
-        ],
-        negative: [
-          "sad",
-          "angry",
-          "frustrated",
-          "disappointed",
-          "hurt",
-          "lonely",
-          "overwhelmed",
-          "stressed",
-        ],
-        anxiety: [
-          "worried",
-          "anxious",
-          "nervous",
-          "panic",
-          "fear",
-          "uncertain",
-          "restless",
-        ],
-        depression: [
-          "depressed",
-          "hopeless",
-          "empty",
-          "worthless",
-          "tired",
-          "numb",
-          "lost",
-        ],
-      };
+const analyzeKeywords = (journalEntries, preferredLanguage) => {
+  const texts = journalEntries.map((entry) =>
+    getEntryText(entry).normalize("NFC").toLowerCase()
+  );
+  const allText = texts.join(" ");
+  const userLanguage = detectUserLanguage(allText, preferredLanguage);
 
   const keywordFrequency = {};
   const categoryFrequency = {
@@ -655,16 +1123,18 @@ const analyzeKeywords = (journalEntries) => {
   };
 
   // Count keyword frequencies
-  Object.entries(emotionalKeywords).forEach(([category, words]) => {
-    words.forEach((word) => {
-      const regex = new RegExp(`\\b${word}\\b`, "gi");
-      const matches = allText.match(regex) || [];
-      const count = matches.length;
-
-      if (count > 0) {
-        keywordFrequency[word] = count;
-        categoryFrequency[category] += count;
-      }
+  texts.forEach((text) => {
+    const lexicon =
+      EMOTIONAL_KEYWORDS[detectLanguage(text).language] ||
+      EMOTIONAL_KEYWORDS[userLanguage];
+    Object.entries(lexicon).forEach(([category, words]) => {
+      words.forEach(({ word, regex }) => {
+        const count = (text.match(regex) || []).length;
+        if (count > 0) {
+          keywordFrequency[word] = (keywordFrequency[word] || 0) + count;
+          categoryFrequency[category] += count;
+        }
+      });
     });
   });
 
@@ -706,7 +1176,7 @@ const analyzeKeywords = (journalEntries) => {
     insights: generateKeywordInsights(
       categoryFrequency,
       emotionalBalance,
-      allText
+      userLanguage
     ),
   };
 };
@@ -714,9 +1184,8 @@ const analyzeKeywords = (journalEntries) => {
 /**
  * Generate insights from keyword analysis
  */
-const generateKeywordInsights = (categoryFreq, balance, content = "") => {
+const generateKeywordInsights = (categoryFreq, balance, userLanguage) => {
   const insights = [];
-  const userLanguage = detectUserLanguage(content);
   const isVietnamese = userLanguage === "vi";
 
   if (balance) {
@@ -831,122 +1300,51 @@ const generateRecommendations = (
 };
 
 /**
- * Detect user language preference from content
- * @param {string} content - Journal content to analyze
- * @returns {string} 'vi' for Vietnamese, 'en' for English
+ * Language for AI output: the user's preferred language when set, otherwise
+ * the language detected in the content (see utils/language).
+ * @param {string} content - Text the user wrote
+ * @param {string} preferredLanguage - User.preferredLanguage (optional)
+ * @returns {string} Language code, e.g. 'vi' or 'en'
  */
-const detectUserLanguage = (content = "") => {
-  if (!content || typeof content !== "string") {
-    return "vi"; // Default to Vietnamese
-  }
-
-  // Vietnamese character patterns
-  const vietnamesePatterns = [
-    /[àáạảãâầấậẩẫăằắặẳẵ]/gi,
-    /[èéẹẻẽêềếệểễ]/gi,
-    /[ìíịỉĩ]/gi,
-    /[òóọỏõôồốộổỗơờớợởỡ]/gi,
-    /[ùúụủũưừứựửữ]/gi,
-    /[ỳýỵỷỹ]/gi,
-    /[đ]/gi,
-    /[ÀÁẠẢÃÂẦẤẬẨẪĂẰẮẶẲẴ]/gi,
-    /[ÈÉẸẺẼÊỀẾỆỂỄ]/gi,
-    /[ÌÍỊỈĨ]/gi,
-    /[ÒÓỌỎÕÔỒỐỘỔỖƠỜỚỢỞỠ]/gi,
-    /[ÙÚỤỦŨƯỪỨỰỬỮ]/gi,
-    /[ỲÝỴỶỸ]/gi,
-    /[Đ]/gi,
-  ];
-
-  // Count Vietnamese characters
-  let vietnameseCount = 0;
-  vietnamesePatterns.forEach((pattern) => {
-    const matches = content.match(pattern);
-    if (matches) {
-      vietnameseCount += matches.length;
-    }
-  });
-
-  // If content has Vietnamese characters, return Vietnamese
-  if (vietnameseCount > 0) {
-    return "vi";
-  }
-
-  // Check for common Vietnamese words
-  const vietnameseWords = [
-    "tôi",
-    "mình",
-    "của",
-    "và",
-    "là",
-    "có",
-    "được",
-    "sẽ",
-    "đã",
-    "đang",
-    "hôm nay",
-    "ngày mai",
-    "hôm qua",
-    "cảm thấy",
-    "nghĩ",
-    "biết",
-    "muốn",
-    "cần",
-    "phải",
-    "nên",
-    "không",
-    "chưa",
-    "đã",
-    "sẽ",
-    "đang",
-    "vẫn",
-    "rất",
-    "quá",
-    "khá",
-    "hơi",
-    "cực kỳ",
-    "hoàn toàn",
-    "tuyệt đối",
-  ];
-
-  const contentLower = content.toLowerCase();
-  const vietnameseWordCount = vietnameseWords.filter((word) =>
-    contentLower.includes(word)
-  ).length;
-
-  // If content has Vietnamese words, return Vietnamese
-  if (vietnameseWordCount > 0) {
-    return "vi";
-  }
+const detectUserLanguage = (content = "", preferredLanguage) => {
+  return resolveLanguage(
+    typeof content === "string" ? content : "",
+    preferredLanguage
+  );
+};
 
-  // Default to Vietnamese for Vietnamese users
-  return "vi";
+/**
+ * Prompt line telling the model which language to answer in.
+ * @param {string} language - Language code from detectUserLanguage
+ * @param {string} scope - What must be written in it, e.g. "All prompts" (optional)
+ * @returns {string} Instruction for the prompt
+ */
+const buildLanguageInstruction = (language, scope) => {
+  const label = getLanguageLabel(language);
+  return `IMPORTANT: The user's language is ${label}, so please respond in ${label}.${
+    scope ? ` ${scope} should be in ${label}.` : ""
+  }`;
 };
 
 /**
  * Analyze emotions and sentiment from journal content
  * @param {string} content - Journal content to analyze
+ * @param {string} preferredLanguage - User.preferredLanguage, overrides detection
  * @returns {Promise<Object>} Comprehensive emotion analysis
  */
-const analyzeEmotionAndSentiment = async (content) => {
+const analyzeEmotionAndSentiment = async (content, preferredLanguage) => {
   try {
-    if (!model) {
-      throw new Error("AI model not available - GEMINI_API_KEY required");
-    }
-
-    // Detect language from content
-    const userLanguage = detectUserLanguage(content);
+    const userLanguage = detectUserLanguage(content, preferredLanguage);
     const isVietnamese = userLanguage === "vi";
 
     const prompt = `Analyze the following journal entry for emotions, sentiment, and mental health indicators. Provide a comprehensive analysis in JSON format.
 
 Journal Content: "${content}"
 
-${
-  isVietnamese
-    ? `IMPORTANT: The user wrote in Vietnamese, so please respond in Vietnamese (Tiếng Việt). All analysis results, suggestions, and recommendations should be in Vietnamese.`
-    : `IMPORTANT: The user wrote in English, so please respond in English. All analysis results, suggestions, and recommendations should be in English.`
-}
+${buildLanguageInstruction(
+  userLanguage,
+  "All analysis results, suggestions, and recommendations"
+)}
 
 ${
   isVietnamese
@@ -1050,108 +1448,43 @@ ${
     : `Focus on providing practical, actionable advice in English. Be empathetic and supportive in your analysis.`
 }`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-
-    // Clean and parse JSON response
-    let cleanText = text.trim();
-
-    // Remove markdown code blocks if present
-    if (cleanText.startsWith("```json")) {
-      cleanText = cleanText.replace(/^```json\s*/, "").replace(/\s*```$/, "");
-    } else if (cleanText.startsWith("```")) {
-      cleanText = cleanText.replace(/^```\s*/, "").replace(/\s*```$/, "");
-    }
-
-    // Try to find JSON object in the response
-    const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      cleanText = jsonMatch[0];
-    }
-
-    const analysis = JSON.parse(cleanText);
+    const result = await generateCachedStructured(
+      prompt,
+      "emotionAnalysis",
+      content,
+      userLanguage
+    );
+    if (!result.valid) return buildEmotionFallback();
 
     return {
-      ...analysis,
+      ...result.data,
       aiPowered: true,
     };
   } catch (error) {
     console.error("Error in emotion analysis:", error);
-
-    // Fallback response if AI fails
-    return {
-      emotionAnalysis: {
-        primaryEmotion: "neutral",
-        emotionScore: 5.0,
-        confidence: 0.5,
-      },
-      sentimentAnalysis: {
-        overallSentiment: "neutral",
-        sentimentScore: 0.0,
-      },
-      mentalHealthIndicators: {
-        stressLevel: "moderate",
-        anxietyLevel: "moderate",
-        depressionSigns: false,
-        riskLevel: "low",
-      },
-      improvementSuggestions: {
-        immediateActions: [
-          "Take 5 deep breaths",
-          "Go for a short walk",
-          "Listen to calming music",
-        ],
-        shortTermGoals: [
-          "Practice daily meditation",
-          "Get 8 hours of sleep",
-          "Exercise regularly",
-        ],
-        longTermStrategies: [
-          "Consider therapy or counseling",
-          "Develop stress management techniques",
-          "Build a support network",
-        ],
-        timeframes: {
-          immediate: "Next 30 minutes",
-          shortTerm: "Next 1-2 weeks",
-          longTerm: "Next 1-3 months",
-        },
-      },
-      keywords: {
-        emotional: ["feeling", "emotion"],
-        behavioral: ["behavior", "action"],
-        physical: ["body", "physical"],
-      },
-      aiPowered: false,
-    };
+    return buildEmotionFallback();
   }
 };
 
 /**
  * Perform comprehensive mental health assessment
  * @param {string} content - Journal content to assess
+ * @param {string} preferredLanguage - User.preferredLanguage, overrides detection
  * @returns {Promise<Object>} Mental health assessment results
  */
-const performMentalHealthAssessment = async (content) => {
+const performMentalHealthAssessment = async (content, preferredLanguage) => {
   try {
-    if (!model) {
-      throw new Error("AI model not available - GEMINI_API_KEY required");
-    }
-
-    // Detect language from content
-    const userLanguage = detectUserLanguage(content);
+    const userLanguage = detectUserLanguage(content, preferredLanguage);
     const isVietnamese = userLanguage === "vi";
 
     const prompt = `Perform a comprehensive mental health assessment of the following journal entry. Provide detailed analysis in JSON format.
 
 Journal Content: "${content}"
 
-${
-  isVietnamese
-    ? `IMPORTANT: The user wrote in Vietnamese, so please respond in Vietnamese (Tiếng Việt). All assessment results, recommendations, and plans should be in Vietnamese.`
-    : `IMPORTANT: The user wrote in English, so please respond in English. All assessment results, recommendations, and plans should be in English.`
-}
+${buildLanguageInstruction(
+  userLanguage,
+  "All assessment results, recommendations, and plans"
+)}
 
 ${
   isVietnamese
@@ -1268,93 +1601,23 @@ ${
     : `Be thorough, empathetic, and provide actionable recommendations in English. If serious concerns are detected, recommend professional help in English.`
 }`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-
-    // Clean and parse JSON response
-    let cleanText = text.trim();
-
-    // Remove markdown code blocks if present
-    if (cleanText.startsWith("```json")) {
-      cleanText = cleanText.replace(/^```json\s*/, "").replace(/\s*```$/, "");
-    } else if (cleanText.startsWith("```")) {
-      cleanText = cleanText.replace(/^```\s*/, "").replace(/\s*```$/, "");
-    }
-
-    // Try to find JSON object in the response
-    const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      cleanText = jsonMatch[0];
-    }
-
-    const assessment = JSON.parse(cleanText);
+    const result = await generateCachedStructured(
+      prompt,
+      "mentalHealthAssessment",
+      content,
+      userLanguage
+    );
+    if (!result.valid) return buildMentalHealthFallback();
+    // Cached results keep the date of the original call
+    result.data.assessment.assessmentDate = new Date().toISOString();
 
     return {
-      ...assessment,
+      ...result.data,
       aiPowered: true,
     };
   } catch (error) {
     console.error("Error in mental health assessment:", error);
-
-    // Fallback response if AI fails
-    return {
-      assessment: {
-        overallScore: 5.0,
-        mentalHealthStatus: "fair",
-        assessmentDate: new Date().toISOString(),
-      },
-      depressionIndicators: {
-        score: 3.0,
-        level: "minimal",
-        symptoms: ["No significant depression indicators detected"],
-        recommendations: ["Continue monitoring mood", "Practice self-care"],
-      },
-      anxietyIndicators: {
-        score: 3.0,
-        level: "minimal",
-        symptoms: ["No significant anxiety indicators detected"],
-        recommendations: [
-          "Practice relaxation techniques",
-          "Maintain regular sleep schedule",
-        ],
-      },
-      stressIndicators: {
-        score: 4.0,
-        level: "moderate",
-        sources: ["General life stress"],
-        recommendations: ["Practice stress management", "Take regular breaks"],
-      },
-      riskAssessment: {
-        overallRisk: "low",
-        immediateConcerns: [],
-        followUpNeeded: false,
-        professionalHelpRecommended: false,
-      },
-      personalizedPlan: {
-        dailyActions: [
-          "Practice deep breathing for 5 minutes",
-          "Take a 10-minute walk",
-          "Write in your journal",
-        ],
-        weeklyGoals: [
-          "Exercise 3 times this week",
-          "Connect with friends or family",
-          "Practice mindfulness daily",
-        ],
-        monthlyObjectives: [
-          "Develop a consistent self-care routine",
-          "Build stress management skills",
-          "Monitor mental health patterns",
-        ],
-        resources: [
-          "Mental health hotlines",
-          "Meditation apps",
-          "Support groups",
-        ],
-      },
-      aiPowered: false,
-    };
+    return buildMentalHealthFallback();
   }
 };
 
@@ -1363,7 +1626,20 @@ ${
  * @returns {boolean} True if AI is available
  */
 const isAIAvailable = () => {
-  return !!model;
+  return !!aiProvider;
+};
+
+/**
+ * Describe the configured AI provider (for health checks)
+ * @returns {Object|null} { name, label, model }
+ */
+const getAIProviderInfo = () => {
+  if (!aiProvider) return null;
+  return {
+    name: aiProvider.name,
+    label: aiProvider.label,
+    model: aiProvider.model,
+  };
 };
 
 module.exports = {
@@ -1373,9 +1649,16 @@ module.exports = {
   analyzeSentiment,
   generateImprovementPlan,
   getAssistantResponse,
+  streamImprovementPlan,
+  streamAssistantResponse,
+  getChatReply,
+  summarizeChat,
+  generateTrendNarrative,
+  buildTrendReportFallback,
   analyzeKeywords,
   analyzeEmotionAndSentiment,
   performMentalHealthAssessment,
   isAIAvailable,
+  getAIProviderInfo,
   detectUserLanguage,
 };
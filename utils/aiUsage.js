@@ -0,0 +1,183 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const dayjs = require("dayjs");
+const Usage = require("../models/Usage");
+
+// Features metered separately in Usage.aiFeatures
+const AI_FEATURES = [
+  "suggest",
+  "suggest_basic",
+  "emotion_analysis",
+  "mental_health_assessment",
+  "improvement_plan",
+  "mood_suggestions",
+  "assistant",
+  "chat",
+  "trend_report",
+];
+
+// Monthly limits per plan. Cached results do not count.
+const DEFAULT_AI_QUOTAS = {
+  free: { calls: 60, tokens: 100000 },
+  premium: { calls: 1500, tokens: 5000000 },
+};
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Monthly AI quota for a plan, overridable with AI_QUOTA_<PLAN>_CALLS and
+ * AI_QUOTA_<PLAN>_TOKENS (e.g. AI_QUOTA_PREMIUM_CALLS=3000).
+ * @param {string} plan - "free" or "premium"
+ * @returns {Object} { calls, tokens }
+ */
+const getAIQuota = (plan) => {
+  const key = plan === "premium" ? "premium" : "free";
+  const prefix = `AI_QUOTA_${key.toUpperCase()}`;
+  return {
+    calls:
+      Number(process.env[`${prefix}_CALLS`]) || DEFAULT_AI_QUOTAS[key].calls,
+    tokens:
+      Number(process.env[`${prefix}_TOKENS`]) || DEFAULT_AI_QUOTAS[key].tokens,
+  };
+};
+
+// Quotas follow calendar months; Usage.date is a YYYY-MM-DD string
+const getQuotaPeriod = (now = dayjs()) => ({
+  start: now.startOf("month").format("YYYY-MM-DD"),
+  end: now.endOf("month").format("YYYY-MM-DD"),
+  resetAt: now.add(1, "month").startOf("month").toDate(),
+});
+
+/**
+ * AI calls and tokens used by a user in the current month.
+ * @param {ObjectId} userId - User
+ * @returns {Promise<Object>} { calls, tokens, cost }
+ */
+const getMonthlyAIUsage = async (userId) => {
+  const period = getQuotaPeriod();
+  const [totals] = await Usage.aggregate([
+    { $match: { userId, date: { $gte: period.start, $lte: period.end } } },
+    {
+      $group: {
+        _id: null,
+        calls: { $sum: "$aiCalls" },
+        inputTokens: { $sum: "$aiInputTokens" },
+        outputTokens: { $sum: "$aiOutputTokens" },
+        cost: { $sum: "$aiCost" },
+      },
+    },
+  ]);
+  return {
+    calls: (totals && totals.calls) || 0,
+    tokens: totals ? (totals.inputTokens || 0) + (totals.outputTokens || 0) : 0,
+    cost: (totals && totals.cost) || 0,
+  };
+};
+
+/**
+ * Quota status for a user: limits, usage and when the quota resets.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>}
+ */
+const getAIQuotaStatus = async (user) => {
+  const quota = getAIQuota(user.plan);
+  const used = await getMonthlyAIUsage(user._id);
+  const period = getQuotaPeriod();
+  return {
+    plan: user.plan,
+    limits: quota,
+    used: { calls: used.calls, tokens: used.tokens },
+    remaining: {
+      calls: Math.max(0, quota.calls - used.calls),
+      tokens: Math.max(0, quota.tokens - used.tokens),
+    },
+    exceeded: used.calls >= quota.calls || used.tokens >= quota.tokens,
+    resetAt: period.resetAt,
+  };
+};
+
+// Totals for the AI calls made while handling one request
+const createAIUsageCollector = () => ({
+  calls: 0,
+  cachedCalls: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  cost: 0,
+});
+
+/**
+ * Run a request handler with an AI usage collector; calls made by aiService
+ * inside it are added to the collector.
+ * @param {Object} collector - From createAIUsageCollector
+ * @param {Function} fn - Callback run inside the context
+ * @returns {*} What fn returns
+ */
+const runWithAIUsage = (collector, fn) => {
+  return usageContext.run(collector, fn);
+};
+
+/**
+ * Record one provider call in the current request's collector.
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @param {Object} pricing - { inputPerMillion, outputPerMillion } in USD
+ */
+const recordAICall = (usage = {}, pricing = {}) => {
+  const collector = usageContext.getStore();
+  if (!collector) return;
+  const inputTokens = usage.inputTokens || 0;
+  const outputTokens = usage.outputTokens || 0;
+  collector.calls += 1;
+  collector.inputTokens += inputTokens;
+  collector.outputTokens += outputTokens;
+  collector.cost +=
+    (inputTokens * (pricing.inputPerMillion || 0) +
+      outputTokens * (pricing.outputPerMillion || 0)) /
+    1000000;
+};
+
+// Cache hits are counted for reporting but cost nothing
+const recordCachedAICall = () => {
+  const collector = usageContext.getStore();
+  if (collector) collector.cachedCalls += 1;
+};
+
+/**
+ * Add a request's AI usage to today's Usage document.
+ * @param {ObjectId} userId - User
+ * @param {string} feature - One of AI_FEATURES
+ * @param {Object} collector - From createAIUsageCollector
+ */
+const saveAIUsage = async (userId, feature, collector) => {
+  if (collector.calls === 0 && collector.cachedCalls === 0) return;
+  const prefix = `aiFeatures.${feature}`;
+  await Usage.findOneAndUpdate(
+    { userId, date: dayjs().format("YYYY-MM-DD") },
+    {
+      $inc: {
+        aiCalls: collector.calls,
+        aiCachedCalls: collector.cachedCalls,
+        aiInputTokens: collector.inputTokens,
+        aiOutputTokens: collector.outputTokens,
+        aiCost: collector.cost,
+        [`${prefix}.calls`]: collector.calls,
+        [`${prefix}.cachedCalls`]: collector.cachedCalls,
+        [`${prefix}.inputTokens`]: collector.inputTokens,
+        [`${prefix}.outputTokens`]: collector.outputTokens,
+        [`${prefix}.cost`]: collector.cost,
+      },
+    },
+    { upsert: true }
+  );
+};
+
+module.exports = {
+  AI_FEATURES,
+  getAIQuota,
+  getQuotaPeriod,
+  getMonthlyAIUsage,
+  getAIQuotaStatus,
+  createAIUsageCollector,
+  runWithAIUsage,
+  recordAICall,
+  recordCachedAICall,
+  saveAIUsage,
+};
@@ -0,0 +1,156 @@
+const dayjs = require("dayjs");
+const Journal = require("../models/Journal");
+const ChatThread = require("../models/ChatThread");
+const ChatMessage = require("../models/ChatMessage");
+const { getChatReply, summarizeChat } = require("./aiService");
+
+const MAX_JOURNALS_PER_THREAD = 5;
+const MAX_MESSAGE_LENGTH = 4000;
+// Journal text sent with each message, shared between the thread's journals
+const JOURNAL_CONTEXT_CHARS = 6000;
+// Once more than SUMMARY_TRIGGER messages are outside the summary, the oldest
+// are summarised until RECENT_MESSAGES remain verbatim
+const SUMMARY_TRIGGER = 16;
+const RECENT_MESSAGES = 8;
+
+function toPlainText(html) {
+  return String(html || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/gi, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Check that journals exist and belong to the user (trashed ones do not count).
+ * @param {ObjectId} userId - Owner
+ * @param {Array<string>} journalIds - Requested journal ids
+ * @returns {Promise<Array|null>} Distinct ids, or null if any is not the user's
+ */
+const resolveThreadJournals = async (userId, journalIds = []) => {
+  const ids = Array.from(new Set(journalIds.map(String)));
+  if (ids.length === 0) return [];
+  const found = await Journal.countDocuments({ _id: { $in: ids }, userId });
+  return found === ids.length ? ids : null;
+};
+
+// Journal excerpts for the prompt; journals purged since are skipped
+async function loadJournalContext(thread) {
+  if (thread.journalIds.length === 0) return [];
+  const journals = await Journal.find({
+    _id: { $in: thread.journalIds },
+    userId: thread.userId,
+  }).sort({ createdAt: 1 });
+
+  const perJournal = Math.floor(JOURNAL_CONTEXT_CHARS / journals.length);
+  return journals.map((journal) => {
+    const text = toPlainText(journal.content || journal.richContent);
+    return {
+      title: journal.title,
+      date: dayjs(journal.createdAt).format("YYYY-MM-DD"),
+      content:
+        text.length > perJournal ? `${text.slice(0, perJournal)}...` : text,
+    };
+  });
+}
+
+/**
+ * Fold the oldest messages into the thread summary once too many are
+ * outside it. A failed summary is logged and retried on the next message.
+ * @param {Object} thread - ChatThread document (saved by the caller)
+ * @param {string} preferredLanguage - Owner's User.preferredLanguage
+ */
+const compactThread = async (thread, preferredLanguage) => {
+  const unsummarized = thread.messageCount - thread.summarizedCount;
+  if (unsummarized <= SUMMARY_TRIGGER) return;
+
+  const messages = await ChatMessage.find({ threadId: thread._id })
+    .sort({ createdAt: 1, _id: 1 })
+    .skip(thread.summarizedCount)
+    .limit(unsummarized - RECENT_MESSAGES);
+  try {
+    thread.summary = await summarizeChat(
+      thread.summary,
+      messages,
+      preferredLanguage
+    );
+    thread.summarizedCount += messages.length;
+  } catch (error) {
+    console.error(`❌ Error summarising chat ${thread._id}:`, error.message);
+  }
+};
+
+/**
+ * Send a message in a thread and store it with the assistant's reply.
+ * Nothing is stored if the AI call fails.
+ * @param {Object} thread - ChatThread document
+ * @param {string} content - User message
+ * @param {string} preferredLanguage - Owner's User.preferredLanguage
+ * @returns {Promise<Object>} { userMessage, assistantMessage }
+ */
+const sendChatMessage = async (thread, content, preferredLanguage) => {
+  await compactThread(thread, preferredLanguage);
+
+  const [history, journals] = await Promise.all([
+    ChatMessage.find({ threadId: thread._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .skip(thread.summarizedCount),
+    loadJournalContext(thread),
+  ]);
+  const { reply, aiPowered } = await getChatReply({
+    message: content,
+    journals,
+    summary: thread.summary,
+    preferredLanguage,
+    history: history.map((message) => ({
+      role: message.role,
+      content: message.content,
+    })),
+  });
+
+  const userMessage = await ChatMessage.create({
+    threadId: thread._id,
+    userId: thread.userId,
+    role: "user",
+    content,
+  });
+  const assistantMessage = await ChatMessage.create({
+    threadId: thread._id,
+    userId: thread.userId,
+    role: "assistant",
+    content: reply,
+    aiPowered,
+  });
+
+  thread.messageCount = await ChatMessage.countDocuments({
+    threadId: thread._id,
+  });
+  thread.lastMessageAt = assistantMessage.createdAt;
+  await thread.save();
+
+  return { userMessage, assistantMessage };
+};
+
+// Title for a new thread: the start of its first message
+const buildThreadTitle = (content) => {
+  const text = String(content || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!text) return "New conversation";
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+const deleteChatThread = async (thread) => {
+  await ChatMessage.deleteMany({ threadId: thread._id });
+  await ChatThread.deleteOne({ _id: thread._id });
+};
+
+module.exports = {
+  MAX_JOURNALS_PER_THREAD,
+  MAX_MESSAGE_LENGTH,
+  resolveThreadJournals,
+  compactThread,
+  sendChatMessage,
+  buildThreadTitle,
+  deleteChatThread,
+};
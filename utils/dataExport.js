@@ -0,0 +1,333 @@
+const JSZip = require("jszip");
+const User = require("../models/User");
+const Journal = require("../models/Journal");
+const JournalRevision = require("../models/JournalRevision");
+const Mood = require("../models/Mood");
+const AIAnalysis = require("../models/AIAnalysis");
+const Notification = require("../models/Notification");
+const Payment = require("../models/Payment");
+const Review = require("../models/Review");
+const DataExport = require("../models/DataExport");
+const DataExportChunk = require("../models/DataExportChunk");
+const ChatThread = require("../models/ChatThread");
+const ChatMessage = require("../models/ChatMessage");
+const TrendReport = require("../models/TrendReport");
+const Session = require("../models/Session");
+const { encryptValue, decryptValue } = require("./encryption");
+const { normalizeText } = require("./searchIndex");
+
+// Exports stuck in progress longer than this (e.g. after a restart) are ignored
+const STALE_EXPORT_MS = 60 * 60 * 1000;
+// Archive bytes per DataExportChunk; about 5.4 MB once base64 encoded and
+// encrypted, well under the 16 MB document limit
+const ARCHIVE_CHUNK_BYTES = 4 * 1024 * 1024;
+
+// Credentials and one-time codes are never exported (the code fields are
+// left over on accounts from before models/OneTimeCode.js)
+const PRIVATE_USER_FIELDS = [
+  "passwordHash",
+  "emailVerificationCode",
+  "resetPasswordCode",
+  "refreshTokenHash",
+  "refreshTokenExpiresAt",
+  "refreshTokenId",
+  "twoFactorSecret",
+  "twoFactorPendingSecret",
+  "twoFactorLastUsedStep",
+  "twoFactorRecoveryCodes",
+  "__v",
+];
+
+function toPlain(doc) {
+  const plain = doc.toObject ? doc.toObject() : { ...doc };
+  delete plain.__v;
+  return plain;
+}
+
+function slugify(text) {
+  return (
+    normalizeText(text)
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 50) || "untitled"
+  );
+}
+
+function stripHtml(html) {
+  return String(html || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|h[1-6]|li)>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function yamlString(value) {
+  return JSON.stringify(String(value || ""));
+}
+
+/**
+ * Render one journal as Markdown with YAML front matter.
+ * @param {Object} journal - Decrypted journal
+ * @returns {string} Markdown document
+ */
+function journalToMarkdown(journal) {
+  const lines = [
+    "---",
+    `title: ${yamlString(journal.title)}`,
+    `date: ${new Date(journal.createdAt).toISOString()}`,
+    `updated: ${new Date(
+      journal.updatedAt || journal.createdAt
+    ).toISOString()}`,
+  ];
+  if (journal.mood) lines.push(`mood: ${yamlString(journal.mood)}`);
+  if (journal.tags && journal.tags.length > 0) {
+    lines.push(`tags: [${journal.tags.map(yamlString).join(", ")}]`);
+  }
+  if (journal.templateName) {
+    lines.push(`template: ${yamlString(journal.templateName)}`);
+  }
+  if (journal.deletedAt) {
+    lines.push(`deletedAt: ${new Date(journal.deletedAt).toISOString()}`);
+  }
+  lines.push("---", "");
+  if (journal.title) lines.push(`# ${journal.title}`, "");
+  lines.push(journal.content || stripHtml(journal.richContent), "");
+  return lines.join("\n");
+}
+
+/**
+ * Collect everything stored about a user into a zip archive.
+ * @param {ObjectId} userId - Account to export
+ * @returns {Promise<Buffer>} Zip archive
+ */
+const buildExportArchive = async (userId) => {
+  const user = await User.findById(userId).lean();
+  if (!user) throw new Error("User not found");
+
+  const [
+    journals,
+    revisions,
+    moods,
+    analyses,
+    notifications,
+    payments,
+    review,
+    chatThreads,
+    chatMessages,
+    trendReports,
+    sessions,
+  ] = await Promise.all([
+    // Documents (not lean) so the post("init") hooks decrypt them
+    Journal.find({ userId })
+      .setOptions({ withDeleted: true })
+      .sort({ createdAt: 1 }),
+    JournalRevision.find({ userId }).sort({ revisedAt: 1 }),
+    Mood.find({ userId }).sort({ date: 1 }).lean(),
+    AIAnalysis.find({ userId })
+      .setOptions({ withDeleted: true })
+      .sort({ createdAt: 1 }),
+    Notification.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Payment.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Review.findOne({ userId }).lean(),
+    ChatThread.find({ userId }).sort({ createdAt: 1 }),
+    ChatMessage.find({ userId }).sort({ createdAt: 1, _id: 1 }),
+    TrendReport.find({ userId }).sort({ periodStart: 1 }),
+    Session.find({ userId }).sort({ createdAt: 1 }),
+  ]);
+
+  const profile = { ...user };
+  PRIVATE_USER_FIELDS.forEach((field) => delete profile[field]);
+
+  const journalData = journals.map((journal) => {
+    const plain = toPlain(journal);
+    delete plain.searchIndex;
+    return plain;
+  });
+
+  const exportedAt = new Date();
+  const zip = new JSZip();
+  zip.file(
+    "everquill-export.json",
+    JSON.stringify(
+      {
+        exportedAt,
+        profile,
+        journals: journalData,
+        journalRevisions: revisions.map(toPlain),
+        moods,
+        aiAnalyses: analyses.map(toPlain),
+        notifications,
+        payments,
+        review,
+        chatThreads: chatThreads.map((thread) => ({
+          ...toPlain(thread),
+          messages: chatMessages
+            .filter((message) => message.threadId.equals(thread._id))
+            .map(toPlain),
+        })),
+        trendReports: trendReports.map(toPlain),
+        // Devices only; refresh token data is never exported
+        sessions: sessions.map((session) => session.toPublicJSON()),
+      },
+      null,
+      2
+    )
+  );
+
+  const usedNames = new Set();
+  journalData.forEach((journal) => {
+    const date = new Date(journal.createdAt).toISOString().slice(0, 10);
+    let name = `journals/${date}-${slugify(journal.title)}.md`;
+    if (usedNames.has(name)) {
+      name = `journals/${date}-${slugify(journal.title)}-${journal._id}.md`;
+    }
+    usedNames.add(name);
+    zip.file(name, journalToMarkdown(journal));
+  });
+
+  zip.file(
+    "README.md",
+    [
+      "# EverQuill data export",
+      "",
+      `Exported at ${exportedAt.toISOString()} for ${user.email}.`,
+      "",
+      "- `everquill-export.json` contains every record stored for your account.",
+      "- `journals/` contains one Markdown file per journal entry, including entries in the trash.",
+      "",
+    ].join("\n")
+  );
+
+  return zip.generateAsync({
+    type: "nodebuffer",
+    compression: "DEFLATE",
+    compressionOptions: { level: 6 },
+  });
+};
+
+/**
+ * Build the archive for a pending export and notify the user when it is ready.
+ * @param {ObjectId} exportId - DataExport to process
+ */
+const processDataExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: "pending" },
+    { status: "processing" },
+    { new: true }
+  );
+  if (!dataExport) return;
+
+  try {
+    const archive = await buildExportArchive(dataExport.userId);
+    const chunkCount = Math.ceil(archive.length / ARCHIVE_CHUNK_BYTES);
+    for (let index = 0; index < chunkCount; index++) {
+      const start = index * ARCHIVE_CHUNK_BYTES;
+      await DataExportChunk.create({
+        exportId: dataExport._id,
+        userId: dataExport.userId,
+        index,
+        data: encryptValue(
+          archive
+            .subarray(start, start + ARCHIVE_CHUNK_BYTES)
+            .toString("base64")
+        ),
+        expiresAt: dataExport.expiresAt,
+      });
+    }
+    dataExport.chunkCount = chunkCount;
+    dataExport.size = archive.length;
+    dataExport.fileName = `everquill-export-${new Date()
+      .toISOString()
+      .slice(0, 10)}.zip`;
+    dataExport.status = "ready";
+    dataExport.completedAt = new Date();
+    await dataExport.save();
+
+    await Notification.createDataExportReadyNotification(
+      dataExport.userId,
+      dataExport._id,
+      dataExport.expiresAt
+    );
+    console.log(
+      `📦 Data export ${dataExport._id} ready (${archive.length} bytes)`
+    );
+  } catch (error) {
+    console.error(`❌ Data export ${dataExport._id} failed:`, error);
+    await DataExportChunk.deleteMany({ exportId: dataExport._id });
+    dataExport.status = "failed";
+    dataExport.error = error.message;
+    await dataExport.save();
+  }
+};
+
+/**
+ * Queue an export for a user; the archive is built in the background.
+ * An export that is still being built is returned instead of starting another.
+ * @param {ObjectId} userId - Account to export
+ * @returns {Promise<Object>} DataExport document
+ */
+const requestDataExport = async (userId) => {
+  const inProgress = await DataExport.findOne({
+    userId,
+    status: { $in: ["pending", "processing"] },
+    createdAt: { $gt: new Date(Date.now() - STALE_EXPORT_MS) },
+  });
+  if (inProgress) return inProgress;
+
+  const dataExport = await DataExport.create({ userId });
+  setImmediate(() => {
+    processDataExport(dataExport._id).catch((error) => {
+      console.error("❌ Error processing data export:", error);
+    });
+  });
+  return dataExport;
+};
+
+/**
+ * Write the decrypted zip archive of a ready export to a stream, one chunk
+ * at a time so the whole archive is never held in memory.
+ * @param {Object} dataExport - Ready DataExport
+ * @param {Object} stream - Writable stream, e.g. the Express response
+ */
+const streamExportArchive = async (dataExport, stream) => {
+  const cursor = DataExportChunk.find({ exportId: dataExport._id })
+    .sort({ index: 1 })
+    .cursor();
+  let written = 0;
+  for await (const chunk of cursor) {
+    if (chunk.index !== written) {
+      throw new Error(`Data export ${dataExport._id} is missing a chunk`);
+    }
+    const data = Buffer.from(decryptValue(chunk.data), "base64");
+    if (!stream.write(data)) {
+      // Wait for the client to catch up, or stop if it went away
+      await new Promise((resolve) => {
+        const done = () => {
+          stream.off("drain", done);
+          stream.off("close", done);
+          resolve();
+        };
+        stream.on("drain", done);
+        stream.on("close", done);
+      });
+      if (stream.destroyed) return cursor.close();
+    }
+    written += 1;
+  }
+  if (written !== dataExport.chunkCount) {
+    throw new Error(`Data export ${dataExport._id} is missing a chunk`);
+  }
+  stream.end();
+};
+
+module.exports = {
+  buildExportArchive,
+  processDataExport,
+  requestDataExport,
+  streamExportArchive,
+};
@@ -1,5 +1,14 @@
 const crypto = require("crypto");
 
+// Ciphertext formats:
+//   enc:v2:<keyId>:<nonce>:<authTag>:<ciphertext>  current, AES-256-GCM with key ID
+//   enc:v1:<nonce>:<authTag>:<ciphertext>          AES-256-GCM, default key
+//   <base64>                                      legacy AES-256-CBC, default key + static IV
+const ENVELOPE_PREFIX = "enc:";
+const ENVELOPE_VERSION = "v2";
+const GCM_NONCE_LENGTH = 12;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
 function deriveKey(source, expectedLength) {
   if (!source) return null;
   const value = source.trim();
@@ -32,57 +41,396 @@ function deriveKey(source, expectedLength) {
     .slice(0, expectedLength);
 }
 
-const KEY = deriveKey(process.env.JOURNAL_ENCRYPTION_KEY, 32);
-const IV = deriveKey(process.env.JOURNAL_ENCRYPTION_IV, 16);
+/**
+ * Build the keyring from the environment.
+ * JOURNAL_ENCRYPTION_KEYS holds "id:secret" pairs separated by commas.
+ * JOURNAL_ENCRYPTION_KEY is registered as JOURNAL_ENCRYPTION_KEY_ID (default "default")
+ * and is the key that wrote every v1 and legacy CBC value.
+ */
+function loadKeyring() {
+  const keys = new Map();
+
+  (process.env.JOURNAL_ENCRYPTION_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(":");
+      const id = separator > 0 ? entry.slice(0, separator).trim() : "";
+      const secret = separator > 0 ? entry.slice(separator + 1) : "";
+      if (!KEY_ID_PATTERN.test(id) || !secret) {
+        console.warn(
+          "[JOURNAL ENCRYPTION] Ignoring malformed JOURNAL_ENCRYPTION_KEYS entry."
+        );
+        return;
+      }
+      keys.set(id, deriveKey(secret, 32));
+    });
+
+  const defaultKeyId = process.env.JOURNAL_ENCRYPTION_KEY_ID || "default";
+  const defaultKey = deriveKey(process.env.JOURNAL_ENCRYPTION_KEY, 32);
+  if (defaultKey && !keys.has(defaultKeyId)) {
+    keys.set(defaultKeyId, defaultKey);
+  }
+
+  let activeKeyId = process.env.JOURNAL_ENCRYPTION_ACTIVE_KEY_ID;
+  if (!activeKeyId) {
+    activeKeyId = defaultKey ? defaultKeyId : keys.keys().next().value;
+  }
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    console.error(
+      "[JOURNAL ENCRYPTION] Active key '%s' is not in the keyring.",
+      activeKeyId
+    );
+    activeKeyId = undefined;
+  }
+
+  return { keys, activeKeyId, defaultKeyId };
+}
+
+const KEYRING = loadKeyring();
+// Only needed to read values written by the old AES-256-CBC scheme
+const LEGACY_IV = deriveKey(process.env.JOURNAL_ENCRYPTION_IV, 16);
 
-if (!KEY || !IV) {
+if (!KEYRING.activeKeyId) {
   console.warn(
-    "[JOURNAL ENCRYPTION] JOURNAL_ENCRYPTION_KEY/IV not provided. Journal data will be stored in plain text."
+    "[JOURNAL ENCRYPTION] No active encryption key configured. Journal data will be stored in plain text."
   );
 } else {
   console.log(
-    "[JOURNAL ENCRYPTION] Encryption active (key length=%d, iv length=%d).",
-    KEY.length,
-    IV.length
+    "[JOURNAL ENCRYPTION] Encryption active (aes-256-gcm, active key '%s', %d key(s) loaded, legacy CBC reads %s).",
+    KEYRING.activeKeyId,
+    KEYRING.keys.size,
+    LEGACY_IV ? "enabled" : "disabled"
   );
 }
 
 function hasConfig() {
-  return Boolean(KEY && IV);
+  return Boolean(KEYRING.activeKeyId);
+}
+
+function getActiveKeyId() {
+  return KEYRING.activeKeyId || null;
+}
+
+function getKey(keyId) {
+  const key = KEYRING.keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key '${keyId}' is not in the keyring`);
+  }
+  return key;
+}
+
+function isEnvelope(value) {
+  return typeof value === "string" && value.startsWith(ENVELOPE_PREFIX);
+}
+
+/**
+ * Whether a value is ciphertext. Only the envelope prefix counts, so plain
+ * values that happen to be valid base64 ("calm", "work") are never skipped.
+ * @param {*} value - Raw or decrypted field value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return isEnvelope(value);
+}
+
+// Shape of the pre-envelope CBC output; plain text can match it too
+function looksLikeLegacyCiphertext(value) {
+  if (!value || typeof value !== "string" || isEnvelope(value)) return false;
+  const base64Regex = /^[A-Za-z0-9+/]+={0,2}$/;
+  return value.length % 4 === 0 && base64Regex.test(value);
+}
+
+/**
+ * Try to read a value written by the legacy CBC scheme.
+ * @param {string} value - Unprefixed stored value
+ * @returns {string|null} Plain text, or null when the value is not legacy ciphertext
+ */
+function tryDecryptLegacy(value) {
+  if (!looksLikeLegacyCiphertext(value)) return null;
+  if (!LEGACY_IV || !KEYRING.keys.has(KEYRING.defaultKeyId)) {
+    throw new Error(
+      "JOURNAL_ENCRYPTION_KEY and JOURNAL_ENCRYPTION_IV required to classify legacy values"
+    );
+  }
+  try {
+    const plainText = decryptValueStrict(value);
+    // A wrong guess almost always fails padding; invalid UTF-8 catches the rest
+    return plainText.includes("\uFFFD") ? null : plainText;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Classify a raw stored value.
+ * @param {*} value - Raw value as stored in MongoDB
+ * @returns {string} "empty" | "envelope" | "legacy" | "plain"
+ */
+function classifyStoredValue(value) {
+  if (!value) return "empty";
+  if (isEnvelope(value)) return "envelope";
+  return tryDecryptLegacy(String(value)) !== null ? "legacy" : "plain";
+}
+
+/**
+ * Parse a stored ciphertext into its parts.
+ * @param {string} value - Envelope or legacy ciphertext
+ * @returns {Object} { version, keyId, nonce, authTag, data }
+ */
+function parseCiphertext(value) {
+  if (!isEnvelope(value)) {
+    return { version: "legacy", keyId: KEYRING.defaultKeyId, data: value };
+  }
+
+  const parts = value.split(":");
+  if (parts[1] === "v1" && parts.length === 5) {
+    return {
+      version: "v1",
+      keyId: KEYRING.defaultKeyId,
+      nonce: parts[2],
+      authTag: parts[3],
+      data: parts[4],
+    };
+  }
+  if (parts[1] === "v2" && parts.length === 6) {
+    return {
+      version: "v2",
+      keyId: parts[2],
+      nonce: parts[3],
+      authTag: parts[4],
+      data: parts[5],
+    };
+  }
+  throw new Error("Unsupported ciphertext envelope");
+}
+
+/**
+ * Key ID an envelope was encrypted with, or null for anything else.
+ * @param {string} value - Raw value as stored in MongoDB
+ * @returns {string|null}
+ */
+function getKeyId(value) {
+  if (!isEnvelope(value)) return null;
+  try {
+    return parseCiphertext(value).keyId;
+  } catch (err) {
+    return null;
+  }
 }
 
 function encryptValue(value) {
   if (!value || !hasConfig()) return value;
-  const bufferValue = typeof value === "string" ? value : JSON.stringify(value);
-  const cipher = crypto.createCipheriv("aes-256-cbc", KEY, IV);
-  let encrypted = cipher.update(bufferValue, "utf8", "base64");
-  encrypted += cipher.final("base64");
-  return encrypted;
+  const plainText = typeof value === "string" ? value : JSON.stringify(value);
+  const keyId = KEYRING.activeKeyId;
+  const nonce = crypto.randomBytes(GCM_NONCE_LENGTH);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getKey(keyId), nonce);
+  // Bind the key ID to the ciphertext so it cannot be swapped
+  cipher.setAAD(Buffer.from(keyId, "utf8"));
+  const encrypted = Buffer.concat([
+    cipher.update(plainText, "utf8"),
+    cipher.final(),
+  ]);
+  const authTag = cipher.getAuthTag();
+  return [
+    ENVELOPE_PREFIX + ENVELOPE_VERSION,
+    keyId,
+    nonce.toString("base64"),
+    authTag.toString("base64"),
+    encrypted.toString("base64"),
+  ].join(":");
+}
+
+/**
+ * Decrypt a stored value, throwing when it cannot be decrypted.
+ * @param {string} value - Envelope or legacy ciphertext
+ * @returns {string} Plain text
+ */
+function decryptValueStrict(value) {
+  const parsed = parseCiphertext(value);
+  const key = getKey(parsed.keyId);
+
+  if (parsed.version === "legacy") {
+    if (!LEGACY_IV) {
+      throw new Error("JOURNAL_ENCRYPTION_IV required for legacy values");
+    }
+    const decipher = crypto.createDecipheriv("aes-256-cbc", key, LEGACY_IV);
+    let decrypted = decipher.update(parsed.data, "base64", "utf8");
+    decrypted += decipher.final("utf8");
+    return decrypted;
+  }
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(parsed.nonce, "base64")
+  );
+  if (parsed.version === "v2") {
+    decipher.setAAD(Buffer.from(parsed.keyId, "utf8"));
+  }
+  decipher.setAuthTag(Buffer.from(parsed.authTag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(parsed.data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+/**
+ * Thrown when a value in an encryption envelope cannot be decrypted (unknown
+ * key ID, failed authentication or a malformed envelope). The ciphertext is
+ * never handed back as if it were the plain text.
+ */
+class DecryptionError extends Error {
+  constructor(keyId, cause) {
+    super(`Could not decrypt value (key '${keyId || "unknown"}'): ${cause}`);
+    this.name = "DecryptionError";
+    this.keyId = keyId || null;
+  }
 }
 
+/**
+ * Decrypt a stored value for reading. Values without an envelope are
+ * unmigrated legacy ciphertext or plain text and are returned readable;
+ * an envelope that cannot be decrypted throws a DecryptionError.
+ * @param {string} value - Raw value as stored in MongoDB
+ * @returns {string} Plain text
+ */
 function decryptValue(value) {
   if (!value || !hasConfig()) return value;
-  if (!isProbablyEncrypted(value)) return value;
+  if (!isEnvelope(value)) {
+    // Unmigrated legacy ciphertext is still readable; anything else is plain text
+    try {
+      const legacy = tryDecryptLegacy(value);
+      return legacy !== null ? legacy : value;
+    } catch (err) {
+      return value;
+    }
+  }
   try {
-    const decipher = crypto.createDecipheriv("aes-256-cbc", KEY, IV);
-    let decrypted = decipher.update(value, "base64", "utf8");
-    decrypted += decipher.final("utf8");
-    return decrypted;
+    return decryptValueStrict(value);
   } catch (err) {
-    console.error("Decrypt value failed", err.message);
-    return value;
+    const keyId = getKeyId(value);
+    console.error(
+      "Decrypt value failed (key '%s'): %s",
+      keyId || "unknown",
+      err.message
+    );
+    throw new DecryptionError(keyId, err.message);
   }
 }
 
-function isProbablyEncrypted(value) {
-  if (!value || typeof value !== "string") return false;
-  const base64Regex = /^[A-Za-z0-9+/]+={0,2}$/;
-  return value.length % 4 === 0 && base64Regex.test(value);
+/**
+ * Decrypt fields of a document loaded from MongoDB in place, for post("init")
+ * hooks. A field that cannot be decrypted is shown as null (unreadable array
+ * items are left out) and listed in doc.$locals.unreadableFields with its
+ * ciphertext, so one damaged value does not fail the whole query and
+ * restoreUnreadableFields can keep it on save.
+ * @param {Object} doc - Mongoose document
+ * @param {string[]} fields - Encrypted string or string array fields
+ */
+function decryptDocumentFields(doc, fields) {
+  if (!hasConfig()) return;
+  fields.forEach((field) => {
+    const value = doc[field];
+    if (!value) return;
+    let unreadable = false;
+    const readable = (Array.isArray(value) ? Array.from(value) : [value])
+      .map((item) => {
+        if (!item) return item;
+        try {
+          return decryptValue(String(item));
+        } catch (err) {
+          if (!(err instanceof DecryptionError)) throw err;
+          unreadable = true;
+          return undefined;
+        }
+      })
+      .filter((item) => item !== undefined);
+    const shown = Array.isArray(value) ? readable : readable[0] ?? null;
+    if (unreadable) {
+      if (!doc.$locals.unreadableFields) doc.$locals.unreadableFields = {};
+      doc.$locals.unreadableFields[field] = {
+        stored: Array.isArray(value) ? Array.from(value) : value,
+        shown,
+      };
+      console.error(
+        "[JOURNAL ENCRYPTION] %s %s has an unreadable %s",
+        doc.constructor.modelName,
+        doc._id,
+        field
+      );
+    }
+    doc[field] = shown;
+  });
+}
+
+/**
+ * Put the stored ciphertext back into fields decryptDocumentFields could not
+ * read and that were not changed since, so saving does not overwrite them.
+ * Call first in pre("save") hooks.
+ * @param {Object} doc - Mongoose document
+ */
+function restoreUnreadableFields(doc) {
+  const unreadable = doc.$locals.unreadableFields;
+  if (!unreadable) return;
+  Object.keys(unreadable).forEach((field) => {
+    const current = Array.isArray(doc[field])
+      ? Array.from(doc[field])
+      : doc[field] ?? null;
+    if (JSON.stringify(current) === JSON.stringify(unreadable[field].shown)) {
+      doc[field] = unreadable[field].stored;
+    }
+  });
+  delete doc.$locals.unreadableFields;
+}
+
+/**
+ * Whether a stored value is not yet in the current envelope under the active key.
+ * @param {string} value - Raw value as stored in MongoDB
+ * @returns {boolean}
+ */
+function needsReencryption(value) {
+  if (!value || !hasConfig()) return false;
+  if (!isEnvelope(value)) return true;
+  try {
+    const parsed = parseCiphertext(value);
+    return (
+      parsed.version !== ENVELOPE_VERSION ||
+      parsed.keyId !== KEYRING.activeKeyId
+    );
+  } catch (err) {
+    return true;
+  }
+}
+
+/**
+ * Upgrade a stored value to the current envelope under the active key.
+ * Ciphertext is decrypted with whichever key wrote it and re-encrypted,
+ * plain text is encrypted, current values are returned unchanged.
+ * Throws when an envelope cannot be decrypted or legacy values cannot be classified.
+ * @param {string} value - Raw value as stored in MongoDB
+ * @returns {string} Value in the current envelope format
+ */
+function reencryptValue(value) {
+  if (!needsReencryption(value)) return value;
+  if (isEnvelope(value)) return encryptValue(decryptValueStrict(value));
+  const legacy = tryDecryptLegacy(String(value));
+  return encryptValue(legacy !== null ? legacy : String(value));
 }
 
 module.exports = {
+  DecryptionError,
   encryptValue,
   decryptValue,
+  decryptValueStrict,
+  decryptDocumentFields,
+  restoreUnreadableFields,
+  reencryptValue,
+  needsReencryption,
   hasEncryptionConfig: hasConfig,
-  isProbablyEncrypted,
+  getActiveKeyId,
+  getKeyId,
+  isEncrypted,
+  classifyStoredValue,
 };
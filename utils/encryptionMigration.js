@@ -0,0 +1,125 @@
+const {
+  reencryptValue,
+  needsReencryption,
+  encryptValue,
+} = require("./encryption");
+
+const JOURNAL_FIELDS = ["title", "content", "richContent", "mood"];
+
+/**
+ * Build the $set payload that moves a raw (lean) journal to the active key.
+ * @param {Object} journal - Journal document as stored in MongoDB
+ * @returns {Object|null} Update payload, or null when nothing changes
+ */
+function buildJournalUpdate(journal) {
+  const update = {};
+
+  JOURNAL_FIELDS.forEach((field) => {
+    const value = journal[field];
+    if (value && needsReencryption(value)) {
+      update[field] = reencryptValue(String(value));
+    }
+  });
+
+  if (
+    Array.isArray(journal.tags) &&
+    journal.tags.some((tag) => tag && needsReencryption(tag))
+  ) {
+    update.tags = journal.tags.map((tag) =>
+      tag ? reencryptValue(String(tag)) : tag
+    );
+  }
+
+  return Object.keys(update).length > 0 ? update : null;
+}
+
+/**
+ * Build the $set payload that moves a raw (lean) journal revision to the active key.
+ * Revisions store the same encrypted fields as journals.
+ * @param {Object} revision - JournalRevision document as stored in MongoDB
+ * @returns {Object|null} Update payload, or null when nothing changes
+ */
+function buildRevisionUpdate(revision) {
+  return buildJournalUpdate(revision);
+}
+
+/**
+ * Build the $set payload that moves a raw (lean) AI analysis to the active key.
+ * @param {Object} analysis - AIAnalysis document as stored in MongoDB
+ * @returns {Object|null} Update payload, or null when nothing changes
+ */
+function buildAnalysisUpdate(analysis) {
+  const update = {};
+
+  if (analysis.content && needsReencryption(analysis.content)) {
+    update.content = reencryptValue(String(analysis.content));
+  }
+
+  Object.assign(update, buildJsonFieldsUpdate(analysis, ["results"]));
+
+  return Object.keys(update).length > 0 ? update : null;
+}
+
+// $set payload for fields stored as encrypted JSON (Mixed), or null
+function buildJsonFieldsUpdate(doc, fields) {
+  const update = {};
+  fields.forEach((field) => {
+    const value = doc[field];
+    if (!value) return;
+    if (typeof value !== "string") {
+      // Stored before encryption was enabled
+      update[field] = encryptValue(JSON.stringify(value));
+    } else if (needsReencryption(value)) {
+      update[field] = reencryptValue(value);
+    }
+  });
+  return Object.keys(update).length > 0 ? update : null;
+}
+
+// $set payload for plain string fields that need re-encryption, or null
+function buildFieldsUpdate(doc, fields) {
+  const update = {};
+  fields.forEach((field) => {
+    const value = doc[field];
+    if (value && needsReencryption(value)) {
+      update[field] = reencryptValue(String(value));
+    }
+  });
+  return Object.keys(update).length > 0 ? update : null;
+}
+
+/**
+ * Build the $set payload that moves a raw (lean) chat thread to the active key.
+ * @param {Object} thread - ChatThread document as stored in MongoDB
+ * @returns {Object|null} Update payload, or null when nothing changes
+ */
+function buildChatThreadUpdate(thread) {
+  return buildFieldsUpdate(thread, ["title", "summary"]);
+}
+
+/**
+ * Build the $set payload that moves a raw (lean) chat message to the active key.
+ * @param {Object} message - ChatMessage document as stored in MongoDB
+ * @returns {Object|null} Update payload, or null when nothing changes
+ */
+function buildChatMessageUpdate(message) {
+  return buildFieldsUpdate(message, ["content"]);
+}
+
+/**
+ * Build the $set payload that moves a raw (lean) trend report to the active key.
+ * @param {Object} report - TrendReport document as stored in MongoDB
+ * @returns {Object|null} Update payload, or null when nothing changes
+ */
+function buildTrendReportUpdate(report) {
+  return buildJsonFieldsUpdate(report, ["stats", "narrative"]);
+}
+
+module.exports = {
+  buildJournalUpdate,
+  buildRevisionUpdate,
+  buildAnalysisUpdate,
+  buildChatThreadUpdate,
+  buildChatMessageUpdate,
+  buildTrendReportUpdate,
+};
@@ -0,0 +1,439 @@
+const path = require("path");
+const JSZip = require("jszip");
+const Journal = require("../models/Journal");
+const { hashToken, isSearchIndexEnabled } = require("./searchIndex");
+
+const MAX_IMPORT_ENTRIES = 5000;
+// Zips are checked against these before and while they are unpacked, so a
+// small upload cannot expand into gigabytes (zip bomb)
+const MAX_ZIP_FILES = 10000;
+const MAX_ZIP_UNCOMPRESSED_BYTES = 100 * 1024 * 1024;
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+// "2024-03-15", "## 2024-03-15 - Title", "15/03/2024: Title"
+const DATE_HEADER_PATTERN =
+  /^\s*#*\s*(\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}(?::\d{2})?)?|\d{1,2}\/\d{1,2}\/\d{4})\s*(?:[-–:|]\s*)?(.*)$/;
+
+function parseDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  const text = String(value).trim();
+
+  // Day-first dates as written in Vietnam: 15/03/2024
+  const dayFirst = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (dayFirst) {
+    const day = Number(dayFirst[1]);
+    const month = Number(dayFirst[2]) - 1;
+    const date = new Date(Date.UTC(Number(dayFirst[3]), month, day));
+    // Date.UTC rolls over out-of-range parts (31/02 becomes 02/03)
+    return date.getUTCDate() === day && date.getUTCMonth() === month
+      ? date
+      : null;
+  }
+
+  const date = new Date(text);
+  return isNaN(date) ? null : date;
+}
+
+function parseScalar(value) {
+  const text = value.trim();
+  if (/^".*"$/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      return text.slice(1, -1);
+    }
+  }
+  if (/^'.*'$/.test(text)) return text.slice(1, -1).replace(/''/g, "'");
+  return text;
+}
+
+/**
+ * Parse the YAML subset used in journal front matter: scalars, inline
+ * lists ("tags: [a, b]") and block lists ("tags:\n  - a").
+ * @param {string} source - Front matter without the --- fences
+ * @returns {Object}
+ */
+function parseFrontMatter(source) {
+  const data = {};
+  let listKey = null;
+
+  source.split(/\r?\n/).forEach((line) => {
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1]));
+      return;
+    }
+
+    const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+    if (!pair) return;
+    const key = pair[1];
+    const value = pair[2].trim();
+    listKey = null;
+
+    if (value === "") {
+      data[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value)) {
+      data[key] = value
+        .slice(1, -1)
+        .split(",")
+        .map(parseScalar)
+        .filter(Boolean);
+    } else {
+      data[key] = parseScalar(value);
+    }
+  });
+
+  return data;
+}
+
+function normalizeTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(",");
+  return list.map((tag) => String(tag).trim()).filter(Boolean);
+}
+
+/**
+ * Parse one Markdown file with optional front matter (date, title, mood, tags).
+ * @param {string} text - File content
+ * @param {string} fileName - Used for the date/title fallback and error reports
+ * @returns {Object} Parsed entry
+ */
+function parseMarkdownEntry(text, fileName) {
+  let body = text.replace(/^\uFEFF/, "");
+  let meta = {};
+  const frontMatter = body.match(FRONT_MATTER_PATTERN);
+  if (frontMatter) {
+    meta = parseFrontMatter(frontMatter[1]);
+    body = body.slice(frontMatter[0].length);
+  }
+
+  let title = meta.title ? String(meta.title) : "";
+  const heading = body.match(/^\s*#\s+(.+)\r?\n?/);
+  if (heading && (!title || heading[1].trim() === title)) {
+    title = heading[1].trim();
+    body = body.slice(heading[0].length);
+  }
+
+  const baseName = path.basename(fileName, path.extname(fileName));
+  const fileDate = baseName.match(/^(\d{4}-\d{2}-\d{2})/);
+  const createdAt = parseDate(
+    meta.date || meta.created || meta.createdAt || (fileDate && fileDate[1])
+  );
+  if (!createdAt) {
+    throw new Error("Missing or invalid date (front matter or file name)");
+  }
+
+  return {
+    title:
+      title ||
+      baseName
+        .replace(/^\d{4}-\d{2}-\d{2}[-_ ]*/, "")
+        .replace(/[-_]+/g, " ")
+        .trim() ||
+      "Untitled",
+    content: body.trim(),
+    mood: meta.mood ? String(meta.mood) : undefined,
+    tags: normalizeTags(meta.tags),
+    createdAt,
+  };
+}
+
+// Day One escapes Markdown punctuation in its JSON export ("Hello\.")
+function unescapeDayOne(text) {
+  return String(text || "").replace(/\\([\\`*_{}[\]()#+\-.!])/g, "$1");
+}
+
+/**
+ * Parse a Day One JSON export ({ metadata, entries: [...] }).
+ * @param {string} text - JSON file content
+ * @returns {Array<Object>} { entry } or { error } per Day One entry
+ */
+function parseDayOneExport(text) {
+  const data = JSON.parse(text.replace(/^\uFEFF/, ""));
+  if (!data || !Array.isArray(data.entries)) {
+    throw new Error("Not a Day One export: missing entries");
+  }
+
+  return data.entries.map((item, index) => {
+    const source = `entries[${index}]`;
+    const createdAt = parseDate(item.creationDate);
+    if (!createdAt) return { source, error: "Missing or invalid creationDate" };
+
+    const lines = unescapeDayOne(item.text).split(/\r?\n/);
+    const firstLine = (lines[0] || "").replace(/^#+\s*/, "").trim();
+    return {
+      source,
+      entry: {
+        title: firstLine.slice(0, 200) || "Untitled",
+        content: lines.slice(1).join("\n").trim(),
+        tags: normalizeTags(item.tags),
+        createdAt,
+      },
+    };
+  });
+}
+
+/**
+ * Parse a plain-text file where each entry starts with a date header line.
+ * @param {string} text - File content
+ * @returns {Array<Object>} { entry } or { error } per entry
+ */
+function parsePlainText(text) {
+  const results = [];
+  let current = null;
+  let leading = false;
+
+  const finish = () => {
+    if (!current) return;
+    results.push({
+      source: `line ${current.line}`,
+      entry: {
+        title: current.title || "Untitled",
+        content: current.lines.join("\n").trim(),
+        tags: [],
+        createdAt: current.createdAt,
+      },
+    });
+  };
+
+  text
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      const header = line.match(DATE_HEADER_PATTERN);
+      const createdAt = header && parseDate(header[1]);
+      if (createdAt) {
+        finish();
+        current = {
+          line: index + 1,
+          createdAt,
+          title: header[2].trim(),
+          lines: [],
+        };
+      } else if (current) {
+        current.lines.push(line);
+      } else if (line.trim()) {
+        leading = true;
+      }
+    });
+  finish();
+
+  if (results.length === 0) {
+    throw new Error("No date headers found (e.g. 2024-03-15 or 15/03/2024)");
+  }
+  if (leading) {
+    results.unshift({
+      source: "line 1",
+      error: "Text before the first date header was skipped",
+    });
+  }
+  return results;
+}
+
+// Read a zip entry as text, counting the bytes actually unpacked: the sizes
+// in the zip headers come from the uploader and may be false
+function readZipEntry(file, budget) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = file.nodeStream("nodebuffer");
+    stream.on("data", (chunk) => {
+      budget.remaining -= chunk.length;
+      if (budget.remaining < 0) {
+        stream.pause();
+        reject(new Error(tooLargeMessage()));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on("error", reject);
+    stream.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+  });
+}
+
+function tooLargeMessage() {
+  return `The zip is too large once unpacked (at most ${
+    MAX_ZIP_UNCOMPRESSED_BYTES / 1024 / 1024
+  } MB)`;
+}
+
+function declaredSize(file) {
+  return (file._data && file._data.uncompressedSize) || 0;
+}
+
+/**
+ * Parse an uploaded export into journal entries, detecting the format from
+ * the file name and content.
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} fileName - Original file name
+ * @returns {Promise<Object>} { format, results: [{ source, entry } | { source, error }] }
+ */
+const parseImportFile = async (buffer, fileName) => {
+  const extension = path.extname(fileName || "").toLowerCase();
+
+  if (extension === ".zip") {
+    const zip = await JSZip.loadAsync(buffer);
+    if (Object.keys(zip.files).length > MAX_ZIP_FILES) {
+      throw new Error(`The zip contains more than ${MAX_ZIP_FILES} files`);
+    }
+    const files = Object.values(zip.files).filter(
+      (file) => !file.dir && !/(^|\/)(__MACOSX|\.)/.test(file.name)
+    );
+
+    const markdownFiles = files.filter(
+      (file) =>
+        /\.(md|markdown)$/i.test(file.name) &&
+        !/(^|\/)readme\.md$/i.test(file.name)
+    );
+    const budget = { remaining: MAX_ZIP_UNCOMPRESSED_BYTES };
+    const checkDeclaredSize = (selected) => {
+      const total = selected.reduce((sum, file) => sum + declaredSize(file), 0);
+      if (total > MAX_ZIP_UNCOMPRESSED_BYTES)
+        throw new Error(tooLargeMessage());
+    };
+
+    if (markdownFiles.length > 0) {
+      checkDeclaredSize(markdownFiles);
+      const results = [];
+      for (const file of markdownFiles) {
+        const text = await readZipEntry(file, budget);
+        try {
+          const entry = parseMarkdownEntry(text, file.name);
+          results.push({ source: file.name, entry });
+        } catch (err) {
+          results.push({ source: file.name, error: err.message });
+        }
+      }
+      return { format: "markdown", results };
+    }
+
+    // Day One zips contain one JSON file per journal next to media folders
+    const dayOneFiles = files.filter((file) => /\.json$/i.test(file.name));
+    if (dayOneFiles.length === 0) {
+      throw new Error("The zip contains no Markdown or Day One JSON files");
+    }
+    checkDeclaredSize(dayOneFiles);
+    const results = [];
+    for (const file of dayOneFiles) {
+      const text = await readZipEntry(file, budget);
+      try {
+        parseDayOneExport(text).forEach((result) =>
+          results.push({ ...result, source: `${file.name} ${result.source}` })
+        );
+      } catch (err) {
+        results.push({ source: file.name, error: err.message });
+      }
+    }
+    return { format: "dayone", results };
+  }
+
+  const text = buffer.toString("utf8");
+  if (extension === ".json") {
+    return { format: "dayone", results: parseDayOneExport(text) };
+  }
+  if (extension === ".md" || extension === ".markdown") {
+    return {
+      format: "markdown",
+      results: [
+        { source: fileName, entry: parseMarkdownEntry(text, fileName) },
+      ],
+    };
+  }
+  if (extension === ".txt") {
+    return { format: "text", results: parsePlainText(text) };
+  }
+  throw new Error(
+    "Unsupported file type. Upload a .zip, .json, .md or .txt file"
+  );
+};
+
+// Same date, title and text means the same entry, whichever app it came from
+function entryIdentity(entry) {
+  return [
+    entry.createdAt.toISOString().slice(0, 10),
+    (entry.title || "").trim(),
+    (entry.content || "").replace(/\s+/g, " ").trim(),
+  ].join("\n");
+}
+
+/**
+ * Create journals from parsed entries. Entries already imported (or repeated
+ * within the file) are reported as duplicates instead of being created again.
+ * Imported entries do not count against the daily creation limit.
+ * @param {Object} user - Importing user
+ * @param {Object} parsed - Result of parseImportFile
+ * @returns {Promise<Object>} { format, imported, duplicates, errors }
+ */
+const importJournals = async (user, parsed) => {
+  const errors = parsed.results
+    .filter((result) => result.error)
+    .map((result) => ({ source: result.source, message: result.error }));
+  const entries = parsed.results.filter((result) => result.entry);
+
+  if (entries.length > MAX_IMPORT_ENTRIES) {
+    throw new Error(
+      `Too many entries (${entries.length}). Import at most ${MAX_IMPORT_ENTRIES} at a time`
+    );
+  }
+
+  // Keyed hashes are stored to recognise earlier imports; without an index
+  // key nothing is stored and only repeats within this file are caught
+  const identities = entries.map((result) => entryIdentity(result.entry));
+  const fingerprints = identities.map((identity) =>
+    hashToken(user._id, "i", identity)
+  );
+  const existing = isSearchIndexEnabled()
+    ? await Journal.find({
+        userId: user._id,
+        importFingerprint: { $in: fingerprints },
+      })
+        .setOptions({ withDeleted: true })
+        .select("importFingerprint")
+        .lean()
+    : [];
+  const seen = new Set(existing.map((journal) => journal.importFingerprint));
+  const inFile = new Set();
+
+  const duplicates = [];
+  const toCreate = [];
+  entries.forEach((result, index) => {
+    const fingerprint = fingerprints[index];
+    if (seen.has(fingerprint) || inFile.has(identities[index])) {
+      duplicates.push({
+        source: result.source,
+        title: result.entry.title,
+        createdAt: result.entry.createdAt,
+      });
+      return;
+    }
+    inFile.add(identities[index]);
+    toCreate.push({
+      source: result.source,
+      data: {
+        ...result.entry,
+        userId: user._id,
+        importedFrom: parsed.format,
+        ...(fingerprint && { importFingerprint: fingerprint }),
+      },
+    });
+  });
+
+  let imported = 0;
+  for (const { source, data } of toCreate) {
+    try {
+      // create() runs the save hooks, so entries are encrypted and indexed
+      await Journal.create(data);
+      imported += 1;
+    } catch (err) {
+      errors.push({ source, message: err.message });
+    }
+  }
+
+  return { format: parsed.format, imported, duplicates, errors };
+};
+
+module.exports = {
+  MAX_IMPORT_ENTRIES,
+  parseImportFile,
+  importJournals,
+};
@@ -0,0 +1,543 @@
+const path = require("path");
+const axios = require("axios");
+const PDFDocument = require("pdfkit");
+
+// DejaVu covers the full Vietnamese range; PDF standard fonts do not
+const FONT_DIR = path.join(
+  path.dirname(require.resolve("dejavu-fonts-ttf/package.json")),
+  "ttf"
+);
+const FONTS = {
+  regular: path.join(FONT_DIR, "DejaVuSans.ttf"),
+  bold: path.join(FONT_DIR, "DejaVuSans-Bold.ttf"),
+  italic: path.join(FONT_DIR, "DejaVuSans-Oblique.ttf"),
+  boldItalic: path.join(FONT_DIR, "DejaVuSans-BoldOblique.ttf"),
+};
+
+const PAPER_SIZES = {
+  A4: "A4",
+  A5: "A5",
+  Letter: "LETTER",
+  Legal: "LEGAL",
+};
+
+// Background image width requested from Cloudinary per print quality
+const IMAGE_WIDTHS = {
+  Draft: 800,
+  Standard: 1600,
+  "High Quality": 2400,
+};
+
+const COLORS = {
+  title: "#6B46C1",
+  text: "#222222",
+  muted: "#666666",
+  accent: "#E0BBE4",
+  chip: "#F3F4F6",
+};
+
+const MAX_COPIES = 5;
+const BACKGROUND_TIMEOUT_MS = 10000;
+// Template backgrounds are uploaded to Cloudinary (config/cloudinary.js)
+const CLOUDINARY_HOST = "res.cloudinary.com";
+
+function toGray(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  const r = (value >> 16) & 255;
+  const g = (value >> 8) & 255;
+  const b = value & 255;
+  const gray = Math.round(0.299 * r + 0.587 * g + 0.114 * b)
+    .toString(16)
+    .padStart(2, "0");
+  return `#${gray}${gray}${gray}`;
+}
+
+// NUL, surrogates and code points past U+10FFFF (which String.fromCodePoint
+// throws on) become U+FFFD, as in browsers
+function decodeCharRef(digits, radix) {
+  const code = parseInt(digits, radix);
+  if (code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+    return "\uFFFD";
+  }
+  return String.fromCodePoint(code);
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, digits) => decodeCharRef(digits, 10))
+    .replace(/&#x([0-9a-f]+);/gi, (_, digits) => decodeCharRef(digits, 16))
+    .replace(/&amp;/g, "&");
+}
+
+const BLOCK_TAGS = new Set([
+  "p",
+  "div",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "li",
+  "blockquote",
+  "pre",
+]);
+
+/**
+ * Turn editor HTML into blocks of styled text runs.
+ * Only the formatting the rich-text editor produces is kept: paragraphs,
+ * headings, list items, quotes, line breaks, bold and italic.
+ * @param {string} html - richContent
+ * @returns {Array<Object>} [{ type, runs: [{ text, bold, italic }] }]
+ */
+function parseRichContent(html) {
+  const blocks = [];
+  let block = null;
+  let bold = 0;
+  let italic = 0;
+  let listDepth = 0;
+  const listCounters = [];
+
+  const startBlock = (type) => {
+    block = { type, runs: [], depth: listDepth };
+    blocks.push(block);
+  };
+  const endBlock = () => {
+    block = null;
+  };
+
+  const tokenPattern = /<\/?([a-zA-Z0-9]+)[^>]*>|([^<]+)/g;
+  let match;
+  while ((match = tokenPattern.exec(html))) {
+    if (match[2] !== undefined) {
+      const text = decodeEntities(match[2]).replace(/\s+/g, " ");
+      if (!text.trim() && !block) continue;
+      if (!block) startBlock("p");
+      block.runs.push({ text, bold: bold > 0, italic: italic > 0 });
+      continue;
+    }
+
+    const tag = match[1].toLowerCase();
+    const closing = match[0].startsWith("</");
+
+    if (tag === "b" || tag === "strong") bold += closing ? -1 : 1;
+    else if (tag === "i" || tag === "em") italic += closing ? -1 : 1;
+    else if (tag === "br") {
+      if (!block) startBlock("p");
+      block.runs.push({ text: "\n", bold: false, italic: false });
+    } else if (tag === "ul" || tag === "ol") {
+      endBlock();
+      if (closing) {
+        listDepth = Math.max(0, listDepth - 1);
+        listCounters.pop();
+      } else {
+        listDepth += 1;
+        listCounters.push(tag === "ol" ? 0 : null);
+      }
+    } else if (BLOCK_TAGS.has(tag)) {
+      endBlock();
+      if (!closing) {
+        startBlock(tag);
+        if (tag === "li") {
+          const counterIndex = listCounters.length - 1;
+          if (counterIndex >= 0 && listCounters[counterIndex] !== null) {
+            listCounters[counterIndex] += 1;
+            block.marker = `${listCounters[counterIndex]}.`;
+          } else {
+            block.marker = "•";
+          }
+        }
+      }
+    }
+    bold = Math.max(0, bold);
+    italic = Math.max(0, italic);
+  }
+
+  return blocks
+    .map((item) => ({
+      ...item,
+      runs: item.runs
+        .map((run, index) =>
+          index === 0 ? { ...run, text: run.text.replace(/^ +/, "") } : run
+        )
+        .filter((run) => run.text.length > 0),
+    }))
+    .filter((item) => item.runs.some((run) => run.text.trim()));
+}
+
+function plainTextBlocks(text) {
+  return String(text || "")
+    .split(/\r?\n\s*\r?\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => ({
+      type: "p",
+      depth: 0,
+      runs: [{ text: paragraph, bold: false, italic: false }],
+    }));
+}
+
+// Ask Cloudinary for a JPEG of the right size (and grey when needed).
+// Backgrounds from anywhere else are skipped: the server fetches this URL,
+// so it must not point at hosts of the caller's choosing.
+function backgroundImageUrl(imageUrl, settings) {
+  const url = String(imageUrl).replace(/\\/g, "/");
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return null;
+  }
+  if (
+    parsed.protocol !== "https:" ||
+    parsed.hostname !== CLOUDINARY_HOST ||
+    !parsed.pathname.includes("/upload/")
+  ) {
+    return null;
+  }
+  const transformations = [
+    `w_${IMAGE_WIDTHS[settings.printQuality] || IMAGE_WIDTHS.Standard}`,
+    "f_jpg",
+  ];
+  if (settings.grayscale) transformations.push("e_grayscale");
+  return url.replace("/upload/", `/upload/${transformations.join(",")}/`);
+}
+
+async function loadBackgroundImage(imageUrl, settings) {
+  const url = imageUrl && backgroundImageUrl(imageUrl, settings);
+  if (!url) return null;
+  try {
+    const response = await axios.get(url, {
+      responseType: "arraybuffer",
+      timeout: BACKGROUND_TIMEOUT_MS,
+    });
+    return Buffer.from(response.data);
+  } catch (err) {
+    console.warn("[PRINT] Could not load template background:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Normalise stored or requested print settings.
+ * @param {Object} settings - { paperSize, printQuality, colorOptions, copies }
+ * @returns {Object}
+ */
+function resolvePrintSettings(settings = {}) {
+  const copies = Number.parseInt(settings.copies, 10);
+  return {
+    paperSize: PAPER_SIZES[settings.paperSize] ? settings.paperSize : "A4",
+    printQuality: IMAGE_WIDTHS[settings.printQuality]
+      ? settings.printQuality
+      : "Standard",
+    grayscale: settings.colorOptions === "Black and White",
+    copies: Math.min(MAX_COPIES, Math.max(1, copies || 1)),
+  };
+}
+
+/**
+ * Render a journal entry as a PDF.
+ * @param {Object} journal - Decrypted journal
+ * @param {Object} options - { settings, template, author }
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderJournalPdf = async (journal, options = {}) => {
+  const settings = resolvePrintSettings(options.settings);
+  const color = (hex) => (settings.grayscale ? toGray(hex) : hex);
+  const background = options.template
+    ? await loadBackgroundImage(options.template.imageUrl, settings)
+    : null;
+
+  const doc = new PDFDocument({
+    size: PAPER_SIZES[settings.paperSize],
+    margins: { top: 72, bottom: 72, left: 60, right: 60 },
+    bufferPages: true,
+    autoFirstPage: false,
+    info: {
+      Title: journal.title || "Journal Entry",
+      Author: options.author || "Everquill",
+      Creator: "Everquill",
+    },
+  });
+  doc.registerFont("regular", FONTS.regular);
+  doc.registerFont("bold", FONTS.bold);
+  doc.registerFont("italic", FONTS.italic);
+  doc.registerFont("boldItalic", FONTS.boldItalic);
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  doc.on("pageAdded", () => {
+    if (background) {
+      try {
+        doc.image(background, 0, 0, {
+          width: doc.page.width,
+          height: doc.page.height,
+        });
+        // Keep the text readable over busy backgrounds
+        doc
+          .save()
+          .fillColor("#FFFFFF")
+          .fillOpacity(0.82)
+          .rect(36, 48, doc.page.width - 72, doc.page.height - 96)
+          .fill()
+          .restore();
+      } catch (err) {
+        // Unsupported image format; print without it
+      }
+    }
+    doc.x = doc.page.margins.left;
+    doc.y = doc.page.margins.top;
+  });
+
+  const width = () =>
+    doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const dateText = new Date(journal.createdAt).toLocaleDateString("vi-VN", {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+  const blocks = journal.richContent
+    ? parseRichContent(journal.richContent)
+    : plainTextBlocks(journal.content);
+
+  const headingSizes = { h1: 20, h2: 17, h3: 15, h4: 13, h5: 12, h6: 12 };
+
+  // First page index of each copy, so page numbers restart per copy
+  const copyStarts = [];
+  for (let copy = 0; copy < settings.copies; copy += 1) {
+    copyStarts.push(doc.bufferedPageRange().count);
+    doc.addPage();
+
+    doc
+      .font("bold")
+      .fontSize(22)
+      .fillColor(color(COLORS.title))
+      .text(journal.title || "Untitled Entry", { align: "center" });
+    doc
+      .moveDown(0.3)
+      .font("regular")
+      .fontSize(10)
+      .fillColor(color(COLORS.muted))
+      .text(dateText, { align: "center" });
+
+    const meta = [];
+    if (journal.mood) meta.push(`Mood: ${journal.mood}`);
+    if (journal.tags && journal.tags.length > 0) {
+      meta.push(`Tags: ${journal.tags.join(", ")}`);
+    }
+    if (meta.length > 0) {
+      doc.moveDown(0.3).text(meta.join("   •   "), { align: "center" });
+    }
+
+    doc.moveDown(0.8);
+    doc
+      .moveTo(doc.page.margins.left, doc.y)
+      .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+      .lineWidth(1.5)
+      .strokeColor(color(COLORS.accent))
+      .stroke();
+    doc.moveDown(1);
+
+    blocks.forEach((block) => {
+      const size = headingSizes[block.type] || 11.5;
+      const indent = block.marker ? 14 * Math.max(1, block.depth) : 0;
+      const isQuote = block.type === "blockquote";
+      const x = doc.page.margins.left + indent + (isQuote ? 12 : 0);
+      const options = {
+        width: width() - indent - (isQuote ? 12 : 0),
+        lineGap: 3,
+        align: "left",
+      };
+
+      doc.fontSize(size).fillColor(color(COLORS.text));
+      if (block.marker) {
+        doc.font("regular").text(`${block.marker} `, x - 12, doc.y, {
+          continued: true,
+        });
+      } else {
+        doc.x = x;
+      }
+
+      block.runs.forEach((run, index) => {
+        const heading = Boolean(headingSizes[block.type]);
+        const font =
+          (run.bold || heading) && (run.italic || isQuote)
+            ? "boldItalic"
+            : run.bold || heading
+            ? "bold"
+            : run.italic || isQuote
+            ? "italic"
+            : "regular";
+        doc.font(font).text(run.text, {
+          ...options,
+          continued: index < block.runs.length - 1,
+        });
+      });
+      doc.x = doc.page.margins.left;
+      doc.moveDown(headingSizes[block.type] ? 0.4 : 0.6);
+    });
+  }
+
+  // Headers and footers once the page count is known
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i += 1) {
+    const copy = copyStarts.filter((start) => start <= i).length - 1;
+    const copyStart = copyStarts[copy];
+    const copyEnd =
+      copy + 1 < copyStarts.length ? copyStarts[copy + 1] : range.count;
+    doc.switchToPage(i);
+    const { margins } = doc.page;
+    const bottom = margins.bottom;
+    // Drawing inside the margins must not trigger a page break
+    doc.page.margins = { ...margins, top: 0, bottom: 0 };
+
+    doc
+      .font("regular")
+      .fontSize(8)
+      .fillColor(color(COLORS.muted))
+      .text(
+        `${journal.title || "Journal Entry"} — ${dateText}`,
+        margins.left,
+        36,
+        { width: width(), align: "left", lineBreak: false, ellipsis: true }
+      );
+    doc.text(
+      `Everquill • Page ${i - copyStart + 1} of ${copyEnd - copyStart}`,
+      margins.left,
+      doc.page.height - bottom + 24,
+      { width: width(), align: "center", lineBreak: false }
+    );
+
+    doc.page.margins = margins;
+  }
+
+  doc.end();
+  return finished;
+};
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Rebuilt from the parsed blocks so only the editor's formatting reaches the page
+function blockToHtml(block) {
+  const runs = block.runs
+    .map((run) => {
+      let html = escapeHtml(run.text).replace(/\n/g, "<br>");
+      if (run.bold) html = `<strong>${html}</strong>`;
+      if (run.italic) html = `<em>${html}</em>`;
+      return html;
+    })
+    .join("");
+  if (block.marker) {
+    const indent = 14 * Math.max(1, block.depth);
+    return `<p class="item" style="margin-left:${indent}pt"><span class="marker">${escapeHtml(
+      block.marker
+    )}</span> ${runs}</p>`;
+  }
+  return `<${block.type}>${runs}</${block.type}>`;
+}
+
+/**
+ * Render a journal entry as a standalone HTML page for printing from the
+ * browser. Uses the same settings and layout as the PDF.
+ * @param {Object} journal - Decrypted journal
+ * @param {Object} options - { settings, template, author }
+ * @returns {string} HTML document
+ */
+const renderJournalHtml = (journal, options = {}) => {
+  const settings = resolvePrintSettings(options.settings);
+  const color = (hex) => (settings.grayscale ? toGray(hex) : hex);
+  const background =
+    options.template && options.template.imageUrl
+      ? backgroundImageUrl(options.template.imageUrl, settings)
+      : null;
+  const title = escapeHtml(journal.title || "Untitled Entry");
+  const dateText = new Date(journal.createdAt).toLocaleDateString("vi-VN", {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+  const blocks = journal.richContent
+    ? parseRichContent(journal.richContent)
+    : plainTextBlocks(journal.content);
+
+  const meta = [];
+  if (journal.mood) meta.push(`Mood: ${escapeHtml(journal.mood)}`);
+  if (journal.tags && journal.tags.length > 0) {
+    meta.push(`Tags: ${escapeHtml(journal.tags.join(", "))}`);
+  }
+
+  const page = `<section class="page">
+<h1 class="title">${title}</h1>
+<div class="meta">${escapeHtml(dateText)}</div>
+${meta.length > 0 ? `<div class="meta">${meta.join("   •   ")}</div>` : ""}
+<hr>
+${blocks.map(blockToHtml).join("\n")}
+</section>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<meta name="author" content="${escapeHtml(options.author || "Everquill")}">
+<title>${escapeHtml(journal.title || "Journal Entry")} - Everquill</title>
+<style>
+@page { size: ${settings.paperSize}; margin: 0; }
+body { margin: 0; font-family: "DejaVu Sans", Arial, sans-serif; color: ${color(
+    COLORS.text
+  )}; line-height: 1.5; }
+.page { position: relative; box-sizing: border-box; min-height: 100vh; padding: 72px 60px; page-break-after: always; }
+.page:last-child { page-break-after: auto; }
+${
+  background
+    ? `.page { background: url("${escapeHtml(
+        background
+      )}") center / cover no-repeat; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+.page::before { content: ""; position: absolute; inset: 48px 36px; background: rgba(255, 255, 255, 0.82); z-index: 0; }
+.page > * { position: relative; z-index: 1; }`
+    : ""
+}
+.title { color: ${color(
+    COLORS.title
+  )}; font-size: 22pt; text-align: center; margin: 0 0 6pt; }
+.meta { color: ${color(
+    COLORS.muted
+  )}; font-size: 10pt; text-align: center; margin-bottom: 4pt; }
+hr { border: 0; border-top: 1.5pt solid ${color(
+    COLORS.accent
+  )}; margin: 12pt 0 18pt; }
+p, li, blockquote, pre { font-size: 11.5pt; margin: 0 0 8pt; }
+blockquote { font-style: italic; margin-left: 12pt; }
+.marker { display: inline-block; min-width: 12pt; }
+</style>
+</head>
+<body>
+${Array.from({ length: settings.copies }, () => page).join("\n")}
+</body>
+</html>`;
+};
+
+module.exports = {
+  PAPER_SIZES,
+  resolvePrintSettings,
+  renderJournalPdf,
+  renderJournalHtml,
+};
@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+const Journal = require("../models/Journal");
+const AIAnalysis = require("../models/AIAnalysis");
+const JournalRevision = require("../models/JournalRevision");
+const { getTrashCutoff } = require("./softDelete");
+
+/**
+ * Move a journal and its AI analyses to the trash.
+ * @param {ObjectId} userId - Owner
+ * @param {string} journalId - Journal to trash
+ * @returns {Promise<Object|null>} Trashed journal, or null if not found
+ */
+const trashJournal = async (userId, journalId) => {
+  if (!mongoose.Types.ObjectId.isValid(journalId)) return null;
+  const deletedAt = new Date();
+  const journal = await Journal.findOneAndUpdate(
+    { _id: journalId, userId },
+    { $set: { deletedAt } },
+    { new: true }
+  );
+  if (!journal) return null;
+
+  // Same timestamp so restore only brings back what was trashed with the journal
+  await AIAnalysis.updateMany(
+    { journalId: journal._id, userId },
+    { $set: { deletedAt } }
+  );
+  return journal;
+};
+
+/**
+ * Bring a trashed journal back together with the analyses trashed alongside it.
+ * @param {ObjectId} userId - Owner
+ * @param {string} journalId - Trashed journal
+ * @returns {Promise<Object|null>} Restored journal, or null if not in the trash
+ */
+const restoreJournal = async (userId, journalId) => {
+  if (!mongoose.Types.ObjectId.isValid(journalId)) return null;
+  const trashed = await Journal.findOne({
+    _id: journalId,
+    userId,
+    deletedAt: { $ne: null, $gt: getTrashCutoff() },
+  });
+  if (!trashed) return null;
+
+  await AIAnalysis.updateMany(
+    { journalId: trashed._id, userId, deletedAt: trashed.deletedAt },
+    { $set: { deletedAt: null } }
+  );
+  return Journal.findOneAndUpdate(
+    { _id: trashed._id, userId, deletedAt: trashed.deletedAt },
+    { $set: { deletedAt: null } },
+    { new: true }
+  );
+};
+
+/**
+ * Permanently delete journals trashed more than TRASH_RETENTION_DAYS ago,
+ * together with their analyses and revisions.
+ */
+const purgeExpiredTrash = async () => {
+  try {
+    const cutoff = getTrashCutoff();
+    const expired = await Journal.find({
+      deletedAt: { $ne: null, $lte: cutoff },
+    })
+      .select("_id")
+      .lean();
+    const journalIds = expired.map((journal) => journal._id);
+
+    if (journalIds.length > 0) {
+      await AIAnalysis.deleteMany({ journalId: { $in: journalIds } });
+      await JournalRevision.deleteMany({ journalId: { $in: journalIds } });
+      await Journal.deleteMany({ _id: { $in: journalIds } });
+    }
+
+    console.log(
+      `🗑️ Trash purge completed. Removed ${journalIds.length} journals.`
+    );
+  } catch (error) {
+    console.error("❌ Error purging trash:", error);
+  }
+};
+
+/**
+ * Initialize the daily trash purge
+ * Call this once when server starts
+ */
+const initTrashPurgeScheduler = () => {
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, 24 * 60 * 60 * 1000);
+  console.log("🚀 Trash purge scheduler initialized");
+};
+
+module.exports = {
+  trashJournal,
+  restoreJournal,
+  purgeExpiredTrash,
+  initTrashPurgeScheduler,
+};
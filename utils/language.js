@@ -0,0 +1,217 @@
+// Used when a text is too short or neutral to tell (most users write Vietnamese)
+const DEFAULT_LANGUAGE = "vi";
+
+/**
+ * Languages the app can detect and answer in. To add one, add an entry with
+ * its most frequent function words; `letters` is an optional pattern of
+ * characters only that language uses.
+ */
+const LANGUAGES = {
+  vi: {
+    name: "Vietnamese",
+    nativeName: "Tiếng Việt",
+    stopwords: [
+      "tôi",
+      "mình",
+      "em",
+      "anh",
+      "chị",
+      "bạn",
+      "của",
+      "và",
+      "là",
+      "có",
+      "không",
+      "được",
+      "những",
+      "các",
+      "một",
+      "này",
+      "đó",
+      "cho",
+      "với",
+      "để",
+      "trong",
+      "khi",
+      "thì",
+      "mà",
+      "nhưng",
+      "cũng",
+      "đã",
+      "đang",
+      "sẽ",
+      "rất",
+      "quá",
+      "lắm",
+      "nữa",
+      "vẫn",
+      "còn",
+      "ngày",
+      "hôm",
+      "nay",
+      "thấy",
+      "cảm",
+      "muốn",
+      "người",
+      "gì",
+      "nào",
+      "lại",
+      "ra",
+      "vào",
+      "đi",
+      "nhiều",
+      "chưa",
+      // Common words typed without diacritics
+      "toi",
+      "minh",
+      "khong",
+      "duoc",
+      "nhung",
+      "cung",
+      "dang",
+      "rat",
+      "qua",
+      "hom",
+      "thay",
+      "cam",
+      "muon",
+      "nguoi",
+      "voi",
+    ],
+    letters: /[ăâđêôơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịĩọỏốồổỗộớờởỡợụủũứừửữựỳỵỷỹ]/u,
+  },
+  en: {
+    name: "English",
+    nativeName: "English",
+    stopwords: [
+      "i",
+      "me",
+      "my",
+      "myself",
+      "you",
+      "we",
+      "he",
+      "she",
+      "it",
+      "they",
+      "the",
+      "a",
+      "an",
+      "and",
+      "or",
+      "but",
+      "of",
+      "to",
+      "in",
+      "on",
+      "at",
+      "for",
+      "with",
+      "is",
+      "am",
+      "are",
+      "was",
+      "were",
+      "be",
+      "been",
+      "have",
+      "has",
+      "had",
+      "do",
+      "did",
+      "not",
+      "that",
+      "this",
+      "what",
+      "so",
+      "just",
+      "feel",
+      "felt",
+      "today",
+      "really",
+      "very",
+      "about",
+      "because",
+      "when",
+      "can",
+      "would",
+    ],
+  },
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(LANGUAGES).map(([code, language]) => [
+    code,
+    new Set(language.stopwords),
+  ])
+);
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+const isSupportedLanguage = (code) => SUPPORTED_LANGUAGES.includes(code);
+
+/**
+ * Score text against each language: the share of its words that are
+ * function words of that language, plus words using letters unique to it.
+ * @param {string} text - Plain text or HTML
+ * @returns {Object} { language: code|null, confidence: 0-1, scores }
+ */
+const detectLanguage = (text) => {
+  const words =
+    String(text || "")
+      .replace(/<[^>]*>/g, " ")
+      .normalize("NFC")
+      .toLowerCase()
+      .match(/\p{L}+/gu) || [];
+
+  const scores = {};
+  SUPPORTED_LANGUAGES.forEach((code) => {
+    const { letters } = LANGUAGES[code];
+    const hits = words.filter(
+      (word) => STOPWORD_SETS[code].has(word) || (letters && letters.test(word))
+    ).length;
+    scores[code] = words.length > 0 ? hits / words.length : 0;
+  });
+
+  const [best, second] = SUPPORTED_LANGUAGES.slice().sort(
+    (a, b) => scores[b] - scores[a]
+  );
+  if (scores[best] === 0) return { language: null, confidence: 0, scores };
+
+  const runnerUp = second ? scores[second] : 0;
+  return {
+    language: best,
+    confidence: Number(((scores[best] - runnerUp) / scores[best]).toFixed(2)),
+    scores,
+  };
+};
+
+/**
+ * Language to answer in: the user's preference when set, otherwise the
+ * language detected in the text, otherwise DEFAULT_LANGUAGE.
+ * @param {string} text - Text the user wrote
+ * @param {string} preferredLanguage - User.preferredLanguage (optional)
+ * @returns {string} Language code
+ */
+const resolveLanguage = (text, preferredLanguage) => {
+  if (isSupportedLanguage(preferredLanguage)) return preferredLanguage;
+  return detectLanguage(text).language || DEFAULT_LANGUAGE;
+};
+
+// English name for prompts, e.g. "Vietnamese (Tiếng Việt)"
+const getLanguageLabel = (code) => {
+  const language = LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+  return language.name === language.nativeName
+    ? language.name
+    : `${language.name} (${language.nativeName})`;
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  SUPPORTED_LANGUAGES,
+  isSupportedLanguage,
+  detectLanguage,
+  resolveLanguage,
+  getLanguageLabel,
+};
@@ -0,0 +1,100 @@
+const User = require("../models/User");
+const { sendAccountLockedEmail } = require("./mailer");
+
+// Failed sign-ins in a row before the account is locked
+const MAX_FAILED_LOGINS = 5;
+// First lock; each further lock without a successful sign-in in between
+// doubles it, up to a day
+const BASE_LOCK_MINUTES = 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+// Once the last lock ended this long ago, the next one starts from
+// BASE_LOCK_MINUTES again
+const LOCKOUT_RESET_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Seconds until a locked account can sign in again, or 0.
+ * @param {Object} user - User document
+ * @returns {number}
+ */
+const getLockRemainingSeconds = (user) => {
+  if (!user.lockedUntil) return 0;
+  return Math.max(
+    0,
+    Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000)
+  );
+};
+
+// Locks that still count towards doubling the next one
+function recentLockouts(user) {
+  if (!user.lockoutCount || !user.lockedUntil) return 0;
+  const endedAgo = Date.now() - user.lockedUntil.getTime();
+  return endedAgo > LOCKOUT_RESET_MS ? 0 : user.lockoutCount;
+}
+
+/**
+ * Count a failed sign-in (wrong password or second factor). The fifth in a
+ * row locks the account and emails the owner.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { lockedUntil } when this attempt locked the account, else {}
+ */
+const recordFailedLogin = async (user) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < MAX_FAILED_LOGINS) return {};
+
+  const previousLocks = recentLockouts(updated);
+  const minutes = Math.min(
+    BASE_LOCK_MINUTES * 2 ** previousLocks,
+    MAX_LOCK_MINUTES
+  );
+  const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+  // Only one of several concurrent failures applies the lock
+  const result = await User.updateOne(
+    { _id: user._id, failedLoginAttempts: { $gte: MAX_FAILED_LOGINS } },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lockedUntil,
+        lockoutCount: previousLocks + 1,
+      },
+    }
+  );
+  if (result.modifiedCount === 0) return {};
+
+  console.warn(
+    `⚠️ Account ${user._id} locked for ${minutes} minutes after ${MAX_FAILED_LOGINS} failed sign-ins`
+  );
+  try {
+    await sendAccountLockedEmail(user.email, minutes);
+  } catch (err) {
+    console.error("Error sending account locked email:", err.message);
+  }
+  return { lockedUntil };
+};
+
+/**
+ * Forget failed sign-ins after a successful sign-in or password reset.
+ * @param {Object} user - User document
+ */
+const clearFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockedUntil && !user.lockoutCount) {
+    return;
+  }
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { failedLoginAttempts: 0, lockoutCount: 0 },
+      $unset: { lockedUntil: "" },
+    }
+  );
+};
+
+module.exports = {
+  MAX_FAILED_LOGINS,
+  getLockRemainingSeconds,
+  recordFailedLogin,
+  clearFailedLogins,
+};
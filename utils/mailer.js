@@ -302,4 +302,282 @@ You can reply directly to this email to respond to the user.
     });
 }
 
-module.exports = { sendVerificationEmail, sendContactNotification };
+// Function to send the code that confirms an account deletion request
+function sendAccountDeletionCode(to, code) {
+  const html = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Confirm Account Deletion</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f8f9fa;">
+      <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">
+
+        <!-- Header -->
+        <div style="background: linear-gradient(135deg, #6f5aa7 0%, #8e7ec1 100%); padding: 30px 20px; text-align: center;">
+          <h1 style="color: #ffffff; margin: 0; font-size: 26px; font-weight: 700;">
+            Confirm Account Deletion
+          </h1>
+        </div>
+
+        <!-- Main Content -->
+        <div style="padding: 40px 30px; text-align: center;">
+          <p style="color: #495057; font-size: 18px; line-height: 1.6; margin: 0 0 25px 0;">
+            We received a request to delete your Everquill account. Enter this code to confirm:
+          </p>
+          <div style="background: linear-gradient(135deg, #6f5aa7 0%, #8e7ec1 100%); color: #ffffff; font-size: 32px; font-weight: 700; padding: 20px; border-radius: 8px; letter-spacing: 3px; font-family: 'Courier New', monospace;">
+            ${code}
+          </div>
+          <p style="color: #6c757d; font-size: 16px; line-height: 1.5; margin: 20px 0 0 0;">
+            ⏰ This code will expire in <strong style="color: #dc3545;">10 minutes</strong>
+          </p>
+
+          <!-- Security Notice -->
+          <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 15px; margin: 20px 0;">
+            <p style="color: #856404; margin: 0; font-size: 14px; line-height: 1.5;">
+              🔒 If you did not request this, ignore this email and consider changing your password. Your account will not be deleted without this code.
+            </p>
+          </div>
+        </div>
+
+        <!-- Footer -->
+        <div style="background: #f8f9fa; padding: 25px 30px; text-align: center; border-top: 1px solid #e9ecef;">
+          <p style="color: #6c757d; margin: 0; font-size: 12px;">
+            © 2024 Everquill. All rights reserved.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Confirm Account Deletion
+
+We received a request to delete your Everquill account. Enter this code to confirm:
+
+${code}
+
+⏰ This code will expire in 10 minutes.
+
+🔒 If you did not request this, ignore this email and consider changing your password. Your account will not be deleted without this code.
+
+© 2024 Everquill. All rights reserved.
+  `;
+
+  const fromAddr = process.env.SMTP_USER || "noreply@everquill.com";
+
+  return transporter
+    .sendMail({
+      from: `"Everquill Team" <${fromAddr}>`,
+      to: to,
+      subject: "Everquill - Confirm Account Deletion",
+      html: html,
+      text: text,
+      headers: {
+        "X-Mailer": "Everquill",
+        "Reply-To": "support@everquill.com",
+      },
+    })
+    .then((info) => {
+      console.log("[SMTP] Account deletion code sent to:", to);
+      return info;
+    })
+    .catch((err) => {
+      console.error(
+        "[SMTP] Failed to send email to:",
+        to,
+        "Error:",
+        err.message
+      );
+      throw err;
+    });
+}
+
+// Function to send a password reset code
+function sendPasswordResetEmail(to, code) {
+  const html = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Reset Your Password</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f8f9fa;">
+      <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">
+
+        <!-- Header -->
+        <div style="background: linear-gradient(135deg, #6f5aa7 0%, #8e7ec1 100%); padding: 30px 20px; text-align: center;">
+          <h1 style="color: #ffffff; margin: 0; font-size: 26px; font-weight: 700;">
+            🔑 Reset Your Password
+          </h1>
+        </div>
+
+        <!-- Main Content -->
+        <div style="padding: 40px 30px; text-align: center;">
+          <p style="color: #495057; font-size: 18px; line-height: 1.6; margin: 0 0 25px 0;">
+            We received a request to reset the password of your Everquill account. Enter this code to choose a new password:
+          </p>
+          <div style="background: linear-gradient(135deg, #6f5aa7 0%, #8e7ec1 100%); color: #ffffff; font-size: 32px; font-weight: 700; padding: 20px; border-radius: 8px; letter-spacing: 3px; font-family: 'Courier New', monospace;">
+            ${code}
+          </div>
+          <p style="color: #6c757d; font-size: 16px; line-height: 1.5; margin: 20px 0 0 0;">
+            ⏰ This code will expire in <strong style="color: #dc3545;">10 minutes</strong>
+          </p>
+
+          <!-- Security Notice -->
+          <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 15px; margin: 20px 0;">
+            <p style="color: #856404; margin: 0; font-size: 14px; line-height: 1.5;">
+              🔒 If you did not request a password reset, ignore this email; your password stays the same. Never share this code with anyone.
+            </p>
+          </div>
+        </div>
+
+        <!-- Footer -->
+        <div style="background: #f8f9fa; padding: 25px 30px; text-align: center; border-top: 1px solid #e9ecef;">
+          <p style="color: #6c757d; margin: 0; font-size: 12px;">
+            © 2024 Everquill. All rights reserved.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+🔑 Reset Your Password
+
+We received a request to reset the password of your Everquill account. Enter this code to choose a new password:
+
+${code}
+
+⏰ This code will expire in 10 minutes.
+
+🔒 If you did not request a password reset, ignore this email; your password stays the same. Never share this code with anyone.
+
+© 2024 Everquill. All rights reserved.
+  `;
+
+  const fromAddr = process.env.SMTP_USER || "noreply@everquill.com";
+
+  return transporter
+    .sendMail({
+      from: `"Everquill Team" <${fromAddr}>`,
+      to: to,
+      subject: "Everquill - Reset Your Password",
+      html: html,
+      text: text,
+      headers: {
+        "X-Mailer": "Everquill",
+        "Reply-To": "support@everquill.com",
+      },
+    })
+    .then((info) => {
+      console.log("[SMTP] Password reset code sent to:", to);
+      return info;
+    })
+    .catch((err) => {
+      console.error(
+        "[SMTP] Failed to send email to:",
+        to,
+        "Error:",
+        err.message
+      );
+      throw err;
+    });
+}
+
+// Function to tell a user their account was locked after failed sign-ins
+function sendAccountLockedEmail(to, minutes) {
+  const html = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Account Temporarily Locked</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f8f9fa;">
+      <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">
+
+        <!-- Header -->
+        <div style="background: linear-gradient(135deg, #6f5aa7 0%, #8e7ec1 100%); padding: 30px 20px; text-align: center;">
+          <h1 style="color: #ffffff; margin: 0; font-size: 26px; font-weight: 700;">
+            🔒 Account Temporarily Locked
+          </h1>
+        </div>
+
+        <!-- Main Content -->
+        <div style="padding: 40px 30px; text-align: center;">
+          <p style="color: #495057; font-size: 18px; line-height: 1.6; margin: 0 0 25px 0;">
+            There were several failed attempts to sign in to your Everquill account, so sign-in is paused for <strong>${minutes} minutes</strong>.
+          </p>
+
+          <!-- Security Notice -->
+          <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 15px; margin: 20px 0;">
+            <p style="color: #856404; margin: 0; font-size: 14px; line-height: 1.5;">
+              If this was not you, someone may be trying to guess your password. Reset your password to unlock your account now, and consider turning on two-factor authentication.
+            </p>
+          </div>
+        </div>
+
+        <!-- Footer -->
+        <div style="background: #f8f9fa; padding: 25px 30px; text-align: center; border-top: 1px solid #e9ecef;">
+          <p style="color: #6c757d; margin: 0; font-size: 12px;">
+            © 2024 Everquill. All rights reserved.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+🔒 Account Temporarily Locked
+
+There were several failed attempts to sign in to your Everquill account, so sign-in is paused for ${minutes} minutes.
+
+If this was not you, someone may be trying to guess your password. Reset your password to unlock your account now, and consider turning on two-factor authentication.
+
+© 2024 Everquill. All rights reserved.
+  `;
+
+  const fromAddr = process.env.SMTP_USER || "noreply@everquill.com";
+
+  return transporter
+    .sendMail({
+      from: `"Everquill Team" <${fromAddr}>`,
+      to: to,
+      subject: "Everquill - Account Temporarily Locked",
+      html: html,
+      text: text,
+      headers: {
+        "X-Mailer": "Everquill",
+        "Reply-To": "support@everquill.com",
+      },
+    })
+    .then((info) => {
+      console.log("[SMTP] Account locked notice sent to:", to);
+      return info;
+    })
+    .catch((err) => {
+      console.error(
+        "[SMTP] Failed to send email to:",
+        to,
+        "Error:",
+        err.message
+      );
+      throw err;
+    });
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendContactNotification,
+  sendAccountDeletionCode,
+};
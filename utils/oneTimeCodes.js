@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const OneTimeCode = require("../models/OneTimeCode");
+
+// Emails say codes expire in 10 minutes
+const CODE_TTL_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const CODE_LENGTH = 6;
+// No 0/O or 1/I, which are easy to mistype
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const CODE_ERROR_MESSAGES = {
+  invalid: "Invalid code",
+  expired: "Code expired or not requested. Please request a new one.",
+  too_many_attempts: "Too many wrong attempts. Please request a new code.",
+};
+
+function generateCode() {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Keyed with a server secret: six characters are too few to survive a plain
+// hash if the database leaks
+function hashCode(userId, purpose, code) {
+  return crypto
+    .createHmac(
+      "sha256",
+      process.env.ONE_TIME_CODE_SECRET || process.env.JWT_SECRET || "secret"
+    )
+    .update(`${userId}:${purpose}:${String(code).trim().toUpperCase()}`)
+    .digest("hex");
+}
+
+/**
+ * Create a code for a user, replacing any earlier code with the same purpose.
+ * @param {ObjectId} userId - User
+ * @param {string} purpose - OneTimeCode.purpose
+ * @param {Object} options
+ * @param {string} options.target - Address being confirmed (email change)
+ * @returns {Promise<Object>} { code, expiresAt } or { error: "cooldown", retryAfter } (seconds)
+ */
+const issueCode = async (userId, purpose, options = {}) => {
+  const existing = await OneTimeCode.findOne({ userId, purpose });
+  if (existing) {
+    const waitMs =
+      existing.sentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000 - Date.now();
+    if (waitMs > 0) {
+      return { error: "cooldown", retryAfter: Math.ceil(waitMs / 1000) };
+    }
+  }
+
+  const code = generateCode();
+  const expiresAt = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000);
+  await OneTimeCode.findOneAndUpdate(
+    { userId, purpose },
+    {
+      $set: {
+        codeHash: hashCode(userId, purpose, code),
+        target: options.target,
+        attempts: 0,
+        expiresAt,
+        sentAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+  return { code, expiresAt };
+};
+
+/**
+ * Check a code. A correct code is used up; every wrong guess counts, and
+ * after MAX_ATTEMPTS the code stops working even if it is right.
+ * @param {ObjectId} userId - User
+ * @param {string} purpose - OneTimeCode.purpose
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<Object>} { target } or { error: "invalid" | "expired" | "too_many_attempts" }
+ */
+const consumeCode = async (userId, purpose, code) => {
+  // Counting the attempt before comparing stops parallel guesses
+  const record = await OneTimeCode.findOneAndUpdate(
+    {
+      userId,
+      purpose,
+      attempts: { $lt: MAX_ATTEMPTS },
+      expiresAt: { $gt: new Date() },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!record) {
+    const exhausted = await OneTimeCode.exists({
+      userId,
+      purpose,
+      expiresAt: { $gt: new Date() },
+    });
+    return { error: exhausted ? "too_many_attempts" : "expired" };
+  }
+
+  const expected = Buffer.from(record.codeHash, "hex");
+  const actual = Buffer.from(hashCode(userId, purpose, code || ""), "hex");
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return {
+      error: record.attempts >= MAX_ATTEMPTS ? "too_many_attempts" : "invalid",
+    };
+  }
+
+  await OneTimeCode.deleteOne({ _id: record._id });
+  return { target: record.target };
+};
+
+/**
+ * Forget a user's codes for a purpose, e.g. once an email is verified.
+ * @param {ObjectId} userId - User
+ * @param {string} purpose - OneTimeCode.purpose
+ */
+const discardCodes = async (userId, purpose) => {
+  await OneTimeCode.deleteMany({ userId, purpose });
+};
+
+module.exports = {
+  CODE_TTL_MINUTES,
+  RESEND_COOLDOWN_SECONDS,
+  CODE_ERROR_MESSAGES,
+  issueCode,
+  consumeCode,
+  discardCodes,
+};
@@ -0,0 +1,337 @@
+const crypto = require("crypto");
+const Notification = require("../models/Notification");
+const SafetyEvent = require("../models/SafetyEvent");
+const { detectUserLanguage } = require("./aiService");
+
+// At most one safety notification per user in this window; repeated
+// detections (e.g. autosaves of the same entry) still return resources
+const NOTIFICATION_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+// Phrases are matched on lowercased text with diacritics kept, since
+// Vietnamese without them is ambiguous ("tự tử" vs "từ từ").
+const LEXICON = [
+  {
+    category: "suicidal_ideation",
+    level: "high",
+    patterns: [
+      "kill myself",
+      "killing myself",
+      "end my life",
+      "ending my life",
+      "take my own life",
+      "taking my own life",
+      "suicide",
+      "suicidal",
+      "want to die",
+      "wanna die",
+      "wish i was dead",
+      "wish i were dead",
+      "better off dead",
+      "better off without me",
+      "no reason to live",
+      "(?:don't|dont|do not) want to (?:live|be alive)",
+      "end it all",
+      "tự tử",
+      "tự sát",
+      "muốn chết",
+      "chết đi cho (?:xong|rồi)",
+      "kết thúc cuộc (?:đời|sống) (?:của )?(?:mình|tôi|tao|em)",
+      "kết liễu (?:bản thân|đời mình|mình)",
+      "(?:không|chẳng|chả) muốn sống (?:nữa|tiếp)",
+      "không còn lý do (?:gì )?để sống",
+      "tìm đến cái chết",
+    ],
+  },
+  {
+    category: "self_harm",
+    level: "high",
+    patterns: [
+      "cut myself",
+      "cutting myself",
+      "hurt myself",
+      "hurting myself",
+      "harm myself",
+      "harming myself",
+      "self[- ]harm",
+      "burn myself",
+      "tự làm hại bản thân",
+      "tự làm đau (?:bản thân|mình)",
+      "tự hại",
+      "rạch tay",
+    ],
+  },
+  {
+    category: "hopelessness",
+    level: "medium",
+    patterns: [
+      "hopeless",
+      "no way out",
+      "(?:can't|cant|cannot) go on",
+      "nobody would (?:miss|care about) me",
+      "a burden to everyone",
+      "tuyệt vọng",
+      "vô vọng",
+      "không (?:còn )?lối thoát",
+      "không thể tiếp tục (?:nữa|được nữa)",
+      "là gánh nặng (?:của|cho) (?:mọi người|gia đình)",
+      "không ai cần (?:mình|tôi|em)",
+    ],
+  },
+].map((entry) => ({
+  ...entry,
+  // \p{L} boundaries work for both languages, unlike \b
+  regex: new RegExp(
+    `(?<!\\p{L})(?:${entry.patterns.join("|")})(?!\\p{L})`,
+    "u"
+  ),
+}));
+
+// Crisis lines by region; INTL is used when the region is unknown
+const HOTLINES = {
+  VN: [
+    {
+      name: "Đường dây nóng Ngày Mai (hỗ trợ sức khỏe tinh thần)",
+      phone: "096 306 1414",
+      url: "https://ngaymai.vn",
+    },
+    { name: "Tổng đài quốc gia bảo vệ trẻ em", phone: "111" },
+    { name: "Cấp cứu", phone: "115" },
+  ],
+  US: [
+    {
+      name: "988 Suicide & Crisis Lifeline",
+      phone: "988",
+      url: "https://988lifeline.org",
+    },
+    { name: "Crisis Text Line", phone: "Text HOME to 741741" },
+    { name: "Emergency services", phone: "911" },
+  ],
+  GB: [
+    { name: "Samaritans", phone: "116 123", url: "https://www.samaritans.org" },
+    { name: "Emergency services", phone: "999" },
+  ],
+  INTL: [
+    {
+      name: "Find a Helpline (free, confidential support worldwide)",
+      url: "https://findahelpline.com",
+    },
+    { name: "Local emergency services", phone: "112" },
+  ],
+};
+
+function toPlainText(text) {
+  return String(text || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;|&[a-z]+;|&#\d+;/gi, " ")
+    .replace(/[‘’]/g, "'")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Match text against the crisis lexicon.
+ * @param {string} text - Plain text or HTML
+ * @returns {Object} { level: null|"medium"|"high", categories }
+ */
+const scanText = (text) => {
+  const plain = toPlainText(text);
+  const matches = LEXICON.filter((entry) => entry.regex.test(plain));
+  return {
+    level: highestLevel(matches.map((entry) => entry.level)),
+    categories: matches.map((entry) => entry.category),
+  };
+};
+
+// Keyed with a server secret: a plain hash of the user id would let anyone
+// with database access link events back to accounts
+function subjectHash(userId) {
+  return crypto
+    .createHmac(
+      "sha256",
+      process.env.SAFETY_SUBJECT_SECRET || process.env.JWT_SECRET || "secret"
+    )
+    .update(`safety-subject:${userId}`)
+    .digest("base64");
+}
+
+function highestLevel(levels) {
+  if (levels.includes("high")) return "high";
+  if (levels.includes("medium")) return "medium";
+  return null;
+}
+
+// Whether an earlier scan already covered this detection: same or higher
+// level and no new category
+function isCoveredBy(previous, level, categories) {
+  if (!previous.level) return false;
+  if (level === "high" && previous.level !== "high") return false;
+  return categories.every((category) => previous.categories.includes(category));
+}
+
+/**
+ * Risk signal from an AI analysis result. The lexicon also runs over the
+ * symptoms and concerns the model listed.
+ * @param {string} analysisType - "emotion" or "mental_health"
+ * @param {Object} results - Validated analysis result
+ * @returns {Object} { level, categories }
+ */
+const getAISignal = (analysisType, results) => {
+  if (!results || !results.aiPowered) return { level: null, categories: [] };
+
+  const levels = [];
+  const categories = [];
+  let notes = [];
+
+  if (analysisType === "mental_health") {
+    const risk = results.riskAssessment || {};
+    if (["very_high", "rất cao"].includes(risk.overallRisk)) {
+      levels.push("high");
+    } else if (["high", "cao"].includes(risk.overallRisk)) {
+      levels.push("medium");
+    }
+    const depression = results.depressionIndicators || {};
+    if (["severe", "nghiêm trọng"].includes(depression.level)) {
+      levels.push("medium");
+      categories.push("hopelessness");
+    }
+    notes = [...(risk.immediateConcerns || []), ...(depression.symptoms || [])];
+  } else {
+    const indicators = results.mentalHealthIndicators || {};
+    if (["high", "cao"].includes(indicators.riskLevel)) levels.push("medium");
+  }
+
+  const fromNotes = scanText(notes.join("\n"));
+  if (fromNotes.level) levels.push(fromNotes.level);
+
+  return {
+    level: highestLevel(levels),
+    categories: [...categories, ...fromNotes.categories],
+  };
+};
+
+/**
+ * Region for hotline resources: the Accept-Language region subtag
+ * ("vi-VN" -> VN), else VN for Vietnamese text, else INTL.
+ * @param {Object} req - Express request (optional)
+ * @param {string} language - Detected content language
+ * @returns {string} Key of HOTLINES
+ */
+const resolveRegion = (req, language) => {
+  const header = (req && req.get && req.get("Accept-Language")) || "";
+  const tags = header.split(",").map((part) => part.split(";")[0].trim());
+  for (const tag of tags) {
+    const region = (tag.split("-")[1] || "").toUpperCase();
+    if (HOTLINES[region]) return region;
+    if (/^vi\b/i.test(tag)) return "VN";
+  }
+  return language === "vi" ? "VN" : "INTL";
+};
+
+/**
+ * Run the safety pipeline on user text and, when it is flagged, log an
+ * anonymised event and (for high risk) send a high-priority notification.
+ * When previousText was already flagged at the same or a higher level for
+ * the same categories (an autosave of a flagged entry), nothing new is
+ * recorded but the resources are still returned.
+ * Failures are logged and never block the request that triggered the check.
+ * @param {Object} options
+ * @param {Object} options.user - Owner of the text
+ * @param {string} options.text - Text to check (plain or HTML)
+ * @param {string} options.source - SafetyEvent source
+ * @param {string} options.analysisType - AI analysis type, when results are given
+ * @param {Object} options.aiResults - AI analysis result (optional)
+ * @param {string} options.previousText - Text before this edit (optional)
+ * @param {Object} options.req - Express request, for region detection
+ * @returns {Promise<Object|null>} { level, categories, message, region, resources } or null
+ */
+const runSafetyCheck = async ({
+  user,
+  text,
+  source,
+  analysisType,
+  aiResults,
+  previousText,
+  req,
+}) => {
+  try {
+    const lexicon = scanText(text);
+    const ai = aiResults
+      ? getAISignal(analysisType, aiResults)
+      : { level: null, categories: [] };
+    const level = highestLevel([lexicon.level, ai.level]);
+    if (!level) return null;
+
+    const categories = Array.from(
+      new Set([...lexicon.categories, ...ai.categories])
+    );
+    const signals = [];
+    if (lexicon.level) signals.push("lexicon");
+    if (ai.level) signals.push("ai");
+
+    const language = detectUserLanguage(text, user.preferredLanguage);
+    const region = resolveRegion(req, language);
+    const resources = HOTLINES[region];
+
+    const alreadyRecorded =
+      previousText !== undefined &&
+      isCoveredBy(scanText(previousText), level, categories);
+
+    let notified = false;
+    if (level === "high" && !alreadyRecorded) {
+      const recent = await Notification.exists({
+        userId: user._id,
+        type: "safety_support",
+        createdAt: { $gt: new Date(Date.now() - NOTIFICATION_COOLDOWN_MS) },
+      });
+      if (!recent) {
+        await Notification.createSafetySupportNotification(
+          user._id,
+          resources,
+          language
+        );
+        notified = true;
+      }
+    }
+
+    if (!alreadyRecorded) {
+      // The user still gets the resources if the event cannot be stored
+      try {
+        await SafetyEvent.create({
+          subjectHash: subjectHash(user._id),
+          source,
+          level,
+          categories,
+          signals,
+          language,
+          region,
+          notified,
+        });
+      } catch (error) {
+        console.error("❌ Error recording safety event:", error.message);
+      }
+    }
+
+    return {
+      level,
+      categories,
+      message:
+        language === "vi"
+          ? "Nếu bạn đang nghĩ đến việc làm hại bản thân, hãy liên hệ ngay với một trong các đường dây hỗ trợ dưới đây hoặc người bạn tin tưởng."
+          : "If you are thinking about harming yourself, please contact one of these helplines or someone you trust right now.",
+      region,
+      resources,
+    };
+  } catch (error) {
+    console.error("❌ Error in safety check:", error);
+    return null;
+  }
+};
+
+module.exports = {
+  HOTLINES,
+  scanText,
+  getAISignal,
+  resolveRegion,
+  runSafetyCheck,
+};
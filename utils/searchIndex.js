@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+
+// Blind index for encrypted journals: each searchable token is stored as a
+// keyed hash scoped to the owner, so the server can match queries without
+// seeing plain text. Hashes are prefixed by kind: w (word), t (tag), m (mood).
+const TOKEN_MIN_LENGTH = 2;
+const TOKEN_MAX_LENGTH = 40;
+const MAX_TOKENS = 2000;
+
+/**
+ * Key used for index hashes. It is independent of the encryption keyring so
+ * rotating JOURNAL_ENCRYPTION_ACTIVE_KEY_ID does not invalidate the index;
+ * falls back to a key derived from JOURNAL_ENCRYPTION_KEY.
+ */
+function loadIndexKey() {
+  if (process.env.JOURNAL_SEARCH_INDEX_KEY) {
+    return Buffer.from(process.env.JOURNAL_SEARCH_INDEX_KEY.trim(), "utf8");
+  }
+  if (process.env.JOURNAL_ENCRYPTION_KEY) {
+    return crypto
+      .createHmac("sha256", process.env.JOURNAL_ENCRYPTION_KEY.trim())
+      .update("journal-search-index")
+      .digest();
+  }
+  return null;
+}
+
+const INDEX_KEY = loadIndexKey();
+
+if (!INDEX_KEY) {
+  console.warn(
+    "[JOURNAL SEARCH] No JOURNAL_SEARCH_INDEX_KEY or JOURNAL_ENCRYPTION_KEY configured. Journals are not indexed and search by text, tag or mood is disabled."
+  );
+}
+
+/**
+ * Whether journals are indexed. Unkeyed hashes of short words could be
+ * reversed by hashing a dictionary, so without a key nothing is stored.
+ * @returns {boolean}
+ */
+function isSearchIndexEnabled() {
+  return Boolean(INDEX_KEY);
+}
+
+/**
+ * Lowercase, strip HTML and Vietnamese diacritics ("Nhớ nhà" -> "nho nha").
+ * @param {string} text - Raw text or HTML
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  if (!text) return "";
+  return String(text)
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;|&[a-z]+;|&#\d+;/gi, " ")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[đĐ]/g, "d")
+    .toLowerCase();
+}
+
+/**
+ * Split text into normalized, de-duplicated word tokens.
+ * @param {string} text - Raw text or HTML
+ * @returns {string[]} Tokens
+ */
+function tokenize(text) {
+  const tokens = normalizeText(text)
+    .split(/[^a-z0-9]+/)
+    .filter(
+      (token) =>
+        token.length >= TOKEN_MIN_LENGTH && token.length <= TOKEN_MAX_LENGTH
+    );
+  return Array.from(new Set(tokens));
+}
+
+// Tags and moods match as a whole value, not word by word
+function normalizeTerm(value) {
+  return normalizeText(value).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Keyed hash of a value, scoped to one user. Without an index key there is
+ * no hash: callers must not store or match anything in that case.
+ * @param {string|ObjectId} userId - Owner
+ * @param {string} kind - Namespace, e.g. "w" for words
+ * @param {string} token - Value to hash
+ * @returns {string|null} "<kind>:<hash>", or null when no index key is configured
+ */
+function hashToken(userId, kind, token) {
+  if (!INDEX_KEY) return null;
+  const input = `${String(userId)}:${kind}:${token}`;
+  const hmac = crypto.createHmac("sha256", INDEX_KEY);
+  return `${kind}:${hmac.update(input).digest("base64").slice(0, 22)}`;
+}
+
+/**
+ * Build the blind index for a journal from its plain-text fields.
+ * @param {string|ObjectId} userId - Journal owner
+ * @param {Object} fields - { title, content, richContent, mood, tags }
+ * @returns {string[]} Hashed tokens (empty when no index key is configured)
+ */
+function buildSearchIndex(userId, fields) {
+  if (!INDEX_KEY) return [];
+  const words = new Set([
+    ...tokenize(fields.title),
+    ...tokenize(fields.content),
+    ...tokenize(fields.richContent),
+  ]);
+  const hashes = Array.from(words)
+    .slice(0, MAX_TOKENS)
+    .map((word) => hashToken(userId, "w", word));
+
+  (fields.tags || []).forEach((tag) => {
+    const term = normalizeTerm(tag);
+    if (term) hashes.push(hashToken(userId, "t", term));
+  });
+
+  const mood = normalizeTerm(fields.mood);
+  if (mood) hashes.push(hashToken(userId, "m", mood));
+
+  return Array.from(new Set(hashes));
+}
+
+/**
+ * Hashes a journal must all contain to match a search.
+ * @param {string|ObjectId} userId - Searching user
+ * @param {Object} query - { q, tag, mood }
+ * @returns {string[]} Hashed tokens (empty when there is nothing to match or no index key)
+ */
+function buildSearchTerms(userId, query) {
+  if (!INDEX_KEY) return [];
+  const hashes = tokenize(query.q).map((word) => hashToken(userId, "w", word));
+
+  const tags = Array.isArray(query.tag) ? query.tag : [query.tag];
+  tags.forEach((tag) => {
+    const term = normalizeTerm(tag);
+    if (term) hashes.push(hashToken(userId, "t", term));
+  });
+
+  const mood = normalizeTerm(query.mood);
+  if (mood) hashes.push(hashToken(userId, "m", mood));
+
+  return hashes;
+}
+
+module.exports = {
+  isSearchIndexEnabled,
+  normalizeText,
+  tokenize,
+  hashToken,
+  buildSearchIndex,
+  buildSearchTerms,
+};
@@ -0,0 +1,362 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const { v4: uuidv4 } = require("uuid");
+const Session = require("../models/Session");
+const User = require("../models/User");
+
+const REFRESH_TOKEN_MAX_AGE_DAYS_RAW = Number.parseInt(
+  process.env.REFRESH_TOKEN_DAYS || "30",
+  10
+);
+const REFRESH_TOKEN_MAX_AGE_DAYS =
+  Number.isFinite(REFRESH_TOKEN_MAX_AGE_DAYS_RAW) &&
+  REFRESH_TOKEN_MAX_AGE_DAYS_RAW > 0
+    ? REFRESH_TOKEN_MAX_AGE_DAYS_RAW
+    : 30;
+const ACCESS_TOKEN_MINUTES_RAW = Number.parseInt(
+  process.env.ACCESS_TOKEN_MINUTES || "15",
+  10
+);
+// Access tokens are short-lived; clients renew them through /api/auth/refresh
+const ACCESS_TOKEN_MINUTES =
+  Number.isFinite(ACCESS_TOKEN_MINUTES_RAW) && ACCESS_TOKEN_MINUTES_RAW > 0
+    ? ACCESS_TOKEN_MINUTES_RAW
+    : 15;
+// Lifetime of sessions signed in without "remember me", renewed on each refresh
+const SESSION_REFRESH_HOURS = 24;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Rotated refresh token ids remembered per session for reuse detection
+const MAX_ROTATED_TOKEN_IDS = 50;
+// How long the token replaced by the last rotation still works, for tabs
+// that sent it before the rotation reached them
+const ROTATION_GRACE_SECONDS = 10;
+
+/**
+ * Sign a short-lived access token for a session. `ver` is the user's token
+ * version, so bumping User.tokenVersion invalidates every outstanding token.
+ * @param {Object} user - User document
+ * @param {ObjectId} sessionId - Session the token belongs to (`sid` claim)
+ * @returns {string} JWT
+ */
+const issueAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      sub: user._id,
+      sid: sessionId,
+      ver: user.tokenVersion || 0,
+      jti: uuidv4(),
+    },
+    process.env.JWT_SECRET || "secret",
+    { expiresIn: `${ACCESS_TOKEN_MINUTES}m` }
+  );
+};
+
+function createRefreshTokenPayload(persistent) {
+  const tokenId = uuidv4();
+  const secret = crypto.randomBytes(48).toString("hex");
+  const token = `${tokenId}.${secret}`;
+  const expiresAt = new Date(
+    Date.now() +
+      (persistent
+        ? REFRESH_TOKEN_MAX_AGE_DAYS * DAY_MS
+        : SESSION_REFRESH_HOURS * 60 * 60 * 1000)
+  );
+  return { token, tokenId, secret, expiresAt };
+}
+
+/**
+ * Whether the claims of a verified access token are still honoured: the
+ * token version must match the user's and its session must not be revoked
+ * or expired. Tokens from before sessions existed carry neither claim.
+ * @param {Object} payload - Verified JWT claims
+ * @param {Object} user - User the token was issued to
+ * @returns {Promise<boolean>}
+ */
+const isAccessTokenValid = async (payload, user) => {
+  // Challenge tokens of the two-step login are not access tokens
+  if (payload.typ) return false;
+  if ((payload.ver || 0) !== (user.tokenVersion || 0)) return false;
+  if (!payload.sid) return true;
+  const session = await Session.exists({
+    _id: payload.sid,
+    userId: user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(session);
+};
+
+/**
+ * Readable device name from a User-Agent, e.g. "Chrome on Windows".
+ * @param {string} userAgent - User-Agent header
+ * @returns {string}
+ */
+const getDeviceName = (userAgent = "") => {
+  const browsers = [
+    ["Edge", /Edg(e|A|iOS)?\//],
+    ["Opera", /OPR\//],
+    ["Samsung Internet", /SamsungBrowser\//],
+    ["Chrome", /(Chrome|CriOS)\//],
+    ["Firefox", /(Firefox|FxiOS)\//],
+    ["Safari", /Safari\//],
+    ["EverQuill app", /okhttp|Dart|Expo|CFNetwork/i],
+  ];
+  const systems = [
+    ["iPhone", /iPhone/],
+    ["iPad", /iPad/],
+    ["Android", /Android/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/],
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !system) return "Unknown device";
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+function describeClient(req) {
+  const userAgent = String(req.get("user-agent") || "").slice(0, 512);
+  return {
+    userAgent,
+    ip: req.ip || req.connection.remoteAddress || "",
+  };
+}
+
+// New refresh token with the fields a session stores for it
+async function issueRefreshToken(persistent) {
+  const { token, tokenId, secret, expiresAt } =
+    createRefreshTokenPayload(persistent);
+  return {
+    token,
+    expiresAt,
+    fields: {
+      refreshTokenId: tokenId,
+      refreshTokenHash: await bcrypt.hash(secret, 10),
+      expiresAt,
+    },
+  };
+}
+
+/**
+ * Start a session for a user signing in on a device.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (user agent and IP)
+ * @param {Object} options
+ * @param {boolean} options.remember - Keep the session for REFRESH_TOKEN_DAYS
+ *   (persistent cookie) instead of SESSION_REFRESH_HOURS (browser-session cookie)
+ * @param {string} options.deviceName - Name chosen by the client (optional)
+ * @returns {Promise<Object>} { session, accessToken, refreshToken: { token, expiresAt } }
+ */
+const createSession = async (user, req, options = {}) => {
+  const { remember = false, deviceName } = options;
+  const client = describeClient(req);
+  const session = new Session({
+    userId: user._id,
+    deviceName:
+      typeof deviceName === "string" && deviceName.trim()
+        ? deviceName.trim().slice(0, 100)
+        : getDeviceName(client.userAgent),
+    userAgent: client.userAgent,
+    ip: client.ip,
+    persistent: remember,
+  });
+  const { token, expiresAt, fields } = await issueRefreshToken(remember);
+  session.set(fields);
+  await session.save();
+
+  return {
+    session,
+    accessToken: issueAccessToken(user, session._id),
+    refreshToken: { token, expiresAt },
+  };
+};
+
+/**
+ * Revoke a session and every refresh token it issued.
+ * @param {Object} session - Session document
+ * @param {string} reason - Session.revokedReason
+ */
+const revokeSession = async (session, reason) => {
+  session.revoke(reason);
+  await session.save();
+};
+
+/**
+ * Revoke all of a user's sessions, optionally keeping one.
+ * @param {ObjectId} userId - User
+ * @param {string} reason - Session.revokedReason
+ * @param {ObjectId} exceptSessionId - Session to keep (optional)
+ * @returns {Promise<number>} Sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+    $unset: { refreshTokenHash: "", previousRefreshTokenHash: "" },
+  });
+  return result.modifiedCount;
+};
+
+// Refresh token issued before sessions existed (stored on the user); it is
+// moved into a new session the first time it is used. It predates 2FA, so
+// accounts with 2FA enabled have to sign in again with a code.
+async function migrateLegacyRefreshToken(tokenId, secret, req) {
+  const user = await User.findOne({ refreshTokenId: tokenId });
+  if (!user || !(await user.validateRefreshToken(secret, tokenId))) {
+    return null;
+  }
+  user.clearRefreshToken();
+  await user.save();
+  if (user.twoFactorEnabled) return null;
+  const { session, accessToken, refreshToken } = await createSession(
+    user,
+    req,
+    { remember: true }
+  );
+  return { user, session, accessToken, refreshToken };
+}
+
+// Whether a rotated token is the one the last rotation replaced, presented
+// within ROTATION_GRACE_SECONDS of it
+async function isWithinRotationGrace(session, tokenId, secret) {
+  if (!session.isActive() || session.previousRefreshTokenId !== tokenId) {
+    return false;
+  }
+  if (
+    !session.rotatedAt ||
+    !session.previousRefreshTokenHash ||
+    Date.now() - session.rotatedAt.getTime() > ROTATION_GRACE_SECONDS * 1000
+  ) {
+    return false;
+  }
+  return bcrypt.compare(secret, session.previousRefreshTokenHash);
+}
+
+// Access token for a request that lost the race with a concurrent refresh.
+// No refresh token: the client keeps the one the winning request set.
+async function graceRefresh(session) {
+  const user = await User.findById(session.userId);
+  if (!user) return { error: "invalid" };
+  return {
+    user,
+    session,
+    accessToken: issueAccessToken(user, session._id),
+    refreshToken: null,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * The old refresh token stops working. Within ROTATION_GRACE_SECONDS it
+ * still gets an access token (several tabs refreshing at once); presented
+ * again after that (by whoever copied it) the session is revoked, since the
+ * token family can no longer be trusted.
+ * @param {string} token - "<tokenId>.<secret>" from the refresh cookie
+ * @param {Object} req - Express request (user agent and IP)
+ * @returns {Promise<Object>} { user, session, accessToken, refreshToken } or { error: "invalid" | "reused" };
+ *   refreshToken is null for a refresh inside the grace window
+ */
+const rotateRefreshToken = async (token, req) => {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 2) return { error: "invalid" };
+  const [tokenId, secret] = parts;
+
+  const session = await Session.findOne({ refreshTokenId: tokenId });
+  if (!session) {
+    const reusedIn = await Session.findOne({ rotatedTokenIds: tokenId });
+    if (reusedIn) {
+      if (await isWithinRotationGrace(reusedIn, tokenId, secret)) {
+        return graceRefresh(reusedIn);
+      }
+      if (!reusedIn.revokedAt) {
+        await revokeSession(reusedIn, "reuse_detected");
+        console.warn(
+          `⚠️ Refresh token reuse detected, session ${reusedIn._id} of user ${reusedIn.userId} revoked`
+        );
+      }
+      return { error: "reused" };
+    }
+    const migrated = await migrateLegacyRefreshToken(tokenId, secret, req);
+    return migrated || { error: "invalid" };
+  }
+
+  if (!session.isActive() || !session.refreshTokenHash) {
+    return { error: "invalid" };
+  }
+  if (!(await bcrypt.compare(secret, session.refreshTokenHash))) {
+    return { error: "invalid" };
+  }
+  const user = await User.findById(session.userId);
+  if (!user) return { error: "invalid" };
+
+  const {
+    token: newToken,
+    expiresAt,
+    fields,
+  } = await issueRefreshToken(session.persistent);
+  // Only the request that still sees the old token may rotate it
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenId: tokenId, revokedAt: null },
+    {
+      $set: {
+        ...fields,
+        ...describeClient(req),
+        previousRefreshTokenId: tokenId,
+        previousRefreshTokenHash: session.refreshTokenHash,
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+      },
+      $push: {
+        rotatedTokenIds: { $each: [tokenId], $slice: -MAX_ROTATED_TOKEN_IDS },
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    // A concurrent refresh with the same token rotated it first
+    const current = await Session.findById(session._id);
+    if (current && (await isWithinRotationGrace(current, tokenId, secret))) {
+      return graceRefresh(current);
+    }
+    await revokeSession(session, "reuse_detected");
+    return { error: "reused" };
+  }
+
+  return {
+    user,
+    session: rotated,
+    accessToken: issueAccessToken(user, rotated._id),
+    refreshToken: { token: newToken, expiresAt },
+  };
+};
+
+/**
+ * Sessions a user is signed in with, most recently used first.
+ * @param {ObjectId} userId - User
+ * @returns {Promise<Array>} Session documents
+ */
+const listActiveSessions = (userId) => {
+  return Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  REFRESH_TOKEN_MAX_AGE_DAYS,
+  ACCESS_TOKEN_MINUTES,
+  issueAccessToken,
+  isAccessTokenValid,
+  getDeviceName,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+};
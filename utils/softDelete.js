@@ -0,0 +1,49 @@
+// Trashed documents stay restorable for this long before the purge job removes them
+const TRASH_RETENTION_DAYS = 30;
+
+const QUERY_HOOKS = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "findOneAndUpdate",
+  "updateOne",
+  "updateMany",
+];
+
+/**
+ * Mongoose plugin that adds `deletedAt` and hides trashed documents from queries.
+ * Queries that filter on deletedAt themselves, or set the `withDeleted` option
+ * (e.g. `.setOptions({ withDeleted: true })`), see every document.
+ * @param {mongoose.Schema} schema
+ */
+function softDeletePlugin(schema) {
+  schema.add({ deletedAt: { type: Date, default: null } });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), "deletedAt")) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+}
+
+/**
+ * Date before which trashed documents are purged.
+ * @returns {Date}
+ */
+function getTrashCutoff() {
+  return new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  softDeletePlugin,
+  getTrashCutoff,
+};
@@ -0,0 +1,629 @@
+const dayjs = require("dayjs");
+const { LANGUAGES, detectLanguage, resolveLanguage } = require("./language");
+
+// Local keyword and theme extraction for the dashboard. Everything here runs
+// in-process; no text is sent to an external service.
+
+// Multi-syllable Vietnamese words, so "công việc" is one term rather than
+// "công" + "việc". Segmentation tries the longest match first.
+const VI_COMPOUNDS = [
+  // Feelings
+  "hạnh phúc",
+  "vui vẻ",
+  "biết ơn",
+  "hào hứng",
+  "bình yên",
+  "bình tĩnh",
+  "thư giãn",
+  "tự tin",
+  "hy vọng",
+  "tự hào",
+  "hài lòng",
+  "thoải mái",
+  "nhẹ nhõm",
+  "yêu thương",
+  "tức giận",
+  "thất vọng",
+  "tổn thương",
+  "cô đơn",
+  "choáng ngợp",
+  "căng thẳng",
+  "áp lực",
+  "lo lắng",
+  "lo âu",
+  "bồn chồn",
+  "hoảng sợ",
+  "sợ hãi",
+  "bất an",
+  "trầm cảm",
+  "tuyệt vọng",
+  "trống rỗng",
+  "vô giá trị",
+  "mệt mỏi",
+  "kiệt sức",
+  "tê liệt",
+  "lạc lõng",
+  "buồn bã",
+  "khó chịu",
+  "bực bội",
+  "chán nản",
+  "ghen tị",
+  "xấu hổ",
+  "tội lỗi",
+  "cảm xúc",
+  "tâm trạng",
+  "tinh thần",
+  "suy nghĩ",
+  "cảm giác",
+  // People
+  "gia đình",
+  "bố mẹ",
+  "cha mẹ",
+  "anh chị",
+  "anh em",
+  "chị em",
+  "bạn bè",
+  "bạn thân",
+  "người yêu",
+  "bạn trai",
+  "bạn gái",
+  "vợ chồng",
+  "con cái",
+  "đồng nghiệp",
+  "giáo viên",
+  "thầy cô",
+  "bác sĩ",
+  // Work and study
+  "công việc",
+  "công ty",
+  "dự án",
+  "cuộc họp",
+  "hạn chót",
+  "thăng chức",
+  "nghỉ việc",
+  "phỏng vấn",
+  "lương thưởng",
+  "học tập",
+  "việc học",
+  "bài tập",
+  "kỳ thi",
+  "thi cử",
+  "điểm số",
+  "trường học",
+  "đại học",
+  "luận văn",
+  "tốt nghiệp",
+  // Health and routine
+  "khó tính",
+  "sức khỏe",
+  "giấc ngủ",
+  "mất ngủ",
+  "tập thể dục",
+  "thể dục",
+  "chạy bộ",
+  "đi bộ",
+  "thiền định",
+  "ăn uống",
+  "bữa sáng",
+  "bữa trưa",
+  "bữa tối",
+  "cà phê",
+  "đau đầu",
+  "ốm đau",
+  "bệnh viện",
+  "nghỉ ngơi",
+  "thói quen",
+  // Life
+  "cuộc sống",
+  "tương lai",
+  "quá khứ",
+  "mục tiêu",
+  "kế hoạch",
+  "ước mơ",
+  "tiền bạc",
+  "tài chính",
+  "chi tiêu",
+  "nhà cửa",
+  "du lịch",
+  "kỳ nghỉ",
+  "cuối tuần",
+  "mạng xã hội",
+  "điện thoại",
+  "sở thích",
+  "âm nhạc",
+  "đọc sách",
+  "nấu ăn",
+  "mối quan hệ",
+  "chia tay",
+  "cãi nhau",
+  "thành công",
+  "thất bại",
+  "thử thách",
+  "cơ hội",
+  "thay đổi",
+  "trưởng thành",
+  "bản thân",
+  "hôm nay",
+  "hôm qua",
+  "ngày mai",
+  "buổi sáng",
+  "buổi tối",
+];
+const VI_COMPOUND_SET = new Set(VI_COMPOUNDS);
+const MAX_COMPOUND_SYLLABLES = 3;
+
+// Words too common to be a theme, on top of the detection stopwords
+const EXTRA_STOPWORDS = {
+  vi: [
+    "thì",
+    "là",
+    "mà",
+    "ở",
+    "từ",
+    "như",
+    "nên",
+    "vì",
+    "nếu",
+    "bị",
+    "bởi",
+    "về",
+    "lên",
+    "xuống",
+    "rồi",
+    "chỉ",
+    "hơn",
+    "hết",
+    "đến",
+    "tới",
+    "theo",
+    "sau",
+    "trước",
+    "nhiều",
+    "ít",
+    "hơi",
+    "khá",
+    "thật",
+    "thế",
+    "vậy",
+    "sao",
+    "ai",
+    "đâu",
+    "bao",
+    "giờ",
+    "lúc",
+    "mới",
+    "vừa",
+    "sắp",
+    "xong",
+    "hôm nay",
+    "hôm qua",
+    "ngày mai",
+    "ngày",
+    "làm",
+    "biết",
+    "nói",
+    "nghĩ",
+    "thấy",
+    "cảm thấy",
+    "ạ",
+    "nhé",
+    "nha",
+    "à",
+    "ừ",
+    "ơi",
+    "chứ",
+    "luôn",
+    "đều",
+    "cả",
+    "mọi",
+    "mỗi",
+    "nhau",
+    "chút",
+    "hay",
+    "họ",
+    "nó",
+    "chúng",
+    "ta",
+    "tao",
+    "tớ",
+    "cậu",
+  ],
+  en: [
+    "your",
+    "our",
+    "their",
+    "his",
+    "her",
+    "its",
+    "him",
+    "them",
+    "us",
+    "there",
+    "here",
+    "then",
+    "than",
+    "also",
+    "too",
+    "some",
+    "any",
+    "all",
+    "more",
+    "most",
+    "much",
+    "many",
+    "from",
+    "into",
+    "out",
+    "up",
+    "down",
+    "over",
+    "after",
+    "before",
+    "again",
+    "still",
+    "even",
+    "if",
+    "how",
+    "why",
+    "who",
+    "which",
+    "where",
+    "will",
+    "could",
+    "should",
+    "might",
+    "must",
+    "does",
+    "doing",
+    "being",
+    "get",
+    "got",
+    "going",
+    "went",
+    "go",
+    "make",
+    "made",
+    "thing",
+    "things",
+    "lot",
+    "bit",
+    "day",
+    "today",
+    "yesterday",
+    "tomorrow",
+    "feel",
+    "feeling",
+    "felt",
+    "think",
+    "thought",
+    "know",
+    "like",
+    "want",
+    "really",
+    "just",
+    "don",
+    "didn",
+    "doesn",
+    "can",
+    "couldn",
+    "wasn",
+    "isn",
+    "im",
+    "ive",
+    "dont",
+    "cant",
+  ],
+};
+
+const STOPWORDS = Object.fromEntries(
+  Object.keys(LANGUAGES).map((code) => [
+    code,
+    new Set([...LANGUAGES[code].stopwords, ...(EXTRA_STOPWORDS[code] || [])]),
+  ])
+);
+
+/**
+ * Plain text of a journal: rich text (HTML) when present, else the plain
+ * content field. Block tags become line breaks and entities are decoded.
+ * @param {Object} entry - Decrypted journal
+ * @returns {string}
+ */
+const getEntryText = (entry) => {
+  const rich = htmlToText(entry.richContent);
+  return rich || String(entry.content || "").trim();
+};
+
+// Numeric character reference. NUL, surrogates and code points past U+10FFFF
+// (which String.fromCodePoint throws on) become U+FFFD, as in browsers
+function decodeCharRef(digits, radix) {
+  const code = parseInt(digits, radix);
+  if (code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+    return "\uFFFD";
+  }
+  return String.fromCodePoint(code);
+}
+
+function htmlToText(html) {
+  return String(html || "")
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|h[1-6]|li|blockquote)>/gi, "\n")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&#(\d+);/g, (_, digits) => decodeCharRef(digits, 10))
+    .replace(/&#x([0-9a-f]+);/gi, (_, digits) => decodeCharRef(digits, 16))
+    .replace(/&amp;/gi, "&")
+    .replace(/[ \t]+/g, " ")
+    .trim();
+}
+
+// Runs of words that are not broken by punctuation or line breaks
+function splitPhrases(text) {
+  return text
+    .normalize("NFC")
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\s']+|\n+/u)
+    .map((phrase) => phrase.match(/[\p{L}\p{M}']+/gu) || [])
+    .filter((words) => words.length > 0);
+}
+
+/**
+ * Split Vietnamese syllables into words by longest dictionary match.
+ * @param {Array<string>} syllables - Lowercased syllables of one phrase
+ * @returns {Array<string>} Words, compounds joined with a space
+ */
+const segmentVietnamese = (syllables) => {
+  const words = [];
+  let i = 0;
+  while (i < syllables.length) {
+    let length = Math.min(MAX_COMPOUND_SYLLABLES, syllables.length - i);
+    for (; length > 1; length--) {
+      if (VI_COMPOUND_SET.has(syllables.slice(i, i + length).join(" "))) {
+        break;
+      }
+    }
+    words.push(syllables.slice(i, i + length).join(" "));
+    i += length;
+  }
+  return words;
+};
+
+/**
+ * Content words of a text: segmented and lowercased, without stopwords,
+ * numbers or one-letter tokens. Stopwords and punctuation split the text
+ * into runs, so only words that were really adjacent end up side by side.
+ * @param {string} text - Plain text
+ * @param {string} language - Language code of the text
+ * @returns {Array<Array<string>>} Runs of terms, in order
+ */
+const tokenize = (text, language) => {
+  const stopwords = STOPWORDS[language] || new Set();
+  const runs = [];
+  splitPhrases(text).forEach((words) => {
+    const terms =
+      language === "vi"
+        ? segmentVietnamese(words)
+        : words.map((word) => word.replace(/'s$|'/g, ""));
+    let run = [];
+    terms.forEach((term) => {
+      if (term.length > 1 && !stopwords.has(term)) {
+        run.push(term);
+      } else if (run.length > 0) {
+        runs.push(run);
+        run = [];
+      }
+    });
+    if (run.length > 0) runs.push(run);
+  });
+  return runs;
+};
+
+/**
+ * Join adjacent single words that appear together in at least `minEntries`
+ * entries (e.g. Vietnamese compounds missing from the dictionary). Where two
+ * candidate pairs overlap, the one seen in more entries wins.
+ * @param {Array<Array<Array<string>>>} documents - Runs of terms per entry
+ * @param {number} minEntries - Entries a pair must appear in
+ * @returns {Array<Array<string>>} Terms per entry
+ */
+function mergeCollocations(documents, minEntries) {
+  const pairKey = (terms, i) =>
+    i < terms.length - 1 &&
+    !terms[i].includes(" ") &&
+    !terms[i + 1].includes(" ")
+      ? `${terms[i]} ${terms[i + 1]}`
+      : null;
+
+  const pairEntries = new Map();
+  documents.forEach((runs) => {
+    const seen = new Set();
+    runs.forEach((terms) => {
+      terms.forEach((_, i) => {
+        const pair = pairKey(terms, i);
+        if (pair) seen.add(pair);
+      });
+    });
+    seen.forEach((pair) =>
+      pairEntries.set(pair, (pairEntries.get(pair) || 0) + 1)
+    );
+  });
+  const strength = (terms, i) => {
+    const count = pairEntries.get(pairKey(terms, i)) || 0;
+    return count >= minEntries ? count : 0;
+  };
+
+  return documents.map((runs) =>
+    runs.flatMap((terms) => {
+      const merged = [];
+      for (let i = 0; i < terms.length; i++) {
+        const current = strength(terms, i);
+        if (current > 0 && current >= strength(terms, i + 1)) {
+          merged.push(`${terms[i]} ${terms[i + 1]}`);
+          i += 1;
+        } else {
+          merged.push(terms[i]);
+        }
+      }
+      return merged;
+    })
+  );
+}
+
+/**
+ * TF-IDF weights of each term per document, using the user's own entries
+ * as the corpus.
+ * @param {Array<Array<string>>} documents - Terms per entry
+ * @returns {Array<Map<string, number>>} Term weights per entry
+ */
+const computeTfIdf = (documents) => {
+  const documentFrequency = new Map();
+  documents.forEach((terms) => {
+    new Set(terms).forEach((term) =>
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)
+    );
+  });
+
+  return documents.map((terms) => {
+    const counts = new Map();
+    terms.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+    const weights = new Map();
+    counts.forEach((count, term) => {
+      // Smoothed idf so terms in every entry keep a small positive weight
+      const idf =
+        Math.log((1 + documents.length) / (1 + documentFrequency.get(term))) +
+        1;
+      weights.set(term, (count / terms.length) * idf);
+    });
+    return weights;
+  });
+};
+
+function topTerms(weightMaps, limit) {
+  const totals = new Map();
+  const entries = new Map();
+  weightMaps.forEach((weights) => {
+    weights.forEach((weight, term) => {
+      totals.set(term, (totals.get(term) || 0) + weight);
+      entries.set(term, (entries.get(term) || 0) + 1);
+    });
+  });
+  return Array.from(totals.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([theme, score]) => ({
+      theme,
+      score: Number(score.toFixed(3)),
+      entries: entries.get(theme),
+    }));
+}
+
+function average(values) {
+  const present = values.filter((value) => typeof value === "number");
+  if (present.length === 0) return null;
+  return Number(
+    (present.reduce((sum, value) => sum + value, 0) / present.length).toFixed(1)
+  );
+}
+
+/**
+ * Themes of a user's journals: top TF-IDF terms overall and per period, and
+ * how mood scores on the days a theme was written about compare with the
+ * user's average.
+ * @param {Array} journals - Decrypted journals, any order
+ * @param {Array} moods - Mood entries ({ date: "YYYY-MM-DD", score, stress, anxiety })
+ * @param {Object} options
+ * @param {string} options.bucket - "week" or "month" for themesByPeriod
+ * @param {string} options.preferredLanguage - User.preferredLanguage
+ * @param {number} options.limit - Themes to return (default 15)
+ * @returns {Object} { language, entriesAnalyzed, topThemes, themesByPeriod, moodCorrelations }
+ */
+const analyzeThemes = (journals, moods = [], options = {}) => {
+  const { bucket = "week", preferredLanguage, limit = 15 } = options;
+  const entries = journals
+    .map((journal) => ({
+      date: dayjs(journal.createdAt),
+      text: getEntryText(journal),
+    }))
+    .filter((entry) => entry.text);
+
+  const language = resolveLanguage(
+    entries.map((entry) => entry.text).join(" "),
+    preferredLanguage
+  );
+  const documents = mergeCollocations(
+    entries.map((entry) =>
+      tokenize(entry.text, detectLanguage(entry.text).language || language)
+    ),
+    2
+  );
+  const weights = computeTfIdf(documents);
+  const topThemes = topTerms(weights, limit);
+
+  // Themes per week or month
+  const periods = new Map();
+  entries.forEach((entry, index) => {
+    const start = entry.date.startOf(bucket).format("YYYY-MM-DD");
+    if (!periods.has(start)) periods.set(start, []);
+    periods.get(start).push(weights[index]);
+  });
+  const themesByPeriod = Array.from(periods.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([start, periodWeights]) => ({
+      start,
+      entries: periodWeights.length,
+      themes: topTerms(periodWeights, 5).map(({ theme, score }) => ({
+        theme,
+        score,
+      })),
+    }));
+
+  // Mood on the days each theme appears, against the overall average
+  const moodByDate = new Map(moods.map((mood) => [mood.date, mood]));
+  const overallMood = average(moods.map((mood) => mood.score));
+  const moodCorrelations = topThemes
+    .map(({ theme }) => {
+      const days = new Set();
+      entries.forEach((entry, index) => {
+        if (weights[index].has(theme))
+          days.add(entry.date.format("YYYY-MM-DD"));
+      });
+      const matched = Array.from(days)
+        .map((date) => moodByDate.get(date))
+        .filter(Boolean);
+      const averageMood = average(matched.map((mood) => mood.score));
+      return {
+        theme,
+        daysWithMood: matched.length,
+        averageMood,
+        moodDifference:
+          averageMood !== null && overallMood !== null
+            ? Number((averageMood - overallMood).toFixed(1))
+            : null,
+        averageStress: average(matched.map((mood) => mood.stress)),
+        averageAnxiety: average(matched.map((mood) => mood.anxiety)),
+      };
+    })
+    // One day is not a pattern
+    .filter((correlation) => correlation.daysWithMood >= 2)
+    .sort((a, b) => Math.abs(b.moodDifference) - Math.abs(a.moodDifference));
+
+  return {
+    language,
+    entriesAnalyzed: entries.length,
+    topThemes,
+    themesByPeriod,
+    moodCorrelations,
+  };
+};
+
+module.exports = {
+  getEntryText,
+  segmentVietnamese,
+  tokenize,
+  computeTfIdf,
+  analyzeThemes,
+};
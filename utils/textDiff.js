@@ -0,0 +1,104 @@
+// Above this many cells (lines x lines) the diff falls back to a full replace
+const MAX_DIFF_CELLS = 4000000;
+
+function splitLines(text) {
+  if (!text) return [];
+  return String(text).split(/\r?\n/);
+}
+
+/**
+ * Line diff of two texts based on the longest common subsequence.
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @returns {Array<Object>} Hunks of { type: "equal"|"added"|"removed", lines }
+ */
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const ops = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a.forEach((line) => ops.push({ type: "removed", line }));
+    b.forEach((line) => ops.push({ type: "added", line }));
+  } else {
+    // lcs[i][j] = length of the LCS of a[i:] and b[j:]
+    const lcs = Array.from(
+      { length: a.length + 1 },
+      () => new Uint32Array(b.length + 1)
+    );
+    for (let i = a.length - 1; i >= 0; i -= 1) {
+      for (let j = b.length - 1; j >= 0; j -= 1) {
+        lcs[i][j] =
+          a[i] === b[j]
+            ? lcs[i + 1][j + 1] + 1
+            : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        ops.push({ type: "equal", line: a[i] });
+        i += 1;
+        j += 1;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        ops.push({ type: "removed", line: a[i] });
+        i += 1;
+      } else {
+        ops.push({ type: "added", line: b[j] });
+        j += 1;
+      }
+    }
+    for (; i < a.length; i += 1) ops.push({ type: "removed", line: a[i] });
+    for (; j < b.length; j += 1) ops.push({ type: "added", line: b[j] });
+  }
+
+  // Merge consecutive lines of the same type into hunks
+  return ops.reduce((hunks, op) => {
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === op.type) {
+      last.lines.push(op.line);
+    } else {
+      hunks.push({ type: op.type, lines: [op.line] });
+    }
+    return hunks;
+  }, []);
+}
+
+/**
+ * Field-by-field diff of two journal versions.
+ * @param {Object} from - { title, content, richContent, mood, tags }
+ * @param {Object} to - { title, content, richContent, mood, tags }
+ * @returns {Object} Changes keyed by field; unchanged fields are omitted
+ */
+function diffJournalVersions(from, to) {
+  const changes = {};
+
+  ["title", "mood"].forEach((field) => {
+    const before = from[field] || "";
+    const after = to[field] || "";
+    if (before !== after) changes[field] = { from: before, to: after };
+  });
+
+  ["content", "richContent"].forEach((field) => {
+    if ((from[field] || "") !== (to[field] || "")) {
+      changes[field] = diffLines(from[field], to[field]);
+    }
+  });
+
+  const fromTags = from.tags || [];
+  const toTags = to.tags || [];
+  const addedTags = toTags.filter((tag) => !fromTags.includes(tag));
+  const removedTags = fromTags.filter((tag) => !toTags.includes(tag));
+  if (addedTags.length > 0 || removedTags.length > 0) {
+    changes.tags = { added: addedTags, removed: removedTags };
+  }
+
+  return changes;
+}
+
+module.exports = {
+  diffLines,
+  diffJournalVersions,
+};
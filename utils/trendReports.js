@@ -0,0 +1,381 @@
+const dayjs = require("dayjs");
+const User = require("../models/User");
+const AIAnalysis = require("../models/AIAnalysis");
+const TrendReport = require("../models/TrendReport");
+const Notification = require("../models/Notification");
+const {
+  generateTrendNarrative,
+  buildTrendReportFallback,
+  detectUserLanguage,
+} = require("./aiService");
+const {
+  getAIQuotaStatus,
+  createAIUsageCollector,
+  runWithAIUsage,
+  saveAIUsage,
+} = require("./aiUsage");
+
+const REPORT_PERIODS = ["week", "month"];
+const REPORTED_ANALYSES = ["emotion", "mental_health"];
+
+// Risk levels are stored in the language of the analysis
+const RISK_LEVEL_KEYS = {
+  low: "low",
+  thấp: "low",
+  medium: "medium",
+  "trung bình": "medium",
+  high: "high",
+  cao: "high",
+};
+
+/**
+ * Date range of the report period containing `date`, or of the last
+ * complete period when no date is given.
+ * @param {string} periodType - "week" or "month"
+ * @param {string|Date} date - Any day in the period (optional)
+ * @returns {Object} { periodStart, periodEnd, start, end, complete }
+ */
+const getReportPeriod = (periodType, date) => {
+  const reference = date ? dayjs(date) : dayjs().subtract(1, periodType);
+  const start = reference.startOf(periodType);
+  const end = reference.endOf(periodType);
+  return {
+    periodStart: start.format("YYYY-MM-DD"),
+    periodEnd: end.format("YYYY-MM-DD"),
+    start: start.toDate(),
+    end: end.toDate(),
+    complete: end.isBefore(dayjs()),
+  };
+};
+
+function toNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
+
+function round(value, digits = 1) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+function average(values) {
+  const present = values.filter((value) => value !== null);
+  if (present.length === 0) return null;
+  return present.reduce((sum, value) => sum + value, 0) / present.length;
+}
+
+function change(first, last) {
+  return first === null || last === null ? null : last - first;
+}
+
+/**
+ * Aggregate a period's emotion analyses and mental health assessments.
+ * Results saved by clients may be incomplete, so every field is optional.
+ * @param {Array} analyses - Decrypted AIAnalysis documents, oldest first
+ * @param {string} periodType - "week" (daily points) or "month" (weekly points)
+ * @returns {Object} Report stats
+ */
+const aggregateAnalyses = (analyses, periodType) => {
+  const bucket = periodType === "week" ? "day" : "week";
+  const emotions = new Map();
+  const riskLevels = { low: 0, medium: 0, high: 0 };
+  const sentimentPoints = new Map();
+  const assessments = [];
+  let emotionAnalyses = 0;
+
+  analyses.forEach((analysis) => {
+    const results = analysis.results || {};
+    if (analysis.analysisType === "emotion") {
+      emotionAnalyses += 1;
+      const emotion = String(results.emotionAnalysis?.primaryEmotion || "")
+        .trim()
+        .toLowerCase();
+      if (emotion) emotions.set(emotion, (emotions.get(emotion) || 0) + 1);
+
+      const risk =
+        RISK_LEVEL_KEYS[
+          String(results.mentalHealthIndicators?.riskLevel || "").toLowerCase()
+        ];
+      if (risk) riskLevels[risk] += 1;
+
+      const score = toNumber(results.sentimentAnalysis?.sentimentScore);
+      if (score !== null) {
+        const date = dayjs(analysis.createdAt)
+          .startOf(bucket)
+          .format("YYYY-MM-DD");
+        if (!sentimentPoints.has(date)) sentimentPoints.set(date, []);
+        sentimentPoints.get(date).push(score);
+      }
+    } else if (analysis.analysisType === "mental_health") {
+      assessments.push({
+        date: dayjs(analysis.createdAt).format("YYYY-MM-DD"),
+        overall: toNumber(results.assessment?.overallScore),
+        depression: toNumber(results.depressionIndicators?.score),
+        anxiety: toNumber(results.anxietyIndicators?.score),
+        stress: toNumber(results.stressIndicators?.score),
+      });
+    }
+  });
+
+  const emotionCount = Array.from(emotions.values()).reduce(
+    (sum, count) => sum + count,
+    0
+  );
+  const emotionDistribution = Array.from(emotions.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([emotion, count]) => ({
+      emotion,
+      count,
+      share: round(count / emotionCount, 2),
+    }));
+
+  const trajectory = Array.from(sentimentPoints.entries()).map(
+    ([date, scores]) => ({
+      date,
+      average: round(average(scores), 2),
+      count: scores.length,
+    })
+  );
+  const sentiment =
+    trajectory.length > 0
+      ? {
+          average: round(
+            average(Array.from(sentimentPoints.values()).flat()),
+            2
+          ),
+          change: round(
+            change(
+              trajectory[0].average,
+              trajectory[trajectory.length - 1].average
+            ),
+            2
+          ),
+          trajectory,
+        }
+      : null;
+
+  const scoreKeys = ["overall", "depression", "anxiety", "stress"];
+  const assessmentScores =
+    assessments.length > 0
+      ? {
+          average: Object.fromEntries(
+            scoreKeys.map((key) => [
+              key,
+              round(average(assessments.map((item) => item[key]))),
+            ])
+          ),
+          change: Object.fromEntries(
+            scoreKeys.map((key) => [
+              key,
+              round(
+                change(
+                  assessments[0][key],
+                  assessments[assessments.length - 1][key]
+                )
+              ),
+            ])
+          ),
+          series: assessments,
+        }
+      : null;
+
+  return {
+    emotionAnalyses,
+    assessments: assessments.length,
+    emotionDistribution,
+    riskLevels,
+    sentiment,
+    assessmentScores,
+  };
+};
+
+// Differences from the previous report of the same type, when there is one
+function compareWithPrevious(stats, previous) {
+  if (!previous || !previous.stats) return null;
+  const before = previous.stats;
+  return {
+    periodStart: previous.periodStart,
+    sentimentAverage: round(
+      change(
+        before.sentiment?.average ?? null,
+        stats.sentiment?.average ?? null
+      ),
+      2
+    ),
+    overallScore: round(
+      change(
+        before.assessmentScores?.average.overall ?? null,
+        stats.assessmentScores?.average.overall ?? null
+      )
+    ),
+  };
+}
+
+/**
+ * Build (or rebuild) a user's report for one period and store it. An
+ * existing report is returned as it is when it is complete, or when the
+ * period is still running and no analyses were added or removed since it
+ * was built. The user is notified when the report is created or completed.
+ * @param {Object} user - User document
+ * @param {string} periodType - "week" or "month"
+ * @param {Object} options
+ * @param {string|Date} options.date - Any day in the period (default: last complete period)
+ * @param {boolean} options.useAI - False writes the narrative without the AI
+ * @returns {Promise<Object|null>} { report, created }, or null when the period has no analyses
+ */
+const buildTrendReport = async (user, periodType, options = {}) => {
+  const { date, useAI = true } = options;
+  const period = getReportPeriod(periodType, date);
+  const existing = await TrendReport.findOne({
+    userId: user._id,
+    periodType,
+    periodStart: period.periodStart,
+  });
+  if (existing && existing.complete) {
+    return { report: existing, created: false };
+  }
+
+  const analysisFilter = {
+    userId: user._id,
+    analysisType: { $in: REPORTED_ANALYSES },
+    createdAt: { $gte: period.start, $lte: period.end },
+  };
+  if (existing && !period.complete) {
+    const [count, newer] = await Promise.all([
+      AIAnalysis.countDocuments(analysisFilter),
+      AIAnalysis.exists({
+        ...analysisFilter,
+        createdAt: { $gt: existing.updatedAt, $lte: period.end },
+      }),
+    ]);
+    if (count === existing.analysisCount && !newer) {
+      return { report: existing, created: false };
+    }
+  }
+
+  const analyses = await AIAnalysis.find(analysisFilter).sort({
+    createdAt: 1,
+  });
+  if (analyses.length === 0) return null;
+
+  const previous = await TrendReport.findOne({
+    userId: user._id,
+    periodType,
+    periodStart: getReportPeriod(
+      periodType,
+      dayjs(period.start).subtract(1, periodType)
+    ).periodStart,
+  });
+
+  const stats = aggregateAnalyses(analyses, periodType);
+  stats.comparedToPrevious = compareWithPrevious(stats, previous);
+
+  const language = detectUserLanguage(
+    stats.emotionDistribution.map((item) => item.emotion).join(" "),
+    user.preferredLanguage
+  );
+  const { aiPowered, ...narrative } = useAI
+    ? await generateTrendNarrative(stats, periodType, user.preferredLanguage)
+    : buildTrendReportFallback(stats, language === "vi");
+
+  const report =
+    existing ||
+    new TrendReport({
+      userId: user._id,
+      periodType,
+      periodStart: period.periodStart,
+      periodEnd: period.periodEnd,
+    });
+  report.complete = period.complete;
+  report.analysisCount = analyses.length;
+  report.stats = stats;
+  report.narrative = narrative;
+  report.language = language;
+  report.aiPowered = aiPowered;
+  await report.save();
+
+  // Rebuilds of a running period are not news; its completion is
+  if (!existing || report.complete) {
+    await Notification.createTrendReportReadyNotification(user._id, report);
+  }
+  return { report, created: !existing };
+};
+
+// Scheduled reports for one user, metered like requests. Over-quota users
+// still get a report, written without the AI.
+async function buildScheduledReport(user, periodType) {
+  const quota = await getAIQuotaStatus(user);
+  const collector = createAIUsageCollector();
+  const result = await runWithAIUsage(collector, () =>
+    buildTrendReport(user, periodType, { useAI: !quota.exceeded })
+  );
+  await saveAIUsage(user._id, "trend_report", collector);
+  return result;
+}
+
+/**
+ * Build last week's and last month's reports for premium users who had
+ * analyses in those periods. Safe to run repeatedly: complete reports are
+ * skipped.
+ */
+const generateDueTrendReports = async () => {
+  try {
+    console.log("🔍 Generating trend reports...");
+    let generated = 0;
+
+    for (const periodType of REPORT_PERIODS) {
+      const period = getReportPeriod(periodType);
+      const [userIds, done] = await Promise.all([
+        AIAnalysis.distinct("userId", {
+          analysisType: { $in: REPORTED_ANALYSES },
+          createdAt: { $gte: period.start, $lte: period.end },
+        }),
+        TrendReport.distinct("userId", {
+          periodType,
+          periodStart: period.periodStart,
+          complete: true,
+        }),
+      ]);
+      const doneIds = new Set(done.map(String));
+      const users = await User.find({
+        _id: { $in: userIds.filter((id) => !doneIds.has(String(id))) },
+        plan: "premium",
+      });
+
+      for (const user of users) {
+        try {
+          const result = await buildScheduledReport(user, periodType);
+          if (result) generated += 1;
+        } catch (error) {
+          console.error(
+            `❌ Error generating ${periodType} report for ${user._id}:`,
+            error
+          );
+        }
+      }
+    }
+
+    console.log(
+      `✅ Trend report job completed. Generated ${generated} reports.`
+    );
+  } catch (error) {
+    console.error("❌ Error in trend report job:", error);
+  }
+};
+
+/**
+ * Initialize the daily trend report job
+ * Call this once when server starts
+ */
+const initTrendReportScheduler = () => {
+  generateDueTrendReports();
+  setInterval(generateDueTrendReports, 24 * 60 * 60 * 1000);
+  console.log("🚀 Trend report scheduler initialized");
+};
+
+module.exports = {
+  REPORT_PERIODS,
+  getReportPeriod,
+  aggregateAnalyses,
+  buildTrendReport,
+  generateDueTrendReports,
+  initTrendReportScheduler,
+};
@@ -0,0 +1,273 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { encryptValue, decryptValue } = require("./encryption");
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "EverQuill";
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from the neighbouring steps are accepted to allow for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+// Time to enter the code after the password was accepted
+const CHALLENGE_TOKEN_MINUTES = 5;
+const CHALLENGE_TOKEN_TYPE = "2fa_challenge";
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).replace(/=+$/, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// RFC 4226 HOTP value for one counter
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(buffer)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * New random TOTP secret (160 bits, base32 as authenticator apps expect).
+ * @returns {string}
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * otpauth:// URI for enrolment; clients render it as a QR code.
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the authenticator app (email)
+ * @returns {string}
+ */
+const buildOtpAuthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Check a TOTP code. A code is accepted once: steps at or before
+ * `lastUsedStep` are rejected, so an intercepted code cannot be replayed.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} lastUsedStep - Step of the last accepted code (optional)
+ * @returns {number|null} Step of the matching code, or null
+ */
+const verifyTotp = (secret, code, lastUsedStep) => {
+  const normalized = String(code || "").replace(/\s+/g, "");
+  if (!secret || !/^\d+$/.test(normalized)) return null;
+  if (normalized.length !== TOTP_DIGITS) return null;
+
+  const step = currentStep();
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const candidate = step + offset;
+    if (lastUsedStep !== undefined && candidate <= lastUsedStep) continue;
+    const expected = Buffer.from(hotp(secret, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+function hashRecoveryCode(code) {
+  return crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toUpperCase())
+    .digest("hex");
+}
+
+/**
+ * New set of one-time recovery codes.
+ * @returns {Object} { codes, hashes } - codes are shown once, hashes are stored
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex").toUpperCase();
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Find a recovery code among the stored hashes.
+ * @param {Array<string>} hashes - User.twoFactorRecoveryCodes
+ * @param {string} code - Code entered by the user
+ * @returns {number} Index of the matching hash, or -1
+ */
+const findRecoveryCode = (hashes, code) => {
+  if (!code || !Array.isArray(hashes)) return -1;
+  const actual = Buffer.from(hashRecoveryCode(code), "hex");
+  return hashes.findIndex((hash) =>
+    crypto.timingSafeEqual(Buffer.from(hash, "hex"), actual)
+  );
+};
+
+/**
+ * Check a second factor (TOTP code or recovery code) and record its use on
+ * the user; the caller saves the user.
+ * @param {Object} user - User document with 2FA enabled
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {string|null} "totp" or "recovery", or null when neither matches
+ */
+const verifySecondFactor = (user, input = {}) => {
+  if (input.code) {
+    const step = verifyTotp(
+      decryptValue(user.twoFactorSecret),
+      input.code,
+      user.twoFactorLastUsedStep
+    );
+    if (step === null) return null;
+    user.twoFactorLastUsedStep = step;
+    return "totp";
+  }
+  if (input.recoveryCode) {
+    const index = findRecoveryCode(
+      user.twoFactorRecoveryCodes,
+      input.recoveryCode
+    );
+    if (index === -1) return null;
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    return "recovery";
+  }
+  return null;
+};
+
+/**
+ * Store a secret for enrolment; it becomes active once a code is verified.
+ * @param {Object} user - User document
+ * @returns {string} Base32 secret
+ */
+const startEnrolment = (user) => {
+  const secret = generateTotpSecret();
+  user.twoFactorPendingSecret = encryptValue(secret);
+  return secret;
+};
+
+/**
+ * Activate the pending secret if `code` matches it, with new recovery codes.
+ * @param {Object} user - User document
+ * @param {string} code - Code from the authenticator app
+ * @returns {Array<string>|null} Recovery codes to show once, or null
+ */
+const completeEnrolment = (user, code) => {
+  if (!user.twoFactorPendingSecret) return null;
+  const step = verifyTotp(decryptValue(user.twoFactorPendingSecret), code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorRecoveryCodes = hashes;
+  return codes;
+};
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes.
+ * @param {Object} user - User document
+ */
+const disableTwoFactor = (user) => {
+  user.twoFactorEnabled = false;
+  user.twoFactorEnabledAt = undefined;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  user.twoFactorRecoveryCodes = [];
+};
+
+/**
+ * Short-lived token proving the password step of a two-step login. It only
+ * works with /api/auth/login/2fa; the JWT strategy rejects it.
+ * @param {Object} user - User document
+ * @param {Object} options - { remember, deviceName } carried to the second step
+ * @returns {string} JWT
+ */
+const issueChallengeToken = (user, options = {}) => {
+  return jwt.sign(
+    {
+      sub: user._id,
+      typ: CHALLENGE_TOKEN_TYPE,
+      ver: user.tokenVersion || 0,
+      remember: Boolean(options.remember),
+      deviceName: options.deviceName,
+    },
+    process.env.JWT_SECRET || "secret",
+    { expiresIn: `${CHALLENGE_TOKEN_MINUTES}m` }
+  );
+};
+
+/**
+ * Claims of a valid challenge token, or null.
+ * @param {string} token - Token from issueChallengeToken
+ * @returns {Object|null}
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const payload = jwt.verify(
+      String(token || ""),
+      process.env.JWT_SECRET || "secret"
+    );
+    return payload.typ === CHALLENGE_TOKEN_TYPE ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  CHALLENGE_TOKEN_MINUTES,
+  buildOtpAuthUri,
+  verifyTotp,
+  verifySecondFactor,
+  startEnrolment,
+  completeEnrolment,
+  disableTwoFactor,
+  generateRecoveryCodes,
+  issueChallengeToken,
+  verifyChallengeToken,
+};